@@ -0,0 +1,340 @@
+// Line-based unified diff helpers.
+
+function diffError(message, code, details) {
+  const err = new Error(message);
+  err.status = 422;
+  err.code = code;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+}
+
+// Parse the hunks of a unified diff. File headers ("---", "+++", "diff --git", ...) are skipped.
+// Returns [{ oldStart, oldLines, newStart, newLines, lines: [{ type: " " | "-" | "+", text }] }]
+export function parseUnifiedDiff(patch) {
+  const lines = patch.replace(/\r\n/g, "\n").split("\n");
+  const hunks = [];
+  let current = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+  for (const line of lines) {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      current = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        lines: []
+      };
+      oldRemaining = current.oldLines;
+      newRemaining = current.newLines;
+      hunks.push(current);
+      continue;
+    }
+    if (!current || line.startsWith("\\")) {
+      // Outside a hunk, or "\ No newline at end of file"
+      continue;
+    }
+    // Some tools strip the single space from empty context lines
+    const type = line === "" ? " " : line[0];
+    if (type === " " && oldRemaining > 0 && newRemaining > 0) {
+      oldRemaining--;
+      newRemaining--;
+    } else if (type === "-" && oldRemaining > 0) {
+      oldRemaining--;
+    } else if (type === "+" && newRemaining > 0) {
+      newRemaining--;
+    } else {
+      current = null;
+      continue;
+    }
+    current.lines.push({ type, text: line.substring(1) });
+    if (oldRemaining === 0 && newRemaining === 0) {
+      current = null;
+    }
+  }
+  return hunks;
+}
+
+function matchesAt(lines, needle, pos) {
+  if (pos < 0 || pos + needle.length > lines.length) {
+    return false;
+  }
+  for (let i = 0; i < needle.length; i++) {
+    if (lines[pos + i].replace(/\r$/, "") !== needle[i].replace(/\r$/, "")) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Apply a unified diff to text. Each hunk must match exactly (context and removed lines);
+// hunks that moved are located by searching outward from their stated position.
+export function applyUnifiedDiff(content, patch) {
+  const hunks = parseUnifiedDiff(patch);
+  if (hunks.length === 0) {
+    throw diffError("Patch contains no hunks", "invalid_patch");
+  }
+
+  const lines = content.split("\n");
+  let offset = 0;
+  let minPos = 0;
+  hunks.forEach((hunk, idx) => {
+    const oldText = hunk.lines.filter(l => l.type !== "+").map(l => l.text);
+    const newText = hunk.lines.filter(l => l.type !== "-").map(l => l.text);
+    // An empty old side (pure insertion) uses oldStart as the line to insert after
+    const expected = (oldText.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+
+    let pos = -1;
+    for (let delta = 0; pos === -1 && (expected - delta >= minPos || expected + delta <= lines.length); delta++) {
+      if (expected - delta >= minPos && matchesAt(lines, oldText, expected - delta)) {
+        pos = expected - delta;
+      } else if (delta > 0 && matchesAt(lines, oldText, expected + delta)) {
+        pos = expected + delta;
+      }
+    }
+    if (pos === -1) {
+      throw diffError(`Patch hunk ${idx + 1} (@@ -${hunk.oldStart},${hunk.oldLines} @@) does not apply`, "patch_failed", {
+        hunk: idx + 1
+      });
+    }
+
+    lines.splice(pos, oldText.length, ...newText);
+    offset += newText.length - oldText.length + (pos - expected);
+    minPos = pos + newText.length;
+  });
+  return lines.join("\n");
+}
+
+// Diagonal steps the search may take before giving up on a minimal diff
+const DIFF_MAX_STEPS = 4000000;
+
+// Myers line diff. Returns [{ type: " " | "-" | "+", text }] turning a into b.
+// Uses the linear-space variant (find the middle snake, recurse on both halves), so memory stays
+// O(n + m) however different the two versions are. Time is O((n + m) * edits); once maxSteps
+// is spent, each remaining region is reported as a whole replace, which is still a correct
+// (if longer) diff.
+export function diffLines(a, b, maxSteps = DIFF_MAX_STEPS) {
+  // Common prefix and suffix are cheap to strip and keep the search small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = [];
+  const inB = new Set(midB);
+  if (!midA.some(line => inB.has(line))) {
+    // Nothing in common (e.g. a rewritten document): the answer is known without a search
+    middle.push(...midA.map(text => ({ type: "-", text })), ...midB.map(text => ({ type: "+", text })));
+  } else {
+    const size = midA.length + midB.length + 3;
+    const search = { vf: new Int32Array(2 * size), vb: new Int32Array(2 * size), offset: size, steps: maxSteps };
+    diffRange(midA, 0, midA.length, midB, 0, midB.length, middle, search);
+  }
+
+  return [
+    ...a.slice(0, start).map(text => ({ type: " ", text })),
+    ...middle,
+    ...a.slice(endA).map(text => ({ type: " ", text }))
+  ];
+}
+
+// Append the diff of a[aLo, aHi) against b[bLo, bHi) to out. search holds the forward and
+// backward V arrays (vf, vb, indexed from offset), shared by every level of the recursion, and
+// the steps left.
+function diffRange(a, aLo, aHi, b, bLo, bHi, out, search) {
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    out.push({ type: " ", text: a[aLo] });
+    aLo++;
+    bLo++;
+  }
+  let suffix = 0;
+  while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) {
+    aHi--;
+    bHi--;
+    suffix++;
+  }
+
+  const snake = aLo < aHi && bLo < bHi ? middleSnake(a, aLo, aHi, b, bLo, bHi, search) : null;
+  if (snake) {
+    diffRange(a, aLo, aLo + snake.x0, b, bLo, bLo + snake.y0, out, search);
+    for (let x = snake.x0; x < snake.x1; x++) {
+      out.push({ type: " ", text: a[aLo + x] });
+    }
+    diffRange(a, aLo + snake.x1, aHi, b, bLo + snake.y1, bHi, out, search);
+  } else {
+    // One side is empty, or the step budget ran out
+    for (let x = aLo; x < aHi; x++) {
+      out.push({ type: "-", text: a[x] });
+    }
+    for (let y = bLo; y < bHi; y++) {
+      out.push({ type: "+", text: b[y] });
+    }
+  }
+
+  for (let x = aHi; x < aHi + suffix; x++) {
+    out.push({ type: " ", text: a[x] });
+  }
+}
+
+// Find the middle snake of a shortest edit script: the diagonal run from (x0, y0) to (x1, y1),
+// relative to aLo/bLo, that an optimal path crosses halfway through. Forward paths grow from the
+// start and backward paths from the end until they overlap. Backward V holds x measured from the
+// end, so backward diagonal k is forward diagonal delta - k. Returns null when search.steps
+// runs out first.
+function middleSnake(a, aLo, aHi, b, bLo, bHi, search) {
+  const { vf, vb, offset } = search;
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  vf[offset + 1] = 0;
+  vb[offset + 1] = 0;
+  for (let d = 0; d <= max; d++) {
+    search.steps -= 2 * (d + 1);
+    if (search.steps < 0) {
+      return null;
+    }
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1]))
+        ? vf[offset + k + 1]
+        : vf[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      vf[offset + k] = x;
+      const kb = delta - k;
+      if (odd && kb >= -(d - 1) && kb <= d - 1 && x + vb[offset + kb] >= n) {
+        return { x0, y0, x1: x, y1: y };
+      }
+    }
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && vb[offset + k - 1] < vb[offset + k + 1]))
+        ? vb[offset + k + 1]
+        : vb[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      vb[offset + k] = x;
+      const kf = delta - k;
+      if (!odd && kf >= -d && kf <= d && x + vf[offset + kf] >= n) {
+        return { x0: n - x, y0: m - y, x1: n - x0, y1: m - y0 };
+      }
+    }
+  }
+  throw new Error("diffLines: no middle snake found");
+}
+
+// Group diff lines into hunks with `context` unchanged lines around each change.
+// Hunks use the same shape as parseUnifiedDiff.
+export function buildHunks(lines, context = 3) {
+  const hunks = [];
+  let oldLine = 0;
+  let newLine = 0;
+  // Positions (old, new) before each diff line
+  const positions = lines.map(line => {
+    const pos = { old: oldLine, new: newLine };
+    if (line.type !== "+") {
+      oldLine++;
+    }
+    if (line.type !== "-") {
+      newLine++;
+    }
+    return pos;
+  });
+
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].type === " ") {
+      i++;
+      continue;
+    }
+    const hunkStart = Math.max(0, i - context);
+    let end = i;
+    // Extend while the next change is within 2 * context unchanged lines
+    for (;;) {
+      while (end < lines.length && lines[end].type !== " ") {
+        end++;
+      }
+      let gap = end;
+      while (gap < lines.length && lines[gap].type === " ") {
+        gap++;
+      }
+      if (gap < lines.length && gap - end <= 2 * context) {
+        end = gap;
+        continue;
+      }
+      break;
+    }
+    const hunkEnd = Math.min(lines.length, end + context);
+    const hunkLines = lines.slice(hunkStart, hunkEnd);
+    const oldLines = hunkLines.filter(l => l.type !== "+").length;
+    const newLines = hunkLines.filter(l => l.type !== "-").length;
+    const first = positions[hunkStart];
+    hunks.push({
+      // Empty sides point at the line before, as in `diff -u`
+      oldStart: oldLines === 0 ? first.old : first.old + 1,
+      oldLines,
+      newStart: newLines === 0 ? first.new : first.new + 1,
+      newLines,
+      lines: hunkLines
+    });
+    i = hunkEnd;
+  }
+  return hunks;
+}
+
+// Render hunks as unified diff text. Labels of null render as /dev/null (created or deleted files).
+export function formatUnifiedDiff(hunks, fromLabel, toLabel) {
+  if (hunks.length === 0) {
+    return "";
+  }
+  const out = [
+    `--- ${fromLabel === null ? "/dev/null" : fromLabel}`,
+    `+++ ${toLabel === null ? "/dev/null" : toLabel}`
+  ];
+  for (const hunk of hunks) {
+    out.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    for (const line of hunk.lines) {
+      out.push(line.type + line.text);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+// Diff two texts. Returns { hunks, unified, additions, deletions }.
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const oldLines = oldText === null ? [] : oldText.split("\n");
+  const newLines = newText === null ? [] : newText.split("\n");
+  const lines = diffLines(oldLines, newLines);
+  const hunks = buildHunks(lines, options.context === undefined ? 3 : options.context);
+  return {
+    hunks,
+    unified: formatUnifiedDiff(
+      hunks,
+      oldText === null ? null : (options.fromLabel || "a"),
+      newText === null ? null : (options.toLabel || "b")
+    ),
+    additions: lines.filter(l => l.type === "+").length,
+    deletions: lines.filter(l => l.type === "-").length
+  };
+}
@@ -0,0 +1,157 @@
+// Structured edits applied server-side by PATCH /d/{path}.
+//
+// Supported operations:
+//   { op: "replace_section", heading, content }  - replace everything under a heading (the heading line is kept)
+//   { op: "append_to_section", heading, content } - add content at the end of a section
+//   { op: "prepend_to_section", heading, content } - add content right after a section's heading
+//   { op: "replace", find, replace }               - replace a string that must occur exactly once
+//   { op: "diff", patch }                          - apply a unified diff
+//   { op: "set_metadata", fields }                 - set front matter fields (null removes one), body untouched
+//
+// Every edit must match unambiguously; otherwise a 422 error is thrown and nothing is written.
+
+import { findSections, setFrontMatterFields, splitLines } from "./markdown.js";
+import { applyUnifiedDiff } from "./diff.js";
+
+export const EDIT_OPS = ["replace_section", "append_to_section", "prepend_to_section", "replace", "diff", "set_metadata"];
+
+function editError(message, code, details) {
+  const err = new Error(message);
+  err.status = 422;
+  err.code = code;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+}
+
+function requireString(edit, field, index) {
+  if (typeof edit[field] !== "string") {
+    throw editError(`Edit ${index}: field '${field}' (string) is required for op '${edit.op}'`, "invalid_edit", {
+      editIndex: index
+    });
+  }
+  return edit[field];
+}
+
+function contentLines(text) {
+  // A single trailing newline in the supplied content is not an extra blank line
+  return splitLines(text.replace(/\r?\n$/, ""));
+}
+
+function findUniqueSection(content, heading, index) {
+  const sections = findSections(content, heading);
+  if (sections.length === 0) {
+    throw editError(`Edit ${index}: no section with heading '${heading}'`, "no_match", { editIndex: index });
+  }
+  if (sections.length > 1) {
+    throw editError(
+      `Edit ${index}: heading '${heading}' matches ${sections.length} sections; include the level (e.g. '## ${sections[0].text}') or use a more specific heading`,
+      "ambiguous_match",
+      { editIndex: index, matchLines: sections.map(s => s.line + 1) }
+    );
+  }
+  return sections[0];
+}
+
+// Index just past the last non-blank line of a section, so appended text lands before
+// the blank lines that separate it from the next heading.
+function sectionContentEnd(lines, section) {
+  let end = section.end;
+  while (end > section.start + 1 && lines[end - 1].trim() === "") {
+    end--;
+  }
+  return end;
+}
+
+function applySectionEdit(content, edit, index) {
+  const heading = requireString(edit, "heading", index);
+  const text = requireString(edit, "content", index);
+  const section = findUniqueSection(content, heading, index);
+  const lines = splitLines(content);
+  const newLines = contentLines(text);
+
+  if (edit.op === "replace_section") {
+    const end = sectionContentEnd(lines, section);
+    lines.splice(section.start + 1, end - section.start - 1, ...newLines);
+  } else if (edit.op === "append_to_section") {
+    const end = sectionContentEnd(lines, section);
+    lines.splice(end, 0, ...newLines);
+  } else {
+    lines.splice(section.start + 1, 0, ...newLines);
+  }
+  return lines.join("\n");
+}
+
+function applyReplace(content, edit, index) {
+  const find = requireString(edit, "find", index);
+  const replacement = requireString(edit, "replace", index);
+  if (find === "") {
+    throw editError(`Edit ${index}: 'find' must not be empty`, "invalid_edit", { editIndex: index });
+  }
+  const first = content.indexOf(find);
+  if (first === -1) {
+    throw editError(`Edit ${index}: text to replace was not found`, "no_match", { editIndex: index });
+  }
+  if (content.indexOf(find, first + 1) !== -1) {
+    let count = 0;
+    for (let pos = content.indexOf(find); pos !== -1; pos = content.indexOf(find, pos + 1)) {
+      count++;
+    }
+    throw editError(
+      `Edit ${index}: text to replace occurs ${count} times; include more surrounding text to make it unique`,
+      "ambiguous_match",
+      { editIndex: index, matchCount: count }
+    );
+  }
+  return content.substring(0, first) + replacement + content.substring(first + find.length);
+}
+
+export function applyEdit(content, edit, index = 0) {
+  if (!edit || typeof edit !== "object") {
+    throw editError(`Edit ${index}: expected an object`, "invalid_edit", { editIndex: index });
+  }
+  switch (edit.op) {
+    case "replace_section":
+    case "append_to_section":
+    case "prepend_to_section":
+      return applySectionEdit(content, edit, index);
+    case "replace":
+      return applyReplace(content, edit, index);
+    case "diff": {
+      const patch = requireString(edit, "patch", index);
+      try {
+        return applyUnifiedDiff(content, patch);
+      } catch (err) {
+        err.message = `Edit ${index}: ${err.message}`;
+        err.details = { ...(err.details || {}), editIndex: index };
+        throw err;
+      }
+    }
+    case "set_metadata": {
+      if (!edit.fields || typeof edit.fields !== "object" || Array.isArray(edit.fields)) {
+        throw editError(`Edit ${index}: field 'fields' (object) is required for op 'set_metadata'`, "invalid_edit", {
+          editIndex: index
+        });
+      }
+      try {
+        return setFrontMatterFields(content, edit.fields);
+      } catch (err) {
+        err.message = `Edit ${index}: ${err.message}`;
+        err.details = { ...(err.details || {}), editIndex: index };
+        throw err;
+      }
+    }
+    default:
+      throw editError(
+        `Edit ${index}: unknown op '${edit.op}' (expected one of ${EDIT_OPS.join(", ")})`,
+        "invalid_edit",
+        { editIndex: index }
+      );
+  }
+}
+
+// Apply edits in order; each edit sees the result of the previous one.
+export function applyEdits(content, edits) {
+  return edits.reduce((acc, edit, index) => applyEdit(acc, edit, index), content);
+}
@@ -0,0 +1,271 @@
+// Links between Markdown documents, for the link graph endpoints and link-aware moves and deletes.
+//
+// Recognized: inline links and images ([text](target), ![alt](target)), reference definitions
+// ([id]: target) and wiki links ([[Page]], [[Page#Heading]], [[Page|label]]). Links inside fenced
+// code blocks and inline code spans are ignored. Paths are logical docstore paths
+// ("ftl/canon.md"); links to URLs, to anchors in the same document and to anything outside the
+// docstore root are not tracked.
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+const CODE_SPAN_RE = /(`+)[^`]*?\1/g;
+const WIKI_LINK_RE = /!?\[\[([^\[\]|\n]*)(?:\|([^\[\]\n]*))?\]\]/g;
+const INLINE_LINK_RE = /(!?)\[((?:[^\[\]\\\n]|\\.)*)\]\([ \t]*(<[^<>\n]*>|[^\s()<>]+(?:\([^\s()]*\)[^\s()<>]*)*)(?:[ \t]+(?:"[^"\n]*"|'[^'\n]*'|\([^()\n]*\)))?[ \t]*\)/g;
+const REFERENCE_RE = /^( {0,3}\[((?:[^\[\]\\\n]|\\.)+)\]:[ \t]*)(<[^<>\n]*>|\S+)/;
+const SCHEME_RE = /^[a-z][a-z0-9+.-]*:/i;
+const MARKDOWN_EXT_RE = /\.(md|markdown|mdx)$/i;
+
+export function isMarkdownPath(path) {
+  return MARKDOWN_EXT_RE.test(path);
+}
+
+// Blank out inline code so links shown as code are not picked up; offsets are kept.
+function maskCodeSpans(line) {
+  return line.replace(CODE_SPAN_RE, span => " ".repeat(span.length));
+}
+
+function overlaps(spans, start, end) {
+  return spans.some(([s, e]) => start < e && end > s);
+}
+
+function link(type, fields, match, offset, targetIndex, target) {
+  const start = offset + match.index;
+  const targetStart = start + targetIndex;
+  const angle = target.startsWith("<");
+  return {
+    type,
+    target: angle ? target.slice(1, -1) : target,
+    ...fields,
+    start,
+    end: start + match[0].length,
+    targetStart: angle ? targetStart + 1 : targetStart,
+    targetEnd: targetStart + target.length - (angle ? 1 : 0),
+    angle
+  };
+}
+
+// Returns [{ type, target, text, line, start, end, targetStart, targetEnd }] in document order.
+// type is "link", "image", "reference" or "wiki"; line is 1-based; start/end span the whole link
+// and targetStart/targetEnd its target (for wiki links, the page and heading before any "|label").
+export function extractLinks(content) {
+  const links = [];
+  const lines = content.split("\n");
+  let offset = 0;
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const fenceMatch = raw.match(FENCE_RE);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = marker;
+      } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+    } else if (!fence) {
+      const line = maskCodeSpans(raw);
+      const found = [];
+      const wikiSpans = [];
+      for (const match of line.matchAll(WIKI_LINK_RE)) {
+        const page = match[1];
+        const hash = page.indexOf("#");
+        const text = match[2] !== undefined ? match[2] : hash === -1 ? page : page.substring(0, hash);
+        found.push(link("wiki", { text: text.trim(), line: i + 1 }, match, offset, match[0].indexOf("[[") + 2, page));
+        wikiSpans.push([match.index, match.index + match[0].length]);
+      }
+      const reference = line.match(REFERENCE_RE);
+      if (reference && !reference[2].startsWith("^")) {
+        found.push(link("reference", { text: reference[2], line: i + 1 }, { ...reference, index: 0 }, offset, reference[1].length, reference[3]));
+      } else if (!reference) {
+        for (const match of line.matchAll(INLINE_LINK_RE)) {
+          if (overlaps(wikiSpans, match.index, match.index + match[0].length)) {
+            continue;
+          }
+          const targetIndex = match[0].indexOf("(", match[1].length + match[2].length + 2) + 1;
+          const skipped = match[0].substring(targetIndex).match(/^[ \t]*/)[0].length;
+          found.push(link(match[1] ? "image" : "link", { text: match[2], line: i + 1 }, match, offset, targetIndex + skipped, match[3]));
+        }
+      }
+      links.push(...found.sort((a, b) => a.start - b.start));
+    }
+    offset += raw.length + 1;
+  }
+  return links;
+}
+
+function dirname(path) {
+  const slash = path.lastIndexOf("/");
+  return slash === -1 ? "" : path.substring(0, slash);
+}
+
+function basename(path) {
+  return path.substring(path.lastIndexOf("/") + 1);
+}
+
+// Resolve "." and ".." segments; null when the path climbs above the root
+function normalizePath(path) {
+  const parts = [];
+  for (const segment of path.split("/")) {
+    if (segment === "" || segment === ".") {
+      continue;
+    }
+    if (segment === "..") {
+      if (parts.length === 0) {
+        return null;
+      }
+      parts.pop();
+    } else {
+      parts.push(segment);
+    }
+  }
+  return parts.join("/");
+}
+
+function relativePath(fromDir, target) {
+  const from = fromDir ? fromDir.split("/") : [];
+  const to = target.split("/");
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+    common++;
+  }
+  return [...from.slice(common).map(() => ".."), ...to.slice(common)].join("/");
+}
+
+// Split "a/b.md#part" into its path and the "#..." or "?..." suffix
+function splitTarget(target) {
+  const cut = target.search(/[#?]/);
+  return cut === -1 ? { path: target, suffix: "" } : { path: target.substring(0, cut), suffix: target.substring(cut) };
+}
+
+function fragmentOf(suffix) {
+  const hash = suffix.indexOf("#");
+  return hash === -1 ? undefined : suffix.substring(hash + 1);
+}
+
+// Resolve a Markdown link target written in the document at fromPath.
+// Returns { path, fragment }, or null for URLs, same-document anchors and paths outside the root.
+export function resolveMarkdownTarget(fromPath, target) {
+  if (SCHEME_RE.test(target) || target.startsWith("//")) {
+    return null;
+  }
+  const { path, suffix } = splitTarget(target);
+  if (!path) {
+    return null;
+  }
+  let decoded = path;
+  try {
+    decoded = decodeURI(path);
+  } catch {
+    // Keep malformed escapes as written
+  }
+  const resolved = normalizePath(decoded.startsWith("/") ? decoded : `${dirname(fromPath)}/${decoded}`);
+  if (resolved === null) {
+    return null;
+  }
+  return { path: resolved, fragment: fragmentOf(suffix) };
+}
+
+// File name without a Markdown extension, lower-cased, as wiki links name pages
+function pageName(path) {
+  return basename(path).replace(MARKDOWN_EXT_RE, "").toLowerCase();
+}
+
+// Build resolve(fromPath, link) over the given document paths. Wiki links name a document by
+// path ("ftl/canon") or by file name ("canon"), with or without ".md"; when several documents
+// have the name, the one in the linking document's directory wins, then the first by path.
+// Unresolved wiki links point at "<page>.md".
+export function createLinkResolver(paths) {
+  const known = new Set(paths);
+  const byName = new Map();
+  for (const path of [...known].sort()) {
+    const name = pageName(path);
+    if (!byName.has(name)) {
+      byName.set(name, []);
+    }
+    byName.get(name).push(path);
+  }
+
+  return function resolve(fromPath, link) {
+    if (link.type !== "wiki") {
+      return resolveMarkdownTarget(fromPath, link.target);
+    }
+    const hash = link.target.indexOf("#");
+    const page = (hash === -1 ? link.target : link.target.substring(0, hash)).trim().replace(/^\/+/, "");
+    const fragment = hash === -1 ? undefined : link.target.substring(hash + 1).trim();
+    if (!page) {
+      return null;
+    }
+    for (const candidate of [page, page + ".md"]) {
+      if (known.has(candidate)) {
+        return { path: candidate, fragment };
+      }
+    }
+    const wanted = page.replace(MARKDOWN_EXT_RE, "").toLowerCase();
+    const matches = (byName.get(pageName(page)) || []).filter(path => {
+      const stem = path.replace(MARKDOWN_EXT_RE, "").toLowerCase();
+      return stem === wanted || stem.endsWith("/" + wanted);
+    });
+    if (matches.length > 0) {
+      const sameDir = matches.find(path => dirname(path) === dirname(fromPath));
+      return { path: sameDir || matches[0], fragment };
+    }
+    return { path: isMarkdownPath(page) || /\.[^/]+$/.test(page) ? page : page + ".md", fragment };
+  };
+}
+
+function markdownTarget(link, toPath, newPath) {
+  const { path, suffix } = splitTarget(link.target);
+  let written = link.target.startsWith("/") ? "/" + newPath : relativePath(dirname(toPath), newPath);
+  if (path.endsWith("/")) {
+    written += "/";
+  }
+  if (/%[0-9a-f]{2}/i.test(path) || (!link.angle && /\s/.test(written))) {
+    written = encodeURI(written);
+  }
+  return written + suffix;
+}
+
+function wikiTarget(link, newPath, fragment) {
+  const hash = link.target.indexOf("#");
+  const page = hash === -1 ? link.target : link.target.substring(0, hash);
+  let written = page.includes("/") ? newPath : basename(newPath);
+  if (!isMarkdownPath(page.trim())) {
+    written = written.replace(MARKDOWN_EXT_RE, "");
+  }
+  return written + (fragment !== undefined ? "#" + fragment : "");
+}
+
+// Rewrite the links of a document that moves from fromPath to toPath (the same path if it stays)
+// after the documents in `moved` (old path -> new path, or null when deleted) have moved.
+// Links to deleted documents are replaced by their text; reference definitions to them are left
+// for the broken link report. Returns { content, count } where count is the number of links changed.
+export function rewriteLinks(content, fromPath, toPath, moved, resolve) {
+  const edits = [];
+  for (const link of extractLinks(content)) {
+    const target = resolve(fromPath, link);
+    if (!target) {
+      continue;
+    }
+    const newPath = moved.has(target.path) ? moved.get(target.path) : target.path;
+    if (newPath === null) {
+      if (link.type !== "reference") {
+        edits.push({ start: link.start, end: link.end, text: link.text });
+      }
+    } else if (link.type === "wiki") {
+      // A link by file name keeps working when only the directory changes
+      const byName = !link.target.includes("/") && pageName(link.target.split("#")[0].trim()) === pageName(newPath);
+      if (newPath !== target.path && !byName) {
+        edits.push({ start: link.targetStart, end: link.targetEnd, text: wikiTarget(link, newPath, target.fragment) });
+      }
+    } else {
+      const unchanged = resolveMarkdownTarget(toPath, link.target);
+      if (!unchanged || unchanged.path !== newPath) {
+        edits.push({ start: link.targetStart, end: link.targetEnd, text: markdownTarget(link, toPath, newPath) });
+      }
+    }
+  }
+  let result = content;
+  for (const edit of edits.reverse()) {
+    result = result.substring(0, edit.start) + edit.text + result.substring(edit.end);
+  }
+  return { content: result, count: edits.length };
+}
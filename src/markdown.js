@@ -0,0 +1,485 @@
+// Markdown helpers shared by the edit, outline and metadata endpoints.
+// Only ATX headings ("## Title") are recognized; headings inside fenced code blocks are ignored.
+
+const HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+
+export function splitLines(content) {
+  return content.split("\n");
+}
+
+// Returns [{ level, text, line }] where line is the 0-based line index of the heading.
+export function parseHeadings(content) {
+  const lines = splitLines(content);
+  const headings = [];
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\r$/, "");
+    const fenceMatch = line.match(FENCE_RE);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = marker;
+      } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fence) {
+      continue;
+    }
+    const m = line.match(HEADING_RE);
+    if (m) {
+      headings.push({ level: m[1].length, text: (m[2] || "").trim(), line: i });
+    }
+  }
+  return headings;
+}
+
+// Parse a heading selector such as "Stations" or "## Stations" into { level, text }.
+export function parseHeadingSelector(selector) {
+  const m = String(selector).trim().match(/^(#{1,6})\s+(.*)$/);
+  if (m) {
+    return { level: m[1].length, text: m[2].trim() };
+  }
+  return { level: null, text: String(selector).trim() };
+}
+
+// Find every section whose heading matches the selector. A section runs from its heading
+// line up to (not including) the next heading of the same or a higher level.
+// Returns [{ level, text, line, start, end }] with start/end as 0-based line indexes
+// (start = heading line, end = exclusive).
+export function findSections(content, selector) {
+  const { level, text } = parseHeadingSelector(selector);
+  const headings = parseHeadings(content);
+  const totalLines = splitLines(content).length;
+  const matches = [];
+  headings.forEach((h, idx) => {
+    if (h.text !== text || (level !== null && h.level !== level)) {
+      return;
+    }
+    let end = totalLines;
+    for (let j = idx + 1; j < headings.length; j++) {
+      if (headings[j].level <= h.level) {
+        end = headings[j].line;
+        break;
+      }
+    }
+    matches.push({ ...h, start: h.line, end });
+  });
+  return matches;
+}
+
+// Split a document into lines that keep their "\n" endings; "" has no lines.
+function linesWithEndings(content) {
+  return content === "" ? [] : content.split(/(?<=\n)/);
+}
+
+// Number of lines in a document; a trailing newline does not start another line.
+export function countLines(content) {
+  return linesWithEndings(content).length;
+}
+
+// Lines start..end (1-based, inclusive) with their line endings.
+export function sliceLines(content, start, end) {
+  return linesWithEndings(content).slice(start - 1, end).join("");
+}
+
+// The heading tree of a document. Each node is { level, text, line, endLine, lines, bytes,
+// children }: line is the 1-based heading line, endLine the last line of its section (which
+// includes subsections), and lines/bytes the section's size.
+export function buildOutline(content) {
+  const lines = linesWithEndings(content);
+  const encoder = new TextEncoder();
+  const byteOffsets = [0];
+  for (const line of lines) {
+    byteOffsets.push(byteOffsets[byteOffsets.length - 1] + encoder.encode(line).length);
+  }
+  const headings = parseHeadings(content);
+  const roots = [];
+  const stack = [];
+  headings.forEach((h, idx) => {
+    let end = lines.length;
+    for (let j = idx + 1; j < headings.length; j++) {
+      if (headings[j].level <= h.level) {
+        end = headings[j].line;
+        break;
+      }
+    }
+    const node = {
+      level: h.level,
+      text: h.text,
+      line: h.line + 1,
+      endLine: end,
+      lines: end - h.line,
+      bytes: byteOffsets[end] - byteOffsets[h.line],
+      children: []
+    };
+    while (stack.length > 0 && stack[stack.length - 1].level >= h.level) {
+      stack.pop();
+    }
+    (stack.length > 0 ? stack[stack.length - 1].children : roots).push(node);
+    stack.push(node);
+  });
+  return roots;
+}
+
+// Front matter is a YAML block between "---" lines at the very top of a document. Only a
+// subset of YAML is understood: plain and quoted scalars, flow lists ("[a, b]"), block lists
+// ("- a"), nested maps and "|" / ">" block scalars. That covers the status/tags/owner style
+// metadata docs carry without pulling in a YAML dependency.
+const FRONT_MATTER_RE = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+function yamlError(message, line, label = "YAML", code = "invalid_yaml") {
+  const err = new Error(line ? `${label} line ${line}: ${message}` : `${label}: ${message}`);
+  err.status = 422;
+  err.code = code;
+  if (line) {
+    err.details = { line };
+  }
+  return err;
+}
+
+function frontMatterError(message, line) {
+  return yamlError(message, line, "Front matter", "invalid_front_matter");
+}
+
+function splitFlowItems(text) {
+  const items = [];
+  let current = "";
+  let quote = null;
+  let depth = 0;
+  for (const ch of text) {
+    if (quote) {
+      current += ch;
+      if (ch === quote) {
+        quote = null;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === "[" || ch === "{") {
+      depth++;
+      current += ch;
+    } else if (ch === "]" || ch === "}") {
+      depth--;
+      current += ch;
+    } else if (ch === "," && depth === 0) {
+      items.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim() !== "" || items.length > 0) {
+    items.push(current);
+  }
+  return items;
+}
+
+function parseScalar(text, line) {
+  let t = text.trim();
+  if (t.startsWith('"')) {
+    try {
+      return JSON.parse(t);
+    } catch {
+      throw yamlError("unterminated or invalid double-quoted string", line);
+    }
+  }
+  if (t.startsWith("'")) {
+    if (t.length < 2 || !t.endsWith("'")) {
+      throw yamlError("unterminated single-quoted string", line);
+    }
+    return t.slice(1, -1).replace(/''/g, "'");
+  }
+  if (t.startsWith("[")) {
+    if (!t.endsWith("]")) {
+      throw yamlError("unterminated flow list", line);
+    }
+    return splitFlowItems(t.slice(1, -1)).map(item => parseScalar(item, line));
+  }
+  if (t.startsWith("{")) {
+    if (!t.endsWith("}")) {
+      throw yamlError("unterminated flow map", line);
+    }
+    const map = {};
+    for (const item of splitFlowItems(t.slice(1, -1))) {
+      const idx = item.indexOf(":");
+      if (idx === -1) {
+        throw yamlError("expected 'key: value' in flow map", line);
+      }
+      map[parseScalar(item.substring(0, idx), line)] = parseScalar(item.substring(idx + 1), line);
+    }
+    return map;
+  }
+  // A comment needs whitespace before the "#"
+  t = t.replace(/\s+#.*$/, "");
+  if (t === "" || t === "~" || t === "null") {
+    return null;
+  }
+  if (t === "true" || t === "false") {
+    return t === "true";
+  }
+  if (/^-?\d+(\.\d+)?$/.test(t)) {
+    return Number(t);
+  }
+  return t;
+}
+
+const KEY_RE = /^("(?:[^"\\]|\\.)*"|'[^']*'|[^\s"'#-][^:]*?|-[^\s:][^:]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+
+function isBlank(text) {
+  const t = text.trim();
+  return t === "" || t.startsWith("#");
+}
+
+function indentOf(text) {
+  return text.match(/^ */)[0].length;
+}
+
+function isListItem(text) {
+  const t = text.trim();
+  return t === "-" || t.startsWith("- ");
+}
+
+// Parse YAML text into a map or list. Throws a 422 error (code invalid_yaml) naming the line on
+// anything outside the supported subset. `firstLine` is the document line number of the first YAML line.
+export function parseYaml(text, firstLine = 1) {
+  const lines = text.split("\n").map(l => l.replace(/\r$/, ""));
+  let pos = 0;
+
+  const skipBlank = () => {
+    while (pos < lines.length && isBlank(lines[pos])) {
+      pos++;
+    }
+  };
+
+  function parseBlockScalar(indicator, parentIndent) {
+    const collected = [];
+    let blockIndent = null;
+    while (pos < lines.length) {
+      const text = lines[pos];
+      if (text.trim() === "") {
+        collected.push("");
+        pos++;
+        continue;
+      }
+      const ind = indentOf(text);
+      if (ind <= parentIndent) {
+        break;
+      }
+      if (blockIndent === null) {
+        blockIndent = ind;
+      }
+      collected.push(text.substring(Math.min(ind, blockIndent)));
+      pos++;
+    }
+    while (collected.length > 0 && collected[collected.length - 1] === "") {
+      collected.pop();
+    }
+    return indicator.startsWith("|") ? collected.join("\n") + "\n" : collected.join(" ") + "\n";
+  }
+
+  function parseValue(rest, indent) {
+    if (rest === undefined || rest.trim() === "" || rest.trim().startsWith("#")) {
+      skipBlank();
+      if (pos < lines.length) {
+        const ind = indentOf(lines[pos]);
+        if (ind > indent || (ind === indent && isListItem(lines[pos]))) {
+          return parseNode(ind);
+        }
+      }
+      return null;
+    }
+    if (/^[|>][+-]?$/.test(rest.trim())) {
+      return parseBlockScalar(rest.trim(), indent);
+    }
+    return parseScalar(rest, firstLine + pos - 1);
+  }
+
+  function parseMap(indent) {
+    const map = {};
+    for (;;) {
+      skipBlank();
+      if (pos >= lines.length) {
+        break;
+      }
+      const text = lines[pos];
+      const ind = indentOf(text);
+      if (ind < indent || (ind === indent && isListItem(text))) {
+        break;
+      }
+      if (ind > indent) {
+        throw yamlError("unexpected indentation", firstLine + pos);
+      }
+      const m = text.trim().match(KEY_RE);
+      if (!m) {
+        throw yamlError("expected 'key: value'", firstLine + pos);
+      }
+      const key = parseScalar(m[1], firstLine + pos);
+      pos++;
+      map[key] = parseValue(m[2], indent);
+    }
+    return map;
+  }
+
+  function parseList(indent) {
+    const list = [];
+    for (;;) {
+      skipBlank();
+      if (pos >= lines.length) {
+        break;
+      }
+      const text = lines[pos];
+      const ind = indentOf(text);
+      if (ind < indent || (ind === indent && !isListItem(text))) {
+        break;
+      }
+      if (ind > indent) {
+        throw yamlError("unexpected indentation", firstLine + pos);
+      }
+      const rest = text.trim().substring(1).trim();
+      if (KEY_RE.test(rest) && !rest.startsWith('"') && !rest.startsWith("'")) {
+        // "- key: value" starts a map nested in the list
+        lines[pos] = " ".repeat(ind + 2) + rest;
+        list.push(parseMap(ind + 2));
+      } else {
+        pos++;
+        list.push(parseValue(rest, ind));
+      }
+    }
+    return list;
+  }
+
+  function parseNode(indent) {
+    skipBlank();
+    return pos < lines.length && isListItem(lines[pos]) ? parseList(indent) : parseMap(indent);
+  }
+
+  skipBlank();
+  if (pos >= lines.length) {
+    return {};
+  }
+  if (indentOf(lines[pos]) !== 0) {
+    throw yamlError("unexpected indentation", firstLine + pos);
+  }
+  const result = parseNode(0);
+  skipBlank();
+  if (pos < lines.length) {
+    throw yamlError("unexpected content", firstLine + pos);
+  }
+  return result;
+}
+
+function parseFrontMatterBlock(text) {
+  let value;
+  try {
+    value = parseYaml(text, 2);
+  } catch (err) {
+    throw frontMatterError(err.message.replace(/^YAML line \d+: /, ""), err.details && err.details.line);
+  }
+  if (Array.isArray(value)) {
+    throw frontMatterError("front matter must be a map of 'key: value' lines", 2);
+  }
+  return value;
+}
+
+// Split a document into its front matter and body.
+// Returns { frontMatter, body, error }: frontMatter is null when the document has none, and
+// also when it cannot be parsed, in which case error holds the parse error message.
+export function parseFrontMatter(content) {
+  const m = content.match(FRONT_MATTER_RE);
+  if (!m) {
+    return { frontMatter: null, body: content, error: null };
+  }
+  const body = content.substring(m[0].length);
+  try {
+    return { frontMatter: parseFrontMatterBlock(m[1] || ""), body, error: null };
+  } catch (err) {
+    return { frontMatter: null, body, error: err.message };
+  }
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  const text = String(value);
+  const plain = text !== "" &&
+    text.trim() === text &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(text) &&
+    !/: |\s#|\n/.test(text) &&
+    !text.endsWith(":") &&
+    !/^(true|false|null|~|-?\d+(\.\d+)?)$/.test(text);
+  return plain ? text : JSON.stringify(text);
+}
+
+function formatYamlField(key, value, indent = "") {
+  const name = formatScalar(key);
+  if (Array.isArray(value)) {
+    if (value.every(v => v === null || typeof v !== "object")) {
+      return [`${indent}${name}: [${value.map(formatScalar).join(", ")}]`];
+    }
+    const lines = [`${indent}${name}:`];
+    for (const item of value) {
+      if (item && typeof item === "object" && !Array.isArray(item)) {
+        const nested = Object.entries(item).flatMap(([k, v]) => formatYamlField(k, v, indent + "    "));
+        lines.push(indent + "  - " + nested[0].trimStart(), ...nested.slice(1));
+      } else {
+        lines.push(`${indent}  - ${formatScalar(item)}`);
+      }
+    }
+    return lines;
+  }
+  if (value && typeof value === "object") {
+    return [`${indent}${name}:`, ...Object.entries(value).flatMap(([k, v]) => formatYamlField(k, v, indent + "  "))];
+  }
+  return [`${indent}${name}: ${formatScalar(value)}`];
+}
+
+// Set or remove (value null) top-level front matter fields, leaving every other line of the
+// document untouched. Creates the front matter block if there is none and drops it if it
+// ends up empty. Throws a 422 error if the existing front matter cannot be parsed.
+export function setFrontMatterFields(content, fields) {
+  const m = content.match(FRONT_MATTER_RE);
+  const body = m ? content.substring(m[0].length) : content;
+  const lines = m && m[1] !== undefined ? m[1].split("\n").map(l => l.replace(/\r$/, "")) : [];
+  if (m) {
+    parseFrontMatterBlock(lines.join("\n"));
+  }
+
+  for (const [key, value] of Object.entries(fields)) {
+    // A field spans its key line plus the indented or list lines that follow it
+    let start = -1;
+    for (let i = 0; i < lines.length; i++) {
+      const km = indentOf(lines[i]) === 0 && !isBlank(lines[i]) && lines[i].match(KEY_RE);
+      if (km && parseScalar(km[1]) === key) {
+        start = i;
+        break;
+      }
+    }
+    let end = start + 1;
+    if (start !== -1) {
+      while (end < lines.length && (lines[end].trim() === "" || indentOf(lines[end]) > 0 || isListItem(lines[end]))) {
+        end++;
+      }
+      while (end > start + 1 && lines[end - 1].trim() === "") {
+        end--;
+      }
+    }
+    const replacement = value === null ? [] : formatYamlField(key, value);
+    if (start === -1) {
+      lines.push(...replacement);
+    } else {
+      lines.splice(start, end - start, ...replacement);
+    }
+  }
+
+  if (lines.every(isBlank)) {
+    return body;
+  }
+  return `---\n${lines.join("\n")}\n---\n${body}`;
+}
@@ -0,0 +1,311 @@
+// Model Context Protocol (MCP) server for the docstore, served over streamable HTTP at POST /mcp.
+//
+// Messages are JSON-RPC 2.0 (a single message or a batch). Tools and resources are answered by
+// calling the document API through `api.request(method, path, body)`, which the Worker routes
+// through the same handler, token checks and permissions as HTTP clients; it resolves to
+// { status, json }. Responses are plain JSON; the server keeps no sessions and sends no
+// server-initiated messages.
+//
+// Tools: listDocs, getDoc, upsertDoc, deleteDoc. Documents are resources with URIs of the form
+// docstore:///ftl/canon.md.
+
+export const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+export const RESOURCE_URI_PREFIX = "docstore:///";
+const RESOURCE_PAGE_SIZE = 100;
+
+// JSON-RPC error codes
+export const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+
+const pathProperty = { type: "string", description: "Document path, e.g. ftl/canon.md" };
+const refProperty = { type: "string", description: "Branch, tag or commit sha to read from (default: the main branch)" };
+const branchProperty = { type: "string", description: "Draft branch to write to instead of the main branch" };
+
+export const MCP_TOOLS = [
+  {
+    name: "listDocs",
+    description: "List the documents and directories in a directory.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Directory path; empty for the root" },
+        ref: refProperty,
+        recursive: { type: "boolean", description: "List everything under the directory" }
+      }
+    },
+    annotations: { readOnlyHint: true }
+  },
+  {
+    name: "getDoc",
+    description: "Read a document. Returns its content and sha; pass the sha to upsertDoc or deleteDoc to make the write conditional. For long documents, read a line range or one section; totalLines and truncated tell whether there is more.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: pathProperty,
+        ref: refProperty,
+        frontMatter: { type: "boolean", description: "Also return parsed YAML front matter and the body without it" },
+        lines: { type: "string", description: "Only these lines, e.g. \"20-80\" or \"200-\" (1-based)" },
+        section: { type: "string", description: "Only the section under this heading, e.g. \"## Stations\"" }
+      },
+      required: ["path"]
+    },
+    annotations: { readOnlyHint: true }
+  },
+  {
+    name: "upsertDoc",
+    description: "Create or replace a document. Each write is one commit.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: pathProperty,
+        content: { type: "string", description: "Full document content" },
+        message: { type: "string", description: "Commit message" },
+        sha: { type: "string", description: "Expected current sha; the write fails with a conflict if the document changed" },
+        branch: branchProperty
+      },
+      required: ["path", "content"]
+    },
+    annotations: { destructiveHint: true, idempotentHint: true }
+  },
+  {
+    name: "deleteDoc",
+    description: "Delete a document. The delete is one commit.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: pathProperty,
+        message: { type: "string", description: "Commit message" },
+        sha: { type: "string", description: "Expected current sha" },
+        branch: branchProperty,
+        links: {
+          type: "string",
+          enum: ["keep", "refuse", "rewrite"],
+          description: "What to do when other documents link here: keep the links (default), refuse to delete, or rewrite them as plain text"
+        }
+      },
+      required: ["path"]
+    },
+    annotations: { destructiveHint: true }
+  }
+];
+
+function rpcResult(id, result) {
+  return { jsonrpc: "2.0", id, result };
+}
+
+export function rpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: "2.0", id, error };
+}
+
+function paramsError(message) {
+  const err = new Error(message);
+  err.rpcCode = INVALID_PARAMS;
+  return err;
+}
+
+// Build a document API URL. Each path segment is percent-encoded so "?" and "#" stay part of the
+// path, and "." / ".." segments are refused so a tool call cannot reach another endpoint.
+function docUrl(path, query) {
+  const clean = String(path || "").replace(/^\/+/, "");
+  const segments = clean.split("/");
+  if (segments.some((segment, i) => segment === "." || segment === ".." || (segment === "" && i < segments.length - 1))) {
+    throw paramsError(`Invalid path '${path}': '.', '..' and empty segments are not allowed`);
+  }
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== false) {
+      params.set(name, String(value));
+    }
+  }
+  const search = params.toString();
+  return `/d/${segments.map(encodeURIComponent).join("/")}${search ? "?" + search : ""}`;
+}
+
+function dirPath(path) {
+  const clean = String(path || "").replace(/^\/+|\/+$/g, "");
+  return clean ? clean + "/" : "";
+}
+
+function pick(args, names) {
+  const body = {};
+  for (const name of names) {
+    if (args[name] !== undefined) {
+      body[name] = args[name];
+    }
+  }
+  return body;
+}
+
+// Tool results carry the API response as JSON text; API errors become isError results so the
+// model can read them (e.g. a 409 with the current content) and retry.
+function toolResult({ status, json }) {
+  const result = { content: [{ type: "text", text: JSON.stringify(json, null, 2) }] };
+  if (status >= 400) {
+    result.isError = true;
+  }
+  return result;
+}
+
+async function callTool(params, api) {
+  const { name } = params;
+  const args = params.arguments || {};
+  if (typeof args !== "object" || Array.isArray(args)) {
+    throw paramsError("Tool arguments must be an object");
+  }
+  const tool = MCP_TOOLS.find(t => t.name === name);
+  if (!tool) {
+    throw paramsError(`Unknown tool: ${name}`);
+  }
+  for (const field of tool.inputSchema.required || []) {
+    if (typeof args[field] !== "string") {
+      throw paramsError(`Tool ${name} requires a string '${field}' argument`);
+    }
+  }
+
+  if (name === "listDocs") {
+    return toolResult(await api.request("GET", docUrl(dirPath(args.path), { ref: args.ref, recursive: args.recursive === true })));
+  }
+  if (name === "getDoc") {
+    return toolResult(await api.request("GET", docUrl(args.path, {
+      ref: args.ref,
+      frontMatter: args.frontMatter === true,
+      lines: args.lines,
+      section: args.section
+    })));
+  }
+  if (name === "upsertDoc") {
+    return toolResult(await api.request("PUT", docUrl(args.path, {}), pick(args, ["content", "message", "sha", "branch"])));
+  }
+  return toolResult(await api.request("DELETE", docUrl(args.path, {}), pick(args, ["message", "sha", "branch", "links"])));
+}
+
+async function listResources(params, api) {
+  const offset = params.cursor ? parseInt(params.cursor, 10) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw paramsError("Invalid cursor");
+  }
+  const { status, json } = await api.request("GET", "/tree");
+  if (status >= 400) {
+    const err = new Error(json && json.error ? json.error : `Listing documents failed with ${status}`);
+    err.data = json;
+    throw err;
+  }
+  const files = json.items.filter(item => item.type === "file");
+  const page = files.slice(offset, offset + RESOURCE_PAGE_SIZE);
+  const result = {
+    resources: page.map(item => ({
+      uri: RESOURCE_URI_PREFIX + item.path,
+      name: item.name || item.path.substring(item.path.lastIndexOf("/") + 1),
+      title: item.path,
+      ...(item.size !== undefined ? { size: item.size } : {})
+    }))
+  };
+  if (offset + RESOURCE_PAGE_SIZE < files.length) {
+    result.nextCursor = String(offset + RESOURCE_PAGE_SIZE);
+  }
+  return result;
+}
+
+async function readResource(params, api) {
+  const { uri } = params;
+  if (typeof uri !== "string" || !uri.startsWith(RESOURCE_URI_PREFIX) || uri.length === RESOURCE_URI_PREFIX.length) {
+    throw paramsError(`Expected a resource URI like ${RESOURCE_URI_PREFIX}path/to/doc.md`);
+  }
+  const { status, json } = await api.request("GET", docUrl(uri.substring(RESOURCE_URI_PREFIX.length), {}));
+  if (status === 404) {
+    const err = new Error("Resource not found");
+    err.rpcCode = RESOURCE_NOT_FOUND;
+    err.data = { uri };
+    throw err;
+  }
+  if (status >= 400) {
+    const err = new Error(json && json.error ? json.error : `Reading ${uri} failed with ${status}`);
+    err.data = json;
+    throw err;
+  }
+  const mimeType = json.contentType ? json.contentType.split(";")[0] : undefined;
+  const content = json.encoding === "base64" ? { blob: json.content } : { text: json.content };
+  return { contents: [{ uri, ...(mimeType ? { mimeType } : {}), ...content }] };
+}
+
+function initialize(params) {
+  const requested = params.protocolVersion;
+  return {
+    protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+    capabilities: { tools: {}, resources: {} },
+    serverInfo: { name: "docstore", version: "1.0.0" },
+    instructions: "Documents are files in a Git repository. Read with getDoc before editing and pass its sha to upsertDoc so concurrent edits are not lost."
+  };
+}
+
+const METHODS = {
+  "initialize": params => initialize(params),
+  "ping": () => ({}),
+  "tools/list": () => ({ tools: MCP_TOOLS }),
+  "tools/call": (params, api) => callTool(params, api),
+  "resources/list": (params, api) => listResources(params, api),
+  "resources/templates/list": () => ({
+    resourceTemplates: [{
+      uriTemplate: `${RESOURCE_URI_PREFIX}{+path}`,
+      name: "document",
+      description: "A document by path"
+    }]
+  }),
+  "resources/read": (params, api) => readResource(params, api)
+};
+
+// Answer one JSON-RPC message. Returns the response, or null for notifications and responses.
+async function handleMessage(message, api) {
+  if (!message || typeof message !== "object" || Array.isArray(message) || message.jsonrpc !== "2.0") {
+    return rpcError(null, INVALID_REQUEST, "Invalid JSON-RPC message");
+  }
+  const isRequest = message.id !== undefined && message.id !== null;
+  if (typeof message.method !== "string") {
+    // A response to something we never send, or a malformed message
+    return isRequest ? rpcError(message.id, INVALID_REQUEST, "Missing method") : null;
+  }
+  if (!isRequest) {
+    // Notifications (notifications/initialized, notifications/cancelled, ...) need no answer
+    return null;
+  }
+  const method = METHODS[message.method];
+  if (!method) {
+    return rpcError(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+  }
+  try {
+    const params = message.params && typeof message.params === "object" ? message.params : {};
+    return rpcResult(message.id, await method(params, api));
+  } catch (err) {
+    if (!err.rpcCode) {
+      console.error(`MCP ${message.method} error`, err);
+    }
+    return rpcError(message.id, err.rpcCode || INTERNAL_ERROR, err.message || "Internal error", err.data);
+  }
+}
+
+// Answer a POSTed payload: one message or a batch. Returns the response body, or null when
+// there is nothing to send back (HTTP 202).
+export async function handleMcpPayload(payload, api) {
+  if (Array.isArray(payload)) {
+    if (payload.length === 0) {
+      return rpcError(null, INVALID_REQUEST, "Empty batch");
+    }
+    const responses = [];
+    for (const message of payload) {
+      const response = await handleMessage(message, api);
+      if (response) {
+        responses.push(response);
+      }
+    }
+    return responses.length > 0 ? responses : null;
+  }
+  return handleMessage(payload, api);
+}
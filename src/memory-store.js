@@ -0,0 +1,335 @@
+// In-memory, git-like storage backend for tests and local development (DOCSTORE_BACKEND=memory).
+//
+// It keeps blobs, trees, commits and branches the way a git repository does, so history, diffs,
+// restores, batch commits and draft branches behave as they do against GitHub. Blob shas are
+// real git blob shas; tree and commit shas are derived the same way but are not git-compatible.
+// Pull requests are not supported.
+//
+// createMemoryStore({ branch, files }) seeds `branch` (default "main") with one commit holding
+// `files`, a map of repo path to UTF-8 text.
+
+function storeError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) {
+    err.code = code;
+  }
+  return err;
+}
+
+function encodeBase64(bytes) {
+  if (typeof Buffer !== "undefined") {
+    return Buffer.from(bytes).toString("base64");
+  }
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function decodeBase64(str) {
+  const clean = str.replace(/\s/g, "");
+  if (typeof Buffer !== "undefined") {
+    return new Uint8Array(Buffer.from(clean, "base64"));
+  }
+  const binary = atob(clean);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+async function sha1Hex(bytes) {
+  const digest = await crypto.subtle.digest("SHA-1", bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function concatBytes(a, b) {
+  const buf = new Uint8Array(a.length + b.length);
+  buf.set(a, 0);
+  buf.set(b, a.length);
+  return buf;
+}
+
+function baseName(path) {
+  return path.substring(path.lastIndexOf("/") + 1);
+}
+
+export function createMemoryStore(options = {}) {
+  const defaultBranch = options.branch || "main";
+  const blobs = new Map();    // sha -> { content (base64), size }
+  const trees = new Map();    // sha -> [{ path (name), type, mode, sha, size? }]
+  const commits = new Map();  // sha -> { sha, treeSha, treeShas, files, parents, message, author, committer }
+  const branches = new Map(); // name -> commit sha
+  let sequence = 0;
+
+  async function putBlob(base64) {
+    const bytes = decodeBase64(base64);
+    const sha = await sha1Hex(concatBytes(new TextEncoder().encode(`blob ${bytes.length}\0`), bytes));
+    blobs.set(sha, { content: encodeBase64(bytes), size: bytes.length });
+    return sha;
+  }
+
+  // Build the tree objects for a flat path -> { sha, mode } snapshot.
+  // Returns the root tree sha and the sha of every directory ("" is the root).
+  async function writeTrees(files) {
+    const dirs = new Map([["", []]]);
+    for (const [path, file] of [...files].sort(([a], [b]) => (a < b ? -1 : 1))) {
+      const parts = path.split("/");
+      for (let i = 1; i < parts.length; i++) {
+        const dir = parts.slice(0, i).join("/");
+        if (!dirs.has(dir)) {
+          dirs.set(dir, []);
+          dirs.get(parts.slice(0, i - 1).join("/")).push({ dir });
+        }
+      }
+      dirs.get(parts.slice(0, -1).join("/")).push({ file: path, ...file });
+    }
+
+    const treeShas = new Map();
+    const writeDir = async (dir) => {
+      const entries = [];
+      for (const child of dirs.get(dir)) {
+        if (child.dir !== undefined) {
+          entries.push({ path: baseName(child.dir), type: "tree", mode: "040000", sha: await writeDir(child.dir) });
+        } else {
+          entries.push({ path: baseName(child.file), type: "blob", mode: child.mode, sha: child.sha, size: blobs.get(child.sha).size });
+        }
+      }
+      const sha = await sha1Hex(new TextEncoder().encode(`tree ${JSON.stringify(entries)}`));
+      trees.set(sha, entries);
+      treeShas.set(dir, sha);
+      return sha;
+    };
+    const rootSha = await writeDir("");
+    return { rootSha, treeShas };
+  }
+
+  async function writeCommit(parentSha, files, message, identity = {}) {
+    const { rootSha, treeShas } = await writeTrees(files);
+    const date = new Date().toISOString();
+    const author = { name: "Docstore", email: "docstore@localhost", ...identity.author, date };
+    const committer = { ...author, ...identity.committer, date };
+    const parents = parentSha ? [parentSha] : [];
+    const sha = await sha1Hex(new TextEncoder().encode(
+      `commit ${rootSha} ${parents.join(" ")} ${date} ${sequence++}\n${message}`
+    ));
+    const commit = { sha, treeSha: rootSha, treeShas, files, parents, message, author, committer };
+    commits.set(sha, commit);
+    return commit;
+  }
+
+  // The shape GitHub returns for the commit of a contents write
+  function writeResult(commit) {
+    return { sha: commit.sha, message: commit.message, html_url: null, author: commit.author, committer: commit.committer };
+  }
+
+  const ready = (async () => {
+    const files = new Map();
+    for (const [path, text] of Object.entries(options.files || {})) {
+      const sha = await putBlob(encodeBase64(new TextEncoder().encode(text)));
+      files.set(path, { sha, mode: "100644" });
+    }
+    const commit = await writeCommit(null, files, options.message || "Initial commit");
+    branches.set(defaultBranch, commit.sha);
+  })();
+
+  function resolve(ref) {
+    if (branches.has(ref)) {
+      return commits.get(branches.get(ref));
+    }
+    const commit = commits.get(ref) || [...commits.values()].find(c => ref.length >= 7 && c.sha.startsWith(ref));
+    if (!commit) {
+      throw storeError(404, `No commit found for the ref ${ref}`);
+    }
+    return commit;
+  }
+
+  function branchHead(branch) {
+    if (!branches.has(branch)) {
+      throw storeError(404, `Branch not found: ${branch}`);
+    }
+    return commits.get(branches.get(branch));
+  }
+
+  async function advance(branch, head, files, message, identity) {
+    const commit = await writeCommit(head.sha, files, message, identity);
+    branches.set(branch, commit.sha);
+    return commit;
+  }
+
+  // What a path looks like at a commit, for deciding whether a commit touched it
+  function pathState(commit, path) {
+    if (commit.files.has(path)) {
+      return commit.files.get(path).sha;
+    }
+    return commit.treeShas.get(path) || null;
+  }
+
+  return {
+    name: "memory",
+
+    async getContent(path, ref) {
+      await ready;
+      const commit = resolve(ref);
+      const file = commit.files.get(path);
+      if (file) {
+        const blob = blobs.get(file.sha);
+        return { type: "file", name: baseName(path), path, sha: file.sha, size: blob.size, encoding: "base64", content: blob.content };
+      }
+      const prefix = path ? path + "/" : "";
+      if (path && !commit.treeShas.has(path)) {
+        throw storeError(404, "Not Found");
+      }
+      const items = new Map();
+      for (const [filePath, entry] of commit.files) {
+        if (!filePath.startsWith(prefix)) {
+          continue;
+        }
+        const rest = filePath.substring(prefix.length);
+        const slash = rest.indexOf("/");
+        if (slash === -1) {
+          items.set(rest, { type: "file", name: rest, path: filePath, sha: entry.sha, size: blobs.get(entry.sha).size });
+        } else {
+          const name = rest.substring(0, slash);
+          items.set(name, { type: "dir", name, path: prefix + name, sha: commit.treeShas.get(prefix + name) });
+        }
+      }
+      return [...items.values()].sort((a, b) => (a.name < b.name ? -1 : 1));
+    },
+
+    async putContent(path, content, { message, sha, branch, author, committer }) {
+      await ready;
+      const head = branchHead(branch);
+      if (head.treeShas.has(path)) {
+        throw storeError(422, `${path} is a directory`);
+      }
+      const existing = head.files.get(path);
+      if (existing && !sha) {
+        throw storeError(422, "Invalid request. \"sha\" wasn't supplied.");
+      }
+      if (sha && (!existing || existing.sha !== sha)) {
+        throw storeError(409, `${path} does not match ${sha}`);
+      }
+      const blobSha = await putBlob(content);
+      const files = new Map(head.files);
+      files.set(path, { sha: blobSha, mode: existing ? existing.mode : "100644" });
+      const commit = await advance(branch, head, files, message, { author, committer });
+      return { content: { name: baseName(path), path, sha: blobSha }, commit: writeResult(commit) };
+    },
+
+    async deleteContent(path, { message, sha, branch, author, committer }) {
+      await ready;
+      const head = branchHead(branch);
+      const existing = head.files.get(path);
+      if (!existing) {
+        throw storeError(404, "Not Found");
+      }
+      if (sha && existing.sha !== sha) {
+        throw storeError(409, `${path} does not match ${sha}`);
+      }
+      const files = new Map(head.files);
+      files.delete(path);
+      const commit = await advance(branch, head, files, message, { author, committer });
+      return { commit: writeResult(commit) };
+    },
+
+    // Commits that changed a path, newest first, following first parents
+    async listCommits(path, { ref, page, perPage }) {
+      await ready;
+      const touched = [];
+      for (let commit = resolve(ref); commit; commit = commits.get(commit.parents[0])) {
+        const parent = commits.get(commit.parents[0]);
+        const before = parent ? pathState(parent, path) : null;
+        if (pathState(commit, path) !== before) {
+          touched.push(commit);
+        }
+      }
+      return touched.slice((page - 1) * perPage, page * perPage).map(c => ({
+        sha: c.sha,
+        message: c.message,
+        author: { name: c.author.name, email: c.author.email, date: c.author.date },
+        committer: { name: c.committer.name, email: c.committer.email, date: c.committer.date },
+        parents: c.parents,
+        url: null
+      }));
+    },
+
+    async getCommit(ref) {
+      await ready;
+      const commit = resolve(ref);
+      return { sha: commit.sha, treeSha: commit.treeSha };
+    },
+
+    async getTree(sha, { recursive } = {}) {
+      await ready;
+      if (!trees.has(sha)) {
+        throw storeError(404, "Not Found");
+      }
+      const expand = (treeSha, prefix) => trees.get(treeSha).flatMap(entry => {
+        const item = { ...entry, path: prefix + entry.path };
+        return recursive && entry.type === "tree" ? [item, ...expand(entry.sha, item.path + "/")] : [item];
+      });
+      return { tree: expand(sha, ""), truncated: false };
+    },
+
+    async getBlob(sha) {
+      await ready;
+      const blob = blobs.get(sha);
+      if (!blob) {
+        throw storeError(404, "Not Found");
+      }
+      return { sha, size: blob.size, encoding: "base64", content: blob.content };
+    },
+
+    // changes: [{ path, content }] (UTF-8 text), [{ path, sha, mode }] (existing blob) or
+    // [{ path, sha: null }] (delete). Fails with 409 unless the branch still points at parentSha.
+    async commitChanges({ branch, parentSha, changes, message, author, committer }) {
+      await ready;
+      const head = branchHead(branch);
+      if (head.sha !== parentSha) {
+        throw storeError(409, `Branch ${branch} changed while committing; no changes were applied`, "conflict");
+      }
+      const files = new Map(head.files);
+      for (const change of changes) {
+        if (change.sha === null) {
+          files.delete(change.path);
+        } else if (typeof change.content === "string") {
+          const sha = await putBlob(encodeBase64(new TextEncoder().encode(change.content)));
+          files.set(change.path, { sha, mode: change.mode || "100644" });
+        } else {
+          if (!blobs.has(change.sha)) {
+            throw storeError(422, `Blob not found: ${change.sha}`);
+          }
+          files.set(change.path, { sha: change.sha, mode: change.mode || "100644" });
+        }
+      }
+      return writeResult(await advance(branch, head, files, message, { author, committer }));
+    },
+
+    async getBranch(name) {
+      await ready;
+      return branches.has(name) ? { name, sha: branches.get(name) } : null;
+    },
+
+    async createBranch(name, { sha }) {
+      await ready;
+      if (branches.has(name)) {
+        return false;
+      }
+      resolve(sha);
+      branches.set(name, sha);
+      return true;
+    },
+
+    async listBranches(prefix) {
+      await ready;
+      return [...branches.keys()]
+        .filter(name => name.startsWith(prefix))
+        .sort()
+        .map(name => ({ name, sha: branches.get(name) }));
+    }
+  };
+}
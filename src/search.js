@@ -0,0 +1,49 @@
+// Text matching for GET /search. The index of document contents is maintained in worker.js;
+// this module only finds matches in a single document and formats snippets.
+
+const SNIPPET_RADIUS = 60;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Cut a line down to the text around [start, end) and wrap the match in ** markers.
+export function makeSnippet(line, start, end, radius = SNIPPET_RADIUS) {
+  const from = Math.max(0, start - radius);
+  const to = Math.min(line.length, end + radius);
+  return (from > 0 ? "…" : "") +
+    line.substring(from, start) +
+    "**" + line.substring(start, end) + "**" +
+    line.substring(end, to) +
+    (to < line.length ? "…" : "");
+}
+
+// Find occurrences of a literal query in content.
+// Returns { count, matches: [{ line, column, snippet }] } with 1-based line/column;
+// count includes matches beyond maxMatches.
+export function findMatches(content, query, options = {}) {
+  const maxMatches = options.maxMatches || 5;
+  const re = new RegExp(escapeRegExp(query), options.caseSensitive ? "g" : "gi");
+  const lines = content.split("\n");
+  const matches = [];
+  let count = 0;
+  lines.forEach((rawLine, idx) => {
+    const line = rawLine.replace(/\r$/, "");
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(line)) !== null) {
+      count++;
+      if (matches.length < maxMatches) {
+        matches.push({
+          line: idx + 1,
+          column: m.index + 1,
+          snippet: makeSnippet(line, m.index, m.index + m[0].length)
+        });
+      }
+      if (m[0].length === 0) {
+        re.lastIndex++;
+      }
+    }
+  });
+  return { count, matches };
+}
@@ -0,0 +1,144 @@
+// Validation of document writes (PUT, PATCH and batch operations).
+//
+// Rules (the VALIDATION_RULES variable, a JSON object; every field is optional):
+//   extensions          - allowed file extensions without the dot (["md", "json"]); any when unset
+//   maxBytes            - largest document accepted, in bytes
+//   allowEmpty          - set to false to reject empty documents
+//   forbiddenSegments   - path segments that may not appear (default [".git"]); "", "." and ".." never may
+//   forbiddenChars      - characters that may not appear in a path (default \ : * ? " < > |);
+//                         control characters never may
+//   checkSyntax         - parse .json and .yaml/.yml documents and Markdown front matter
+//   requiredFrontMatter - { "ftl/": ["status", "owner"] }: front matter fields every Markdown
+//                         document under a directory must have ("" applies to every document)
+//
+// validateDocument returns every violation found as { path, rule, message }; an empty list
+// means the write is allowed.
+
+import { parseFrontMatter, parseYaml } from "./markdown.js";
+
+export const DEFAULT_VALIDATION_RULES = {
+  extensions: null,
+  maxBytes: null,
+  allowEmpty: true,
+  forbiddenSegments: [".git"],
+  forbiddenChars: "\\:*?\"<>|",
+  checkSyntax: false,
+  requiredFrontMatter: {}
+};
+
+const ALWAYS_FORBIDDEN_SEGMENTS = ["", ".", ".."];
+const MARKDOWN_EXTENSIONS = ["md", "markdown"];
+
+export function parseValidationRules(config) {
+  let rules = config;
+  if (typeof rules === "string") {
+    try {
+      rules = JSON.parse(rules);
+    } catch {
+      console.error("Ignoring VALIDATION_RULES: not valid JSON");
+      rules = null;
+    }
+  }
+  return { ...DEFAULT_VALIDATION_RULES, ...(rules && typeof rules === "object" ? rules : {}) };
+}
+
+function extensionOf(path) {
+  const name = path.substring(path.lastIndexOf("/") + 1);
+  const dot = name.lastIndexOf(".");
+  return dot <= 0 ? "" : name.substring(dot + 1).toLowerCase();
+}
+
+function violation(path, rule, message) {
+  return { path, rule, message };
+}
+
+// Path rules only; used for move and copy targets as well as written documents
+export function validatePath(rules, path) {
+  const violations = [];
+  const segments = path.split("/");
+  const forbiddenSegments = [...ALWAYS_FORBIDDEN_SEGMENTS, ...(rules.forbiddenSegments || [])];
+  for (const segment of segments) {
+    if (forbiddenSegments.includes(segment)) {
+      violations.push(violation(path, "forbidden_segment", segment === ""
+        ? "Path may not contain empty segments"
+        : `Path segment '${segment}' is not allowed`));
+      break;
+    }
+  }
+  const forbiddenChars = rules.forbiddenChars || "";
+  const bad = [...new Set([...path].filter(ch => forbiddenChars.includes(ch) || ch < " " || ch === "\x7f"))];
+  if (bad.length > 0) {
+    violations.push(violation(path, "forbidden_chars",
+      `Path contains characters that are not allowed: ${bad.map(ch => JSON.stringify(ch)).join(", ")}`));
+  }
+  return violations;
+}
+
+function checkSyntax(path, ext, text) {
+  try {
+    if (ext === "json") {
+      JSON.parse(text);
+    } else if (ext === "yaml" || ext === "yml") {
+      parseYaml(text);
+    }
+    return [];
+  } catch (err) {
+    return [violation(path, "syntax", `Invalid ${ext === "json" ? "JSON" : "YAML"}: ${err.message}`)];
+  }
+}
+
+function requiredFields(rules, path) {
+  const fields = [];
+  for (const [dir, names] of Object.entries(rules.requiredFrontMatter || {})) {
+    const prefix = dir.replace(/^\/+/, "");
+    if (prefix === "" || path.startsWith(prefix.endsWith("/") ? prefix : prefix + "/")) {
+      fields.push(...names.filter(name => !fields.includes(name)));
+    }
+  }
+  return fields;
+}
+
+// Validate a write of `path`. Options: size (bytes) and text (the document as text, null for
+// binary content); without them only the path and extension are checked.
+export function validateDocument(rules, path, options = {}) {
+  const violations = validatePath(rules, path);
+  const ext = extensionOf(path);
+  if (rules.extensions && !rules.extensions.map(e => e.replace(/^\./, "").toLowerCase()).includes(ext)) {
+    violations.push(violation(path, "extension", ext
+      ? `Files with extension '.${ext}' are not allowed`
+      : "Files without an extension are not allowed"));
+  }
+  if (options.size === undefined) {
+    return violations;
+  }
+
+  if (options.size === 0 && rules.allowEmpty === false) {
+    violations.push(violation(path, "empty", "Empty documents are not allowed"));
+  }
+  if (rules.maxBytes && options.size > rules.maxBytes) {
+    violations.push(violation(path, "max_bytes", `Document is ${options.size} bytes; the limit is ${rules.maxBytes}`));
+  }
+  const text = options.text;
+  if (typeof text !== "string") {
+    return violations;
+  }
+
+  if (rules.checkSyntax) {
+    violations.push(...checkSyntax(path, ext, text));
+  }
+  if (MARKDOWN_EXTENSIONS.includes(ext)) {
+    const required = requiredFields(rules, path);
+    if (rules.checkSyntax || required.length > 0) {
+      const { frontMatter, error } = parseFrontMatter(text);
+      if (error) {
+        violations.push(violation(path, "front_matter", error));
+      } else {
+        const missing = required.filter(name => !frontMatter || frontMatter[name] === undefined || frontMatter[name] === null);
+        if (missing.length > 0) {
+          violations.push(violation(path, "required_front_matter", `Missing front matter fields: ${missing.join(", ")}`));
+        }
+      }
+    }
+  }
+  return violations;
+}
@@ -1,3 +1,12 @@
+import { applyEdits } from "./edits.js";
+import { createUnifiedDiff } from "./diff.js";
+import { findMatches } from "./search.js";
+import { parseFrontMatter, setFrontMatterFields, countLines, sliceLines, findSections, buildOutline } from "./markdown.js";
+import { parseValidationRules, validateDocument } from "./validation.js";
+import { createMemoryStore } from "./memory-store.js";
+import { handleMcpPayload, rpcError, PARSE_ERROR } from "./mcp.js";
+import { extractLinks, createLinkResolver, rewriteLinks, isMarkdownPath } from "./links.js";
+
 const GITHUB_API_BASE = "https://api.github.com";
 
 // Base64 helpers that work in both Cloudflare Workers and Node (for tests)
@@ -41,12 +50,17 @@ export function fromBase64(str) {
   throw new Error("No base64 decoder available for fromBase64");
 }
 
-export async function githubRequest(method, path, env, body) {
-  const url = `${GITHUB_API_BASE}${path}`;
+// Options: headers - extra request headers; withResponse - resolve to { json, status, etag }
+// instead of the parsed body, and treat 304 Not Modified as a success.
+// With DOCSTORE_BACKEND=gitea the same calls go to the Gitea API at GITEA_URL.
+export async function githubRequest(method, path, env, body, options = {}) {
+  const gitea = env.DOCSTORE_BACKEND === "gitea";
+  const url = gitea ? `${(env.GITEA_URL || "").replace(/\/+$/, "")}/api/v1${path}` : `${GITHUB_API_BASE}${path}`;
   const headers = {
-    "Authorization": `Bearer ${env.GITHUB_TOKEN}`,
+    "Authorization": gitea ? `token ${env.GITEA_TOKEN || env.GITHUB_TOKEN}` : `Bearer ${env.GITHUB_TOKEN}`,
     "Accept": "application/vnd.github+json",
-    "User-Agent": "cloudflare-docstore-worker"
+    "User-Agent": "cloudflare-docstore-worker",
+    ...options.headers
   };
 
   const init = {
@@ -59,24 +73,149 @@ export async function githubRequest(method, path, env, body) {
     headers["Content-Type"] = "application/json";
   }
 
-  const res = await fetch(url, init);
-  const text = await res.text();
-  let json;
-  try {
-    json = text ? JSON.parse(text) : null;
-  } catch {
-    json = text;
-  }
+  const maxRetries = parseInt(env.GITHUB_MAX_RETRIES || "3", 10);
+  const maxWait = parseInt(env.GITHUB_MAX_RETRY_WAIT || "10", 10);
+  // A write answered with a 5xx may still have been applied, and replaying it would commit
+  // twice or report a false conflict, so writes only retry what GitHub certainly refused
+  const idempotent = IDEMPOTENT_METHODS.includes(method);
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (networkErr) {
+      if (attempt < maxRetries) {
+        await sleep(retryDelay(env, attempt));
+        continue;
+      }
+      const err = new Error(`GitHub API unreachable: ${networkErr.message}`);
+      err.status = 503;
+      err.code = "upstream_unavailable";
+      throw err;
+    }
+    recordRateLimit(res);
+
+    const text = await res.text();
+    let json;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = text;
+    }
+
+    if (options.withResponse && res.status === 304) {
+      return { json: null, status: 304, etag: null };
+    }
+    if (res.ok) {
+      if (options.withResponse) {
+        return { json, status: res.status, etag: responseHeader(res, "ETag") };
+      }
+      return json;
+    }
 
-  if (!res.ok) {
     const message = (json && json.message) ? json.message : `GitHub API error ${res.status}`;
+    if (isRateLimited(res, message)) {
+      const wait = rateLimitWait(res);
+      const refused = idempotent || responseHeader(res, "Retry-After") !== null;
+      if (refused && attempt < maxRetries && wait !== null && wait <= maxWait) {
+        await sleep(wait * 1000);
+        continue;
+      }
+      const err = new Error(`GitHub rate limit exceeded: ${message}`);
+      err.status = 429;
+      err.code = "rate_limited";
+      // GitHub asks for at least a minute when it does not say how long
+      err.retryAfter = wait === null ? 60 : wait;
+      err.githubBody = json;
+      throw err;
+    }
+    if (idempotent && RETRYABLE_STATUSES.includes(res.status) && attempt < maxRetries) {
+      await sleep(retryDelay(env, attempt));
+      continue;
+    }
+
     const err = new Error(message);
     err.status = res.status;
     err.githubBody = json;
+    if (RETRYABLE_STATUSES.includes(res.status)) {
+      err.status = res.status === 503 ? 503 : 502;
+      err.code = "upstream_unavailable";
+    }
     throw err;
   }
+}
+
+// GitHub answers transient failures with these; reads are retried with backoff
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Rate limit most recently reported by GitHub to this isolate, shown by /health
+let lastRateLimit = null;
+
+function responseHeader(res, name) {
+  return res.headers ? res.headers.get(name) : null;
+}
+
+function recordRateLimit(res) {
+  const limit = responseHeader(res, "X-RateLimit-Limit");
+  if (!limit) {
+    return;
+  }
+  const reset = Number(responseHeader(res, "X-RateLimit-Reset"));
+  lastRateLimit = {
+    limit: Number(limit),
+    remaining: Number(responseHeader(res, "X-RateLimit-Remaining")),
+    used: Number(responseHeader(res, "X-RateLimit-Used")),
+    reset: reset ? new Date(reset * 1000).toISOString() : null,
+    resource: responseHeader(res, "X-RateLimit-Resource") || "core"
+  };
+}
+
+// Primary limits come back as 403/429 with X-RateLimit-Remaining: 0; secondary limits as
+// 403/429 with Retry-After or a "secondary rate limit" message.
+function isRateLimited(res, message) {
+  if (res.status !== 403 && res.status !== 429) {
+    return false;
+  }
+  return res.status === 429 ||
+    responseHeader(res, "X-RateLimit-Remaining") === "0" ||
+    responseHeader(res, "Retry-After") !== null ||
+    /rate limit/i.test(message);
+}
+
+// Seconds to wait before retrying a rate-limited request, or null if GitHub did not say
+function rateLimitWait(res) {
+  const retryAfter = responseHeader(res, "Retry-After");
+  if (retryAfter !== null && retryAfter !== "" && Number.isFinite(Number(retryAfter))) {
+    return Math.max(0, Number(retryAfter));
+  }
+  const reset = responseHeader(res, "X-RateLimit-Reset");
+  if (responseHeader(res, "X-RateLimit-Remaining") === "0" && reset) {
+    return Math.max(0, Math.ceil(Number(reset) - Date.now() / 1000));
+  }
+  return null;
+}
+
+// Exponential backoff with full jitter: up to GITHUB_RETRY_BASE_MS (default 250) * 2^attempt
+function retryDelay(env, attempt) {
+  const base = parseInt(env.GITHUB_RETRY_BASE_MS || "250", 10);
+  return Math.random() * Math.min(base * 2 ** attempt, 8000);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-  return json;
+// Current GitHub rate limit: the last one seen by this isolate, or asked for directly
+// (GET /rate_limit does not count against the limit).
+export async function githubRateLimit(env) {
+  if (!lastRateLimit && env.GITHUB_TOKEN) {
+    try {
+      await githubRequest("GET", "/rate_limit", { ...env, GITHUB_MAX_RETRIES: "0" });
+    } catch (err) {
+      console.error("GET /rate_limit error", err);
+    }
+  }
+  return lastRateLimit;
 }
 
 export function normalizeBaseDir(env) {
@@ -110,342 +249,4310 @@ export function logicalPathFromGitPath(env, gitPath) {
   return gitPath;
 }
 
-export async function getFile(env, docPath) {
-  const { GITHUB_OWNER, GITHUB_REPO, GITHUB_BRANCH } = env;
-  const repoPath = buildRepoPath(env, docPath);
-  const apiPath = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(repoPath)}?ref=${encodeURIComponent(GITHUB_BRANCH)}`;
-
-  return githubRequest("GET", apiPath, env);
+// Base64 <-> bytes, for content that may not be UTF-8 text
+export function base64ToBytes(str) {
+  const clean = str.replace(/\s/g, "");
+  if (typeof Buffer !== "undefined") {
+    return new Uint8Array(Buffer.from(clean, "base64"));
+  }
+  const binary = atob(clean);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
 }
 
-export async function putFile(env, docPath, content, commitMessage) {
-  const { GITHUB_OWNER, GITHUB_REPO, GITHUB_BRANCH } = env;
-  const repoPath = buildRepoPath(env, docPath);
-  const apiPath = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(repoPath)}`;
-
-  let existingSha = null;
-  try {
-    const current = await getFile(env, docPath);
-    existingSha = current.sha;
-  } catch (err) {
-    if (err.status !== 404) {
-      throw err;
-    }
+export function bytesToBase64(bytes) {
+  if (typeof Buffer !== "undefined") {
+    return Buffer.from(bytes).toString("base64");
   }
-
-  const body = {
-    message: commitMessage || (existingSha ? `Update ${repoPath}` : `Create ${repoPath}`),
-    content: toBase64(content),
-    branch: GITHUB_BRANCH
-  };
-
-  if (existingSha) {
-    body.sha = existingSha;
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
   }
-
-  return githubRequest("PUT", apiPath, env, body);
+  return btoa(binary);
 }
 
-export async function deleteFile(env, docPath, commitMessage) {
-  const { GITHUB_OWNER, GITHUB_REPO, GITHUB_BRANCH } = env;
-  const repoPath = buildRepoPath(env, docPath);
-  const apiPath = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(repoPath)}`;
+export function isBase64(str) {
+  const clean = str.replace(/\s/g, "");
+  return clean.length % 4 === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(clean);
+}
 
-  const current = await getFile(env, docPath);
+// Decode base64 content as UTF-8 text, or return null when it is binary
+// (contains NUL bytes or is not valid UTF-8).
+export function decodeText(base64) {
+  const bytes = base64ToBytes(base64);
+  if (bytes.includes(0)) {
+    return null;
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
 
-  const body = {
-    message: commitMessage || `Delete ${repoPath}`,
-    sha: current.sha,
-    branch: GITHUB_BRANCH
-  };
+const CONTENT_TYPES = {
+  md: "text/markdown",
+  markdown: "text/markdown",
+  txt: "text/plain",
+  csv: "text/csv",
+  html: "text/html",
+  htm: "text/html",
+  css: "text/css",
+  js: "text/javascript",
+  json: "application/json",
+  yaml: "application/yaml",
+  yml: "application/yaml",
+  xml: "application/xml",
+  svg: "image/svg+xml",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  ico: "image/x-icon",
+  pdf: "application/pdf",
+  zip: "application/zip",
+  mp3: "audio/mpeg",
+  mp4: "video/mp4"
+};
 
-  return githubRequest("DELETE", apiPath, env, body);
+// Guess a Content-Type from a file name; text types get a UTF-8 charset.
+export function contentTypeForPath(path) {
+  const name = path.substring(path.lastIndexOf("/") + 1);
+  const dot = name.lastIndexOf(".");
+  const type = (dot > 0 && CONTENT_TYPES[name.substring(dot + 1).toLowerCase()]) || "application/octet-stream";
+  const isText = type.startsWith("text/") || ["application/json", "application/yaml", "application/xml", "image/svg+xml"].includes(type);
+  return isText ? `${type}; charset=utf-8` : type;
 }
 
-export async function listDocs(env, dirPath) {
-  const { GITHUB_OWNER, GITHUB_REPO, GITHUB_BRANCH } = env;
-  const repoPath = buildRepoPath(env, dirPath || "");
-  const apiPath = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(repoPath)}?ref=${encodeURIComponent(GITHUB_BRANCH)}`;
+// Storage backends. Documents are read and written through an object with these methods
+// (paths are full repo paths; refs are branch names, tags or commit shas):
+//   getContent(path, ref)                  - file { type: "file", name, path, sha, size, encoding,
+//                                            content } or a directory listing; 404 if missing
+//   putContent(path, base64, { message, sha, branch, author, committer })
+//                                          - { content: { sha, ... }, commit }; 409 if sha is stale,
+//                                            422 "sha wasn't supplied" if the file exists and no sha
+//                                            was given
+//   deleteContent(path, { message, sha, branch, author, committer }) - { commit }
+//   listCommits(path, { ref, page, perPage }) - commits that touched path, as mapCommit returns
+//   getCommit(ref)                         - { sha, treeSha }
+//   getTree(sha, { recursive })            - { tree: [{ path, type, mode, sha, size }], truncated }
+//   getBlob(sha)                           - { content, encoding }
+//   commitChanges({ branch, parentSha, baseTreeSha, changes, message, author, committer })
+//                                          - one commit, fast-forward only (409 otherwise)
+//   getBranch(name), createBranch(name, { sha }), listBranches(prefix)
+//   listPullRequests(base), findPullRequest(head, base), createPullRequest({ title, head, base,
+//   body }) - optional; drafts cannot be proposed on backends without them
+// DOCSTORE_BACKEND picks the backend: "github" (default), "gitea" (GITEA_URL, GITEA_TOKEN) or
+// "memory" (createMemoryStore; DOCSTORE_STORE may supply the store).
 
-  const res = await githubRequest("GET", apiPath, env);
-  if (!Array.isArray(res)) {
-    return [res];
+// The contents API leaves out the content of files over 1 MB (encoding "none");
+// the blobs API serves them up to 100 MB.
+async function withBlobContent(env, file, blobsPath) {
+  if (file && file.type === "file" && (file.encoding === "none" || (!file.content && file.size > 0))) {
+    const blob = await cachedGithubGet(env, `${blobsPath}/${file.sha}`);
+    return { ...file, content: blob.content, encoding: blob.encoding };
   }
-  return res;
+  return file;
 }
 
-function jsonResponse(obj, status = 200) {
-  return new Response(JSON.stringify(obj, null, 2), {
-    status,
-    headers: {
-      "Content-Type": "application/json"
+async function nullIfMissing(promise) {
+  try {
+    return await promise;
+  } catch (err) {
+    if (err.status === 404) {
+      return null;
     }
-  });
+    throw err;
+  }
 }
 
-function notFound(message = "Not found") {
-  return jsonResponse({ error: message }, 404);
-}
+function githubBackend(env) {
+  const repoPath = `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}`;
+  const gitPath = `${repoPath}/git`;
+  return {
+    name: "github",
 
-function badRequest(message = "Bad request") {
-  return jsonResponse({ error: message }, 400);
-}
+    async getContent(path, ref) {
+      const file = await cachedGithubGet(env, `${repoPath}/contents/${encodeURIComponent(path)}?ref=${encodeURIComponent(ref)}`);
+      return withBlobContent(env, file, `${gitPath}/blobs`);
+    },
 
-function checkAuth(request, env) {
-  const path = new URL(request.url).pathname;
-  // Allow unauthenticated health check only on /health path
-  if (path === "/health" && request.method === "GET") {
-    return { ok: true };
-  }
+    putContent(path, content, write) {
+      return githubRequest("PUT", `${repoPath}/contents/${encodeURIComponent(path)}`, env, { ...write, content });
+    },
 
-  const token = env.DOCSTORE_API_TOKEN;
-  if (!token) {
-    return { ok: false, status: 500, message: "DOCSTORE_API_TOKEN is not configured" };
-  }
-  const authHeader = request.headers.get("Authorization") || "";
-  const expected = `Bearer ${token}`;
-  if (authHeader !== expected) {
-    return { ok: false, status: 401, message: "Unauthorized" };
-  }
-  return { ok: true };
-}
+    deleteContent(path, write) {
+      return githubRequest("DELETE", `${repoPath}/contents/${encodeURIComponent(path)}`, env, write);
+    },
 
-function errorResponse(err, fallbackStatus = 500) {
-  const status = err.status || fallbackStatus;
-  const payload = {
-    error: err.message || "Internal error",
-    status,
-  };
-  if (err.githubBody) {
-    payload.githubBody = err.githubBody;
-  }
-  return jsonResponse(payload, status);
-}
+    async listCommits(path, { ref, page, perPage }) {
+      const params = new URLSearchParams({ path, sha: ref, page: String(page), per_page: String(perPage) });
+      const res = await cachedGithubGet(env, `${repoPath}/commits?${params.toString()}`);
+      return res.map(mapCommit);
+    },
 
-export default {
-  async fetch(request, env, ctx) {
-    try {
-      const auth = checkAuth(request, env);
-      if (!auth.ok) {
-        return jsonResponse({ error: auth.message }, auth.status);
-      }
+    async getCommit(ref) {
+      const commit = await cachedGithubGet(env, `${repoPath}/commits/${encodeURIComponent(ref)}`);
+      return { sha: commit.sha, treeSha: commit.commit.tree.sha };
+    },
 
-      const url = new URL(request.url);
-      const { pathname, searchParams } = url;
+    getTree(sha, options = {}) {
+      return cachedGithubGet(env, `${gitPath}/trees/${sha}${options.recursive ? "?recursive=1" : ""}`);
+    },
 
-      // Health check (auth already allowed above)
-      if (pathname === "/health" && request.method === "GET") {
-        return jsonResponse({ status: "ok" });
-      }
+    getBlob(sha) {
+      return githubRequest("GET", `${gitPath}/blobs/${sha}`, env);
+    },
 
-      // Echo endpoint for debugging request details
-      if (pathname === "/echo") {
-        let body = "";
-        try {
-          body = await request.text();
-        } catch {
-          body = "";
+    async commitChanges({ branch, parentSha, baseTreeSha, changes, message, author, committer }) {
+      const treeEntries = changes.map(change => {
+        if (typeof change.content === "string") {
+          return { path: change.path, mode: change.mode || "100644", type: "blob", content: change.content };
         }
-        const headers = {};
-        request.headers.forEach((value, key) => {
-          headers[key] = value;
-        });
-        const query = {};
-        searchParams.forEach((value, key) => {
-          query[key] = value;
-        });
-        return jsonResponse({
-          method: request.method,
-          url: request.url,
-          pathname,
-          query,
-          headers,
-          body
-        });
-      }
+        return { path: change.path, mode: change.mode || "100644", type: "blob", sha: change.sha };
+      });
 
-      // Alternate delete endpoint for environments that cannot send DELETE
-      if (pathname === "/delete" && request.method === "POST") {
-        let body;
-        try {
-          body = await request.json();
-        } catch {
-          return badRequest("Expected JSON body");
-        }
-        const requestPath = typeof body.path === "string" ? body.path : null;
-        if (!requestPath) {
-          return badRequest("Field 'path' (string) is required");
-        }
-        const commitMessage = typeof body.message === "string" ? body.message : undefined;
+      const tree = await githubRequest("POST", `${gitPath}/trees`, env, {
+        base_tree: baseTreeSha,
+        tree: treeEntries
+      });
+      const commit = await githubRequest("POST", `${gitPath}/commits`, env, {
+        message,
+        tree: tree.sha,
+        parents: [parentSha],
+        ...(author ? { author } : {}),
+        ...(committer ? { committer } : {})
+      });
 
-        // Allow leading slash, accidental /d/ prefix, or base dir prefix; normalize to logical path
-        let docPath = requestPath;
-        if (docPath.startsWith("/d/")) {
-          docPath = docPath.slice(3);
-        } else if (docPath.startsWith("d/")) {
-          docPath = docPath.slice(2);
+      try {
+        await githubRequest("PATCH", `${gitPath}/refs/heads/${branch}`, env, {
+          sha: commit.sha,
+          force: false
+        });
+      } catch (err) {
+        // GitHub answers 422 "Update is not a fast forward" when the branch moved underneath us
+        if (err.status === 422 || err.status === 409) {
+          const conflict = new Error(`Branch ${branch} changed while committing; no changes were applied`);
+          conflict.status = 409;
+          conflict.code = "conflict";
+          conflict.githubBody = err.githubBody;
+          throw conflict;
         }
-        docPath = docPath.startsWith("/") ? docPath.slice(1) : docPath;
-        docPath = logicalPathFromGitPath(env, docPath);
+        throw err;
+      }
+      return commit;
+    },
 
-        try {
-          const result = await deleteFile(env, docPath, commitMessage);
-          return jsonResponse({
-            path: logicalPathFromGitPath(env, buildRepoPath(env, docPath)),
-            commit: {
-              sha: result.commit.sha,
-              message: result.commit.message
-            }
-          });
-        } catch (err) {
-          console.error("POST /delete error", err);
-          if (err.status === 404) {
-            return notFound("Document not found");
-          }
-          return errorResponse(err);
+    async getBranch(name) {
+      const ref = await nullIfMissing(githubRequest("GET", `${gitPath}/ref/heads/${name}`, env));
+      return ref ? { name, sha: ref.object ? ref.object.sha : null } : null;
+    },
+
+    async createBranch(name, { sha }) {
+      try {
+        await githubRequest("POST", `${gitPath}/refs`, env, { ref: `refs/heads/${name}`, sha });
+      } catch (err) {
+        // Another request created it first
+        if (err.status === 422) {
+          return false;
         }
+        throw err;
       }
+      return true;
+    },
+
+    async listBranches(prefix) {
+      const refs = await githubRequest("GET", `${gitPath}/matching-refs/heads/${prefix}`, env);
+      return refs.map(ref => ({ name: ref.ref.replace(/^refs\/heads\//, ""), sha: ref.object.sha }));
+    },
 
-      // Document operations are now under /d/ prefix to avoid conflicts with other endpoints
-      const DOC_PREFIX = "/d/";
-      const pathWithPrefix = pathname === "/d" ? "/d/" : pathname;
-      if (!pathWithPrefix.startsWith(DOC_PREFIX)) {
-        return notFound();
+    listPullRequests(base) {
+      return githubRequest("GET", `${repoPath}/pulls?state=open&base=${encodeURIComponent(base)}&per_page=100`, env);
+    },
+
+    async findPullRequest(head, base) {
+      const params = new URLSearchParams({
+        head: `${env.GITHUB_OWNER}:${head}`,
+        base,
+        state: "all",
+        per_page: "1"
+      });
+      const pulls = await githubRequest("GET", `${repoPath}/pulls?${params.toString()}`, env);
+      if (pulls.length === 0) {
+        return null;
       }
+      // The list endpoint omits mergeability; the single-PR endpoint computes it
+      return githubRequest("GET", `${repoPath}/pulls/${pulls[0].number}`, env);
+    },
 
-      // Root listing at /d/
-      if (pathWithPrefix === "/d/" && request.method === "GET") {
-        const items = await listDocs(env, "");
-        const mapped = items.map(item => {
-          const logicalPath = logicalPathFromGitPath(env, item.path);
-          const path =
-            item.type === "dir"
-              ? (logicalPath === "" ? "" : logicalPath + "/")
-              : logicalPath;
-          return {
-            name: item.name,
-            path,
-            type: item.type,
-          };
-        });
-        return jsonResponse({ items: mapped });
+    createPullRequest(fields) {
+      return githubRequest("POST", `${repoPath}/pulls`, env, fields);
+    }
+  };
+}
+
+// Gitea takes contents paths segment by segment and the URL parser resolves "." and "..", so
+// such a segment would reach another file than the one that was authorized (even one outside
+// DOCS_BASE_DIR). They are refused here instead of trusting every caller to have checked.
+function encodePathSegments(path) {
+  const segments = path.split("/");
+  if (segments.some(segment => segment === "" || segment === "." || segment === "..")) {
+    const err = new Error(`Invalid path '${path}': empty, '.' and '..' segments are not allowed`);
+    err.status = 400;
+    throw err;
+  }
+  return segments.map(encodeURIComponent).join("/");
+}
+
+// Gitea's API mirrors GitHub's for contents, commits, trees and blobs. It has no low-level
+// tree/ref writes, so multi-file commits go through its ChangeFiles endpoint (Gitea 1.20+) after
+// checking the branch head; a write landing between that check and the commit is not detected.
+// Pull requests are not used.
+function giteaBackend(env) {
+  const repoPath = `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}`;
+  const gitPath = `${repoPath}/git`;
+
+  // Gitea reports writes against a stale or missing sha with 422; report them as GitHub does
+  const writeError = err => {
+    if (err.status === 422 && /\bsha\b|exist/i.test(err.message)) {
+      err.status = 409;
+    }
+    return err;
+  };
+
+  const backend = {
+    name: "gitea",
+
+    async getContent(path, ref) {
+      const contentsPath = path ? `${repoPath}/contents/${encodePathSegments(path)}` : `${repoPath}/contents`;
+      const file = await cachedGithubGet(env, `${contentsPath}?ref=${encodeURIComponent(ref)}`);
+      return withBlobContent(env, file, `${gitPath}/blobs`);
+    },
+
+    async putContent(path, content, write) {
+      try {
+        return await githubRequest(write.sha ? "PUT" : "POST", `${repoPath}/contents/${encodePathSegments(path)}`, env, { ...write, content });
+      } catch (err) {
+        throw writeError(err);
       }
+    },
 
-      // Directory listing when path ends with a trailing slash (e.g., "/d/ftl/")
-      if (request.method === "GET" && pathWithPrefix.endsWith("/")) {
-        const dirPath = pathWithPrefix.slice(DOC_PREFIX.length, -1); // strip "/d/" and trailing "/"
-        try {
-          const items = await listDocs(env, dirPath);
-          const mapped = items.map(item => {
-            const logicalPath = logicalPathFromGitPath(env, item.path);
-            const path =
-              item.type === "dir"
-                ? (logicalPath === "" ? "" : logicalPath + "/")
-                : logicalPath;
-            return {
-              name: item.name,
-              path,
-              type: item.type,
-            };
-          });
-          return jsonResponse({ items: mapped });
-        } catch (err) {
-          if (err.status === 404) {
-            return notFound("Directory not found");
-          }
-          console.error("GET directory error", err);
-          return jsonResponse({ error: err.message || "Internal error" }, 500);
-        }
+    async deleteContent(path, write) {
+      try {
+        return await githubRequest("DELETE", `${repoPath}/contents/${encodePathSegments(path)}`, env, write);
+      } catch (err) {
+        throw writeError(err);
       }
+    },
 
-      // File operations when there is no trailing slash
-      const docPath = pathWithPrefix.startsWith(DOC_PREFIX) ? pathWithPrefix.substring(DOC_PREFIX.length) : pathWithPrefix;
+    async listCommits(path, { ref, page, perPage }) {
+      const params = new URLSearchParams({ path, sha: ref, page: String(page), limit: String(perPage) });
+      const res = await cachedGithubGet(env, `${repoPath}/commits?${params.toString()}`);
+      return res.map(mapCommit);
+    },
 
-      if (request.method === "GET") {
-        try {
-          const file = await getFile(env, docPath);
-          if (file.type !== "file") {
-            return badRequest("Requested path is not a file");
-          }
-          const content = fromBase64(file.content);
-          return jsonResponse({
-            path: logicalPathFromGitPath(env, file.path),
-            name: file.name,
-            sha: file.sha,
-            content
-          });
-        } catch (err) {
-          if (err.status === 404) {
-            return notFound("Document not found");
-          }
-          console.error("GET document error", err);
-          return errorResponse(err);
+    async getCommit(ref) {
+      const commit = await cachedGithubGet(env, `${gitPath}/commits/${encodeURIComponent(ref)}`);
+      return { sha: commit.sha, treeSha: commit.commit.tree.sha };
+    },
+
+    // Gitea pages recursive trees instead of truncating them
+    async getTree(sha, options = {}) {
+      const tree = [];
+      for (let page = 1; ; page++) {
+        const res = await cachedGithubGet(env, `${gitPath}/trees/${sha}?recursive=${!!options.recursive}&page=${page}&per_page=1000`);
+        tree.push(...(res.tree || []));
+        if (!res.truncated || !res.tree || res.tree.length === 0) {
+          return { tree, truncated: false };
         }
       }
+    },
 
-      if (request.method === "PUT") {
-        let body;
-        try {
-          body = await request.json();
-        } catch {
-          return badRequest("Expected JSON body");
-        }
-        if (typeof body.content !== "string") {
-          return badRequest("Field 'content' (string) is required");
-        }
-        const commitMessage = typeof body.message === "string" ? body.message : undefined;
+    getBlob(sha) {
+      return githubRequest("GET", `${gitPath}/blobs/${sha}`, env);
+    },
 
-        try {
-          const result = await putFile(env, docPath, body.content, commitMessage);
-          return jsonResponse({
-            path: logicalPathFromGitPath(env, result.content.path),
-            name: result.content.name,
-            sha: result.content.sha,
-            commit: {
-              sha: result.commit.sha,
-              message: result.commit.message
-            }
-          }, 200);
-        } catch (err) {
-          console.error("PUT document error", err);
-          if (err.status === 404) {
-            return notFound("Repository or branch not found");
-          }
-          return errorResponse(err);
+    async commitChanges({ branch, parentSha, baseTreeSha, changes, message, author, committer }) {
+      const head = await backend.getBranch(branch);
+      if (!head || head.sha !== parentSha) {
+        const conflict = new Error(`Branch ${branch} changed while committing; no changes were applied`);
+        conflict.status = 409;
+        conflict.code = "conflict";
+        throw conflict;
+      }
+      const base = await backend.getTree(baseTreeSha, { recursive: true });
+      const existing = new Map(base.tree.filter(e => e.type === "blob").map(e => [e.path, e.sha]));
+      const files = [];
+      for (const change of changes) {
+        if (change.sha === null) {
+          files.push({ operation: "delete", path: change.path, sha: existing.get(change.path) });
+          continue;
         }
+        const content = typeof change.content === "string"
+          ? toBase64(change.content)
+          : (await backend.getBlob(change.sha)).content.replace(/\s/g, "");
+        files.push({
+          operation: existing.has(change.path) ? "update" : "create",
+          path: change.path,
+          content,
+          ...(existing.has(change.path) ? { sha: existing.get(change.path) } : {})
+        });
+      }
+      try {
+        const res = await githubRequest("POST", `${repoPath}/contents`, env, {
+          files,
+          message,
+          branch,
+          ...(author ? { author } : {}),
+          ...(committer ? { committer } : {})
+        });
+        return res.commit;
+      } catch (err) {
+        throw writeError(err);
       }
+    },
 
-      if (request.method === "DELETE") {
-        let body;
-        try {
-          body = await request.json();
-        } catch {
-          body = {};
+    async getBranch(name) {
+      const res = await nullIfMissing(githubRequest("GET", `${repoPath}/branches/${encodePathSegments(name)}`, env));
+      return res ? { name, sha: res.commit.id } : null;
+    },
+
+    async createBranch(name, { sha }) {
+      try {
+        await githubRequest("POST", `${repoPath}/branches`, env, { new_branch_name: name, old_ref_name: sha });
+      } catch (err) {
+        // Another request created it first
+        if (err.status === 409) {
+          return false;
         }
-        const commitMessage = typeof body.message === "string" ? body.message : undefined;
+        throw err;
+      }
+      return true;
+    },
 
-        try {
-          const result = await deleteFile(env, docPath, commitMessage);
-          return jsonResponse({
-            path: logicalPathFromGitPath(env, buildRepoPath(env, docPath)),
-            commit: {
-              sha: result.commit.sha,
-              message: result.commit.message
-            }
-          });
-        } catch (err) {
-          console.error("DELETE document error", err);
-          if (err.status === 404) {
-            return notFound("Document not found");
-          }
-          return errorResponse(err);
+    async listBranches(prefix) {
+      const branches = [];
+      for (let page = 1; ; page++) {
+        const res = await githubRequest("GET", `${repoPath}/branches?page=${page}&limit=50`, env);
+        branches.push(...res.filter(b => b.name.startsWith(prefix)).map(b => ({ name: b.name, sha: b.commit.id })));
+        if (res.length < 50) {
+          return branches;
         }
       }
+    }
+  };
+  return backend;
+}
 
-      return jsonResponse({ error: "Method not allowed" }, 405);
-    } catch (err) {
-      console.error("Top-level error", err);
-      return errorResponse(err);
+// One memory store per repository for the life of the isolate
+const memoryStores = new Map();
+
+export function storageBackend(env) {
+  const kind = env.DOCSTORE_BACKEND || "github";
+  if (kind === "github") {
+    return githubBackend(env);
+  }
+  if (kind === "gitea") {
+    return giteaBackend(env);
+  }
+  if (kind === "memory") {
+    if (env.DOCSTORE_STORE) {
+      return env.DOCSTORE_STORE;
+    }
+    const key = `${env.GITHUB_OWNER}/${env.GITHUB_REPO}`;
+    if (!memoryStores.has(key)) {
+      memoryStores.set(key, createMemoryStore({ branch: env.GITHUB_BRANCH }));
+    }
+    return memoryStores.get(key);
+  }
+  const err = new Error(`Unknown DOCSTORE_BACKEND: ${kind}`);
+  err.status = 500;
+  throw err;
+}
+
+// ref may be a branch, tag or commit sha; it defaults to GITHUB_BRANCH.
+export async function getFile(env, docPath, ref) {
+  return storageBackend(env).getContent(buildRepoPath(env, docPath), ref || env.GITHUB_BRANCH);
+}
+
+// Build a 409 error carrying the document's current state so clients can
+// re-read, merge and retry without an extra GET.
+export function conflictError(message, current) {
+  const err = new Error(message);
+  err.status = 409;
+  err.code = "conflict";
+  let currentContent = null;
+  if (current && current.type === "file" && typeof current.content === "string") {
+    // Binary documents are reported without content
+    currentContent = decodeText(current.content);
+  }
+  err.details = {
+    currentSha: current ? current.sha : null,
+    currentContent
+  };
+  return err;
+}
+
+// Normalize an If-Match / If-None-Match header value to a bare sha ("*" is kept as-is).
+export function parseEtagHeader(value) {
+  if (!value) {
+    return undefined;
+  }
+  const first = value.split(",")[0].trim();
+  if (first === "*") {
+    return "*";
+  }
+  return first.replace(/^W\//, "").replace(/^"(.*)"$/, "$1") || undefined;
+}
+
+export function validationError(violations) {
+  const err = new Error(violations.length === 1
+    ? `Validation failed: ${violations[0].message}`
+    : `Validation failed with ${violations.length} violations`);
+  err.status = 422;
+  err.code = "validation_failed";
+  err.details = { violations };
+  return err;
+}
+
+// Check a document write against VALIDATION_RULES. Returns the violations; content may be
+// omitted to check only the path (move and copy targets).
+export function checkWrite(env, docPath, content, encoding = "utf-8") {
+  const rules = parseValidationRules(env.VALIDATION_RULES);
+  const path = logicalPathFromGitPath(env, buildRepoPath(env, docPath));
+  if (content === undefined) {
+    return validateDocument(rules, path);
+  }
+  if (encoding === "base64") {
+    return validateDocument(rules, path, { size: base64ToBytes(content).length, text: decodeText(content) });
+  }
+  return validateDocument(rules, path, { size: new TextEncoder().encode(content).length, text: content });
+}
+
+async function getCurrentOrNull(env, docPath) {
+  try {
+    return await getFile(env, docPath);
+  } catch (err) {
+    if (err.status === 404) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Default commit messages can be overridden per action with COMMIT_MESSAGE_TEMPLATES, a JSON
+// object such as {"update": "docs: update {path}", "delete": "docs: remove {path} ({client})"}.
+// Actions: create, update, edit, delete, batch, move, copy, restore. Placeholders: {path},
+// {client}, {tool}, {from} and {to} (move/copy), {count} (batch), {sha} (restore).
+export function defaultCommitMessage(env, action, vars, fallback) {
+  let templates = env.COMMIT_MESSAGE_TEMPLATES;
+  if (typeof templates === "string") {
+    try {
+      templates = JSON.parse(templates);
+    } catch {
+      console.error("Ignoring COMMIT_MESSAGE_TEMPLATES: not valid JSON");
+      templates = null;
+    }
+  }
+  const template = templates && templates[action];
+  if (typeof template !== "string" || !template) {
+    return fallback;
+  }
+  const context = env.requestContext || {};
+  const values = {
+    client: context.client ? context.client.name : "",
+    tool: context.tool || "",
+    ...vars
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+// Append trailers recording who made a change: the named token (the legacy DOCSTORE_API_TOKEN
+// is not named by its owner, so it is left out), the calling tool and the request id.
+// Set COMMIT_TRAILERS=false to leave messages untouched.
+export function finalizeCommitMessage(env, message) {
+  const context = env.requestContext;
+  if (!context || env.COMMIT_TRAILERS === "false") {
+    return message;
+  }
+  const trailers = [];
+  if (context.client && !context.client.legacy) {
+    trailers.push(`Docstore-Client: ${context.client.name}`);
+  }
+  if (context.tool) {
+    trailers.push(`Docstore-Tool: ${context.tool}`);
+  }
+  if (context.requestId) {
+    trailers.push(`Docstore-Request-Id: ${context.requestId}`);
+  }
+  return trailers.length > 0 ? `${message}\n\n${trailers.join("\n")}` : message;
+}
+
+// author / committer fields for backend write calls. Without them GitHub attributes the
+// commit to the owner of GITHUB_TOKEN.
+function commitIdentity(env) {
+  const context = env.requestContext || {};
+  const identity = {};
+  if (context.author) {
+    identity.author = context.author;
+  }
+  if (context.committer) {
+    identity.committer = context.committer;
+  }
+  return identity;
+}
+
+// Commit info returned by write endpoints. Accepts commits from both the contents API and
+// the Git data API, which share this shape.
+export function mapWriteCommit(commit) {
+  const person = p => ({ name: p ? p.name : null, email: p ? p.email : null, date: p ? p.date : null });
+  return {
+    sha: commit.sha,
+    message: commit.message,
+    url: commit.html_url || null,
+    author: person(commit.author),
+    committer: person(commit.committer)
+  };
+}
+
+const PUT_CONFLICT_RETRIES = 2;
+
+// Options:
+//   expectedSha - fail with 409 unless the document's current sha matches ("*" = must exist)
+//   createOnly  - fail with 409 if the document already exists
+//   encoding    - "base64" when content is already base64 (binary uploads); default UTF-8 text
+export async function putFile(env, docPath, content, commitMessage, options = {}) {
+  const repoPath = buildRepoPath(env, docPath);
+
+  let current = await getCurrentOrNull(env, docPath);
+  if (options.createOnly && current) {
+    throw conflictError(`Document already exists: ${repoPath}`, current);
+  }
+  if (options.expectedSha) {
+    const existingSha = current ? current.sha : null;
+    const matches = options.expectedSha === "*" ? !!current : options.expectedSha === existingSha;
+    if (!matches) {
+      const message = current
+        ? `Document has changed: expected sha ${options.expectedSha}, current sha is ${existingSha}`
+        : `Document does not exist: ${repoPath}`;
+      throw conflictError(message, current);
+    }
+  }
+
+  // A plain overwrite (no expected sha, not create-only) that loses a race with another writer
+  // is retried against the new sha; conditional writes report the conflict instead.
+  const retryOnConflict = !options.expectedSha && !options.createOnly;
+  for (let attempt = 0; ; attempt++) {
+    const existingSha = current ? current.sha : null;
+    const write = {
+      message: finalizeCommitMessage(
+        env,
+        commitMessage || (existingSha
+          ? defaultCommitMessage(env, "update", { path: repoPath }, `Update ${repoPath}`)
+          : defaultCommitMessage(env, "create", { path: repoPath }, `Create ${repoPath}`))
+      ),
+      branch: env.GITHUB_BRANCH,
+      ...commitIdentity(env)
+    };
+
+    if (existingSha) {
+      write.sha = existingSha;
+    }
+
+    try {
+      const base64 = options.encoding === "base64" ? content.replace(/\s/g, "") : toBase64(content);
+      const result = await storageBackend(env).putContent(repoPath, base64, write);
+      await invalidateReadCache(env);
+      recordChange(env, {
+        operation: "put",
+        path: logicalPathFromGitPath(env, repoPath),
+        oldSha: existingSha,
+        newSha: result.content.sha,
+        commitSha: result.commit.sha
+      });
+      return result;
+    } catch (err) {
+      // Backends reject the write with 409 when the file changed between our read and write,
+      // and with 422 "sha wasn't supplied" when it was created in between
+      const raced = err.status === 409 || (err.status === 422 && !existingSha && /\bsha\b/.test(err.message));
+      if (!raced) {
+        throw err;
+      }
+      const latest = await getCurrentOrNull({ ...env, requestContext: { ...env.requestContext, fresh: true } }, docPath);
+      if (!retryOnConflict || attempt >= PUT_CONFLICT_RETRIES) {
+        throw conflictError(`Document changed during update: ${repoPath}`, latest);
+      }
+      current = latest;
+    }
+  }
+}
+
+// Options:
+//   expectedSha - fail with 409 unless the document's current sha matches ("*" = must exist)
+//   links       - "keep" (default) leaves links to the document broken, "refuse" fails with 409
+//                 has_backlinks while other documents link to it, "rewrite" replaces those links
+//                 with their text in the same commit
+// Returns { commit } (as mapWriteCommit returns it), plus linksRewritten with links "rewrite".
+export async function deleteFile(env, docPath, commitMessage, options = {}) {
+  const repoPath = buildRepoPath(env, docPath);
+  const logicalPath = logicalPathFromGitPath(env, repoPath);
+
+  // A link-aware delete commits on top of this head, so the document is read from that same
+  // tree and a change landing in between fails the commit instead of slipping past expectedSha
+  const head = options.links === "refuse" || options.links === "rewrite"
+    ? await resolveCommit(env, env.GITHUB_BRANCH)
+    : null;
+  const current = await getFile(env, docPath, head ? head.sha : undefined);
+  if (options.expectedSha && options.expectedSha !== "*" && options.expectedSha !== current.sha) {
+    throw conflictError(
+      `Document has changed: expected sha ${options.expectedSha}, current sha is ${current.sha}`,
+      current
+    );
+  }
+  const message = commitMessage || defaultCommitMessage(env, "delete", { path: repoPath }, `Delete ${repoPath}`);
+
+  if (head) {
+    const rewrites = await planLinkRewrites(env, options.links, head.sha, new Map([[logicalPath, null]]));
+    if (rewrites.length > 0) {
+      const changes = [
+        { path: repoPath, sha: null },
+        ...rewrites.map(r => ({ path: buildRepoPath(env, r.path), content: r.content }))
+      ];
+      const commit = await commitChanges(env, head.sha, head.treeSha, changes, message);
+      recordChange(env, { operation: "delete", path: logicalPath, oldSha: current.sha, newSha: null, commitSha: commit.sha });
+      for (const r of rewrites) {
+        recordChange(env, { operation: "put", path: r.path, oldSha: r.sha, newSha: await gitBlobSha(r.content), commitSha: commit.sha });
+      }
+      return { commit, linksRewritten: rewrites.map(r => ({ path: r.path, links: r.count })) };
+    }
+  }
+
+  const result = await storageBackend(env).deleteContent(repoPath, {
+    message: finalizeCommitMessage(env, message),
+    sha: current.sha,
+    branch: env.GITHUB_BRANCH,
+    ...commitIdentity(env)
+  });
+  await invalidateReadCache(env);
+  recordChange(env, {
+    operation: "delete",
+    path: logicalPath,
+    oldSha: current.sha,
+    newSha: null,
+    commitSha: result.commit.sha
+  });
+  const response = { commit: mapWriteCommit(result.commit) };
+  if (options.links === "rewrite") {
+    response.linksRewritten = [];
+  }
+  return response;
+}
+
+export async function listDocs(env, dirPath, ref) {
+  const repoPath = buildRepoPath(env, dirPath || "");
+  const res = await storageBackend(env).getContent(repoPath, ref || env.GITHUB_BRANCH);
+  if (!Array.isArray(res)) {
+    return [res];
+  }
+  return res;
+}
+
+function mapCommit(commit) {
+  return {
+    sha: commit.sha,
+    message: commit.commit.message,
+    author: {
+      name: commit.commit.author ? commit.commit.author.name : null,
+      email: commit.commit.author ? commit.commit.author.email : null,
+      date: commit.commit.author ? commit.commit.author.date : null
+    },
+    committer: {
+      name: commit.commit.committer ? commit.commit.committer.name : null,
+      email: commit.commit.committer ? commit.commit.committer.email : null,
+      date: commit.commit.committer ? commit.commit.committer.date : null
+    },
+    parents: (commit.parents || []).map(p => p.sha),
+    url: commit.html_url
+  };
+}
+
+// List the commits that touched a document (or directory), newest first.
+// Options: ref (branch, tag or sha to walk back from), page (1-based), perPage (max 100).
+export async function listHistory(env, docPath, options = {}) {
+  const repoPath = buildRepoPath(env, docPath);
+  const page = Math.max(1, options.page || 1);
+  const perPage = Math.min(100, Math.max(1, options.perPage || 30));
+  const ref = options.ref || env.GITHUB_BRANCH;
+
+  const commits = await storageBackend(env).listCommits(repoPath, { ref, page, perPage });
+  return {
+    path: logicalPathFromGitPath(env, repoPath),
+    ref,
+    page,
+    perPage,
+    commits,
+    // Backends do not report a total; a full page means there may be more
+    hasMore: commits.length === perPage
+  };
+}
+
+// Compute the git blob sha of UTF-8 text, i.e. sha1("blob <len>\0<bytes>"),
+// so batch responses can report new document shas without another round trip.
+export async function gitBlobSha(content) {
+  const bytes = new TextEncoder().encode(content);
+  const header = new TextEncoder().encode(`blob ${bytes.length}\0`);
+  const buf = new Uint8Array(header.length + bytes.length);
+  buf.set(header, 0);
+  buf.set(bytes, header.length);
+  const digest = await crypto.subtle.digest("SHA-1", buf);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Resolve a branch, tag or commit sha to { sha, treeSha }.
+export async function resolveCommit(env, ref) {
+  return storageBackend(env).getCommit(ref);
+}
+
+// List every blob and tree under DOCS_BASE_DIR at a commit, using git tree objects.
+// Entries use full repo paths. Walks down to the base dir first so only the docs subtree
+// is fetched recursively.
+export async function getDocsTree(env, ref) {
+  const backend = storageBackend(env);
+  const commit = await resolveCommit(env, ref || env.GITHUB_BRANCH);
+  const base = normalizeBaseDir(env);
+
+  let treeSha = commit.treeSha;
+  for (const segment of base.split("/").filter(Boolean)) {
+    const tree = await backend.getTree(treeSha);
+    const entry = tree.tree.find(e => e.path === segment && e.type === "tree");
+    if (!entry) {
+      return { commitSha: commit.sha, rootTreeSha: commit.treeSha, entries: [], truncated: false };
+    }
+    treeSha = entry.sha;
+  }
+
+  const tree = await backend.getTree(treeSha, { recursive: true });
+  const prefix = base ? base + "/" : "";
+  const entries = tree.tree.map(e => ({
+    path: prefix + e.path,
+    type: e.type,
+    mode: e.mode,
+    sha: e.sha,
+    size: e.size
+  }));
+  return { commitSha: commit.sha, rootTreeSha: commit.treeSha, entries, truncated: !!tree.truncated };
+}
+
+// Commit a set of file changes on GITHUB_BRANCH as a single commit.
+// Each change is { path, content } to write UTF-8 text, { path, sha, mode } to point at an
+// existing blob, or { path, sha: null } to delete. Paths are full repo paths.
+// The branch only moves if it still points at parentSha (fast-forward only); otherwise a
+// 409 conflict is thrown and nothing is changed. Returns the new commit as mapWriteCommit does.
+export async function commitChanges(env, parentSha, baseTreeSha, changes, commitMessage) {
+  const commit = await storageBackend(env).commitChanges({
+    branch: env.GITHUB_BRANCH,
+    parentSha,
+    baseTreeSha,
+    changes,
+    message: finalizeCommitMessage(env, commitMessage),
+    ...commitIdentity(env)
+  });
+  await invalidateReadCache(env);
+  return mapWriteCommit(commit);
+}
+
+export const BATCH_OPS = ["create", "update", "put", "delete", "move"];
+
+function batchError(status, code, message, opIndex, extra) {
+  const err = new Error(`Operation ${opIndex}: ${message}`);
+  err.status = status;
+  err.code = code;
+  err.details = { opIndex, ...(extra || {}) };
+  return err;
+}
+
+// Apply a list of create/update/put/delete/move operations as one commit.
+// Operations are validated in order against the branch head (later operations see the
+// effect of earlier ones) before anything is written. Paths are logical doc paths.
+export async function applyBatch(env, operations, commitMessage) {
+  const head = await getDocsTree(env);
+  if (head.truncated) {
+    const err = new Error("Docs tree is too large to load in one request; batch operations are unavailable");
+    err.status = 507;
+    throw err;
+  }
+
+  // Working state: repo path -> { sha, mode, content? }
+  const state = new Map();
+  for (const entry of head.entries) {
+    if (entry.type === "blob") {
+      state.set(entry.path, { sha: entry.sha, mode: entry.mode });
+    }
+  }
+  const original = new Map(state);
+  const results = [];
+  // Validation problems are collected across all operations so they can be fixed in one go
+  const events = [];
+  const violations = [];
+  const validate = (index, path, content) => {
+    violations.push(...checkWrite(env, path, content).map(v => ({ ...v, opIndex: index })));
+  };
+
+  for (let i = 0; i < operations.length; i++) {
+    const op = operations[i] || {};
+    if (!BATCH_OPS.includes(op.op)) {
+      throw batchError(400, "invalid_operation", `unknown op '${op.op}' (expected one of ${BATCH_OPS.join(", ")})`, i);
+    }
+
+    if (op.op === "move") {
+      if (typeof op.from !== "string" || typeof op.to !== "string" || !op.from || !op.to) {
+        throw batchError(400, "invalid_operation", "fields 'from' and 'to' (strings) are required for move", i);
+      }
+      const from = buildRepoPath(env, op.from);
+      const to = buildRepoPath(env, op.to);
+      const source = state.get(from);
+      if (!source) {
+        throw batchError(404, "not_found", `document not found: ${logicalPathFromGitPath(env, from)}`, i);
+      }
+      if (op.sha && op.sha !== source.sha) {
+        throw batchError(409, "conflict", `document has changed: ${logicalPathFromGitPath(env, from)}`, i, {
+          currentSha: source.sha
+        });
+      }
+      if (state.has(to) && op.overwrite !== true) {
+        throw batchError(409, "conflict", `target already exists: ${logicalPathFromGitPath(env, to)}`, i, {
+          currentSha: state.get(to).sha
+        });
+      }
+      validate(i, op.to);
+      state.delete(from);
+      state.set(to, source);
+      events.push({ operation: "move", from: logicalPathFromGitPath(env, from), path: logicalPathFromGitPath(env, to), oldSha: source.sha, newSha: source.sha });
+      results.push({
+        op: op.op,
+        from: logicalPathFromGitPath(env, from),
+        path: logicalPathFromGitPath(env, to),
+        sha: source.sha
+      });
+      continue;
+    }
+
+    if (typeof op.path !== "string" || !op.path) {
+      throw batchError(400, "invalid_operation", "field 'path' (string) is required", i);
+    }
+    const repoPath = buildRepoPath(env, op.path);
+    const logicalPath = logicalPathFromGitPath(env, repoPath);
+    const existing = state.get(repoPath);
+
+    if (op.op === "create" && existing) {
+      throw batchError(409, "conflict", `document already exists: ${logicalPath}`, i, { currentSha: existing.sha });
+    }
+    if ((op.op === "update" || op.op === "delete") && !existing) {
+      throw batchError(404, "not_found", `document not found: ${logicalPath}`, i);
+    }
+    if (op.sha && (!existing || op.sha !== existing.sha)) {
+      throw batchError(409, "conflict", `document has changed: ${logicalPath}`, i, {
+        currentSha: existing ? existing.sha : null
+      });
+    }
+
+    if (op.op === "delete") {
+      state.delete(repoPath);
+      events.push({ operation: "delete", path: logicalPath, oldSha: existing.sha, newSha: null });
+      results.push({ op: op.op, path: logicalPath });
+      continue;
+    }
+
+    if (typeof op.content !== "string") {
+      throw batchError(400, "invalid_operation", `field 'content' (string) is required for ${op.op}`, i);
+    }
+    validate(i, op.path, op.content);
+    const sha = await gitBlobSha(op.content);
+    state.set(repoPath, { sha, mode: existing ? existing.mode : "100644", content: op.content });
+    events.push({ operation: "put", path: logicalPath, oldSha: existing ? existing.sha : null, newSha: sha });
+    results.push({ op: op.op, path: logicalPath, sha });
+  }
+
+  if (violations.length > 0) {
+    throw validationError(violations);
+  }
+
+  // Turn the final state into tree changes relative to the head tree
+  const changes = [];
+  for (const [path, entry] of state) {
+    const before = original.get(path);
+    if (before && before.sha === entry.sha && before.mode === entry.mode) {
+      continue;
+    }
+    if (typeof entry.content === "string") {
+      changes.push({ path, mode: entry.mode, content: entry.content });
+    } else {
+      changes.push({ path, mode: entry.mode, sha: entry.sha });
+    }
+  }
+  for (const path of original.keys()) {
+    if (!state.has(path)) {
+      changes.push({ path, sha: null });
+    }
+  }
+
+  if (changes.length === 0) {
+    return { commit: null, operations: results };
+  }
+
+  const message = commitMessage || defaultCommitMessage(
+    env,
+    "batch",
+    { count: operations.length },
+    `Batch update (${operations.length} operation${operations.length === 1 ? "" : "s"})`
+  );
+  const commit = await commitChanges(env, head.commitSha, head.rootTreeSha, changes, message);
+  for (const event of events) {
+    recordChange(env, { ...event, commitSha: commit.sha });
+  }
+  return { commit, operations: results };
+}
+
+// Move or copy a document or a whole directory as a single commit.
+// mode is "move" or "copy". A directory is detected when `from` names no file but has
+// files beneath it (a trailing slash is optional). Options: overwrite, message, sha
+// (expected sha of a single source file), links ("keep", "refuse" or "rewrite" the links
+// into moved documents; see planLinkRewrites).
+export async function transferDocs(env, mode, from, to, options = {}) {
+  const fromRepo = buildRepoPath(env, from.replace(/\/+$/, ""));
+  const toRepo = buildRepoPath(env, to.replace(/\/+$/, ""));
+  const base = normalizeBaseDir(env);
+  if (fromRepo === base || toRepo === base) {
+    const err = new Error("Cannot move or copy the docstore root");
+    err.status = 400;
+    throw err;
+  }
+  if (fromRepo === toRepo) {
+    const err = new Error("Source and target are the same path");
+    err.status = 400;
+    throw err;
+  }
+
+  const head = await getDocsTree(env);
+  if (head.truncated) {
+    const err = new Error(`Docs tree is too large to load in one request; ${mode} is unavailable`);
+    err.status = 507;
+    throw err;
+  }
+  const blobs = new Map(head.entries.filter(e => e.type === "blob").map(e => [e.path, e]));
+
+  let type = "file";
+  let sources = [];
+  if (blobs.has(fromRepo)) {
+    sources = [{ entry: blobs.get(fromRepo), target: toRepo }];
+  } else {
+    type = "dir";
+    if (toRepo.startsWith(fromRepo + "/")) {
+      const err = new Error("Cannot move or copy a directory into itself");
+      err.status = 400;
+      throw err;
+    }
+    for (const [path, entry] of blobs) {
+      if (path.startsWith(fromRepo + "/")) {
+        sources.push({ entry, target: toRepo + path.substring(fromRepo.length) });
+      }
+    }
+  }
+  if (sources.length === 0) {
+    const err = new Error(`Document or directory not found: ${logicalPathFromGitPath(env, fromRepo)}`);
+    err.status = 404;
+    throw err;
+  }
+
+  if (options.sha && type === "file" && options.sha !== sources[0].entry.sha) {
+    const err = new Error(`Document has changed: expected sha ${options.sha}, current sha is ${sources[0].entry.sha}`);
+    err.status = 409;
+    err.code = "conflict";
+    err.details = { currentSha: sources[0].entry.sha };
+    throw err;
+  }
+
+  if (!options.overwrite) {
+    const existing = sources.filter(s => blobs.has(s.target)).map(s => logicalPathFromGitPath(env, s.target));
+    if (existing.length > 0) {
+      const err = new Error(`Target already exists: ${existing.join(", ")}`);
+      err.status = 409;
+      err.code = "conflict";
+      err.details = { existing };
+      throw err;
+    }
+  }
+
+  const violations = sources.flatMap(s => checkWrite(env, s.target));
+  if (violations.length > 0) {
+    throw validationError(violations);
+  }
+
+  const toLogical = (p) => logicalPathFromGitPath(env, p);
+  let rewrites = [];
+  if (mode === "move") {
+    const moved = new Map(sources.map(s => [toLogical(s.entry.path), toLogical(s.target)]));
+    if (type === "dir") {
+      moved.set(toLogical(fromRepo), toLogical(toRepo));
+    }
+    rewrites = await planLinkRewrites(env, options.links, head.commitSha, moved);
+  }
+  // Moved documents whose own links were re-based are written with their new content
+  const rewritten = new Map(rewrites.map(r => [r.from, r]));
+  for (const s of sources) {
+    const rewrite = rewritten.get(toLogical(s.entry.path));
+    s.newSha = rewrite ? await gitBlobSha(rewrite.content) : s.entry.sha;
+  }
+
+  const changes = sources.map(s => {
+    const rewrite = rewritten.get(toLogical(s.entry.path));
+    return rewrite
+      ? { path: s.target, mode: s.entry.mode, content: rewrite.content }
+      : { path: s.target, mode: s.entry.mode, sha: s.entry.sha };
+  });
+  if (mode === "move") {
+    for (const s of sources) {
+      changes.push({ path: s.entry.path, sha: null });
+    }
+  }
+  const linkUpdates = rewrites.filter(r => r.from === r.path);
+  for (const r of linkUpdates) {
+    changes.push({ path: buildRepoPath(env, r.path), content: r.content });
+  }
+
+  const verb = mode === "move" ? "Move" : "Copy";
+  const message = options.message || defaultCommitMessage(env, mode, { from: fromRepo, to: toRepo }, `${verb} ${fromRepo} to ${toRepo}`);
+  const commit = await commitChanges(env, head.commitSha, head.rootTreeSha, changes, message);
+
+  for (const s of sources) {
+    const replaced = blobs.get(s.target);
+    recordChange(env, {
+      operation: mode,
+      from: toLogical(s.entry.path),
+      path: toLogical(s.target),
+      oldSha: mode === "move" ? s.entry.sha : replaced ? replaced.sha : null,
+      newSha: s.newSha,
+      commitSha: commit.sha
+    });
+  }
+  for (const r of linkUpdates) {
+    recordChange(env, { operation: "put", path: r.path, oldSha: r.sha, newSha: await gitBlobSha(r.content), commitSha: commit.sha });
+  }
+  const result = {
+    from: toLogical(fromRepo) + (type === "dir" ? "/" : ""),
+    to: toLogical(toRepo) + (type === "dir" ? "/" : ""),
+    type,
+    files: sources.map(s => ({ from: toLogical(s.entry.path), path: toLogical(s.target), sha: s.newSha })),
+    commit
+  };
+  if (options.links === "rewrite") {
+    result.linksRewritten = rewrites.map(r => ({ path: r.path, links: r.count }));
+  }
+  return result;
+}
+
+async function readTextAtRef(env, docPath, ref) {
+  try {
+    const file = await getFile(env, docPath, ref);
+    if (file.type !== "file") {
+      const err = new Error("Requested path is not a file");
+      err.status = 400;
+      throw err;
+    }
+    // content is null for binary files
+    return { sha: file.sha, content: decodeText(file.content) };
+  } catch (err) {
+    if (err.status === 404) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Diff a document between two refs. `to` defaults to the branch head and `from` to the
+// previous commit that touched the document before `to`. A side where the document does
+// not exist diffs as an empty (/dev/null) file.
+export async function diffDoc(env, docPath, options = {}) {
+  const to = options.to || env.GITHUB_BRANCH;
+  let from = options.from;
+  if (!from) {
+    const history = await listHistory(env, docPath, { ref: to, perPage: 2 });
+    if (history.commits.length === 0) {
+      const err = new Error("No history found for document");
+      err.status = 404;
+      throw err;
+    }
+    if (history.commits.length > 1) {
+      from = history.commits[1].sha;
+    } else if (history.commits[0].parents.length > 0) {
+      // Only one commit touched the document: diff against the state before it was created
+      from = history.commits[0].parents[0];
+    } else {
+      from = null;
+    }
+  }
+
+  const [before, after] = await Promise.all([
+    from ? readTextAtRef(env, docPath, from) : Promise.resolve(null),
+    readTextAtRef(env, docPath, to)
+  ]);
+  if (!before && !after) {
+    const err = new Error("Document not found at either ref");
+    err.status = 404;
+    throw err;
+  }
+
+  const path = logicalPathFromGitPath(env, buildRepoPath(env, docPath));
+  if ((before && before.content === null) || (after && after.content === null)) {
+    // Like git, only report whether binary versions differ
+    const changed = (before ? before.sha : null) !== (after ? after.sha : null);
+    return {
+      path,
+      from,
+      to,
+      fromSha: before ? before.sha : null,
+      toSha: after ? after.sha : null,
+      binary: true,
+      additions: 0,
+      deletions: 0,
+      diff: changed ? `Binary files a/${path} and b/${path} differ\n` : "",
+      hunks: []
+    };
+  }
+  const diff = createUnifiedDiff(before ? before.content : null, after ? after.content : null, {
+    fromLabel: `a/${path}`,
+    toLabel: `b/${path}`,
+    context: options.context
+  });
+  return {
+    path,
+    from,
+    to,
+    fromSha: before ? before.sha : null,
+    toSha: after ? after.sha : null,
+    additions: diff.additions,
+    deletions: diff.deletions,
+    diff: diff.unified,
+    hunks: diff.hunks
+  };
+}
+
+// Restore a document or directory to its content at a ref, as one new commit.
+// ref "previous" means the state just before the most recent commit touching the path, which
+// also brings back a document whose latest change was its deletion. Files are written back
+// through putFile; directories are restored with a single tree commit that also removes
+// files added since.
+export async function restoreDoc(env, docPath, ref, commitMessage) {
+  const isDir = docPath.endsWith("/");
+  const cleanPath = docPath.replace(/\/+$/, "");
+  const repoPath = buildRepoPath(env, cleanPath);
+  const logicalPath = logicalPathFromGitPath(env, repoPath);
+
+  let target = ref;
+  if (ref === "previous") {
+    const history = await listHistory(env, cleanPath, { perPage: 1 });
+    if (history.commits.length === 0) {
+      const err = new Error("No history found for document");
+      err.status = 404;
+      throw err;
+    }
+    if (history.commits[0].parents.length === 0) {
+      const err = new Error("Document has no previous version");
+      err.status = 409;
+      err.code = "no_previous_version";
+      throw err;
+    }
+    target = history.commits[0].parents[0];
+  }
+  // Resolve branches/tags to a commit sha so the message records exactly what was restored
+  const targetCommit = await resolveCommit(env, target);
+  const shortSha = targetCommit.sha.substring(0, 7);
+
+  let old = null;
+  if (!isDir) {
+    try {
+      old = await getFile(env, cleanPath, targetCommit.sha);
+    } catch (err) {
+      if (err.status !== 404) {
+        throw err;
+      }
+      const notFoundErr = new Error(`Document did not exist at ${shortSha}`);
+      notFoundErr.status = 404;
+      throw notFoundErr;
+    }
+  }
+
+  if (old && !Array.isArray(old)) {
+    const current = await getCurrentOrNull(env, cleanPath);
+    if (current && current.sha === old.sha) {
+      return { path: logicalPath, type: "file", restoredFrom: targetCommit.sha, sha: current.sha, commit: null };
+    }
+    const result = await putFile(env, cleanPath, old.content, commitMessage || defaultCommitMessage(env, "restore", { path: repoPath, sha: shortSha }, `Restore ${repoPath} to ${shortSha}`), {
+      expectedSha: current ? current.sha : undefined,
+      encoding: "base64"
+    });
+    return {
+      path: logicalPath,
+      type: "file",
+      restoredFrom: targetCommit.sha,
+      sha: result.content.sha,
+      commit: mapWriteCommit(result.commit)
+    };
+  }
+
+  // Directory restore
+  const [before, head] = await Promise.all([getDocsTree(env, targetCommit.sha), getDocsTree(env)]);
+  if (before.truncated || head.truncated) {
+    const err = new Error("Docs tree is too large to load in one request; directory restore is unavailable");
+    err.status = 507;
+    throw err;
+  }
+  const inDir = e => e.type === "blob" && e.path.startsWith(repoPath + "/");
+  const oldFiles = new Map(before.entries.filter(inDir).map(e => [e.path, e]));
+  const curFiles = new Map(head.entries.filter(inDir).map(e => [e.path, e]));
+  if (oldFiles.size === 0) {
+    const err = new Error(`Directory did not exist at ${shortSha}`);
+    err.status = 404;
+    throw err;
+  }
+
+  const changes = [];
+  const files = [];
+  for (const [path, entry] of oldFiles) {
+    const cur = curFiles.get(path);
+    if (!cur || cur.sha !== entry.sha || cur.mode !== entry.mode) {
+      changes.push({ path, mode: entry.mode, sha: entry.sha });
+      files.push({ path: logicalPathFromGitPath(env, path), action: "restored", sha: entry.sha });
+    }
+  }
+  for (const path of curFiles.keys()) {
+    if (!oldFiles.has(path)) {
+      changes.push({ path, sha: null });
+      files.push({ path: logicalPathFromGitPath(env, path), action: "deleted" });
+    }
+  }
+
+  const result = { path: logicalPath + "/", type: "dir", restoredFrom: targetCommit.sha, files, commit: null };
+  if (changes.length > 0) {
+    const commit = await commitChanges(
+      env,
+      head.commitSha,
+      head.rootTreeSha,
+      changes,
+      commitMessage || defaultCommitMessage(env, "restore", { path: repoPath + "/", sha: shortSha }, `Restore ${repoPath}/ to ${shortSha}`)
+    );
+    for (const change of changes) {
+      const cur = curFiles.get(change.path);
+      recordChange(env, {
+        operation: change.sha ? "put" : "delete",
+        path: logicalPathFromGitPath(env, change.path),
+        oldSha: cur ? cur.sha : null,
+        newSha: change.sha,
+        commitSha: commit.sha
+      });
+    }
+    result.commit = commit;
+  }
+  return result;
+}
+
+// Draft branches let writes land somewhere other than GITHUB_BRANCH so a human can review
+// them through a pull request. Drafts live under DRAFT_BRANCH_PREFIX (default "drafts/").
+export function draftBranchPrefix(env) {
+  return (env.DRAFT_BRANCH_PREFIX || "drafts/").replace(/\/*$/, "/");
+}
+
+// Map a requested branch name to the branch that writes should go to. The configured main
+// branch is returned unchanged; anything else is placed under the draft prefix.
+export function draftBranchName(env, name) {
+  const trimmed = String(name).trim().replace(/^refs\/heads\//, "");
+  if (trimmed === env.GITHUB_BRANCH) {
+    return trimmed;
+  }
+  const prefix = draftBranchPrefix(env);
+  const branch = trimmed.startsWith(prefix) ? trimmed : prefix + trimmed;
+  const draft = branch.substring(prefix.length);
+  if (!draft || !/^[A-Za-z0-9._\/-]+$/.test(draft) || draft.includes("..") || draft.startsWith("/") ||
+    draft.endsWith("/") || draft.endsWith(".lock") || draft.includes("//")) {
+    const err = new Error(`Invalid draft branch name: ${name}`);
+    err.status = 400;
+    throw err;
+  }
+  return branch;
+}
+
+// Create a branch from the head of GITHUB_BRANCH unless it already exists.
+// Returns true when the branch was created.
+export async function ensureBranch(env, branch) {
+  const backend = storageBackend(env);
+  if (await backend.getBranch(branch)) {
+    return false;
+  }
+  const base = await resolveCommit(env, env.GITHUB_BRANCH);
+  return backend.createBranch(branch, { sha: base.sha });
+}
+
+function mapPullRequest(pr) {
+  return {
+    number: pr.number,
+    url: pr.html_url,
+    title: pr.title,
+    state: pr.state,
+    draft: !!pr.draft,
+    merged: !!pr.merged || !!pr.merged_at,
+    mergeable: pr.mergeable === undefined ? null : pr.mergeable,
+    mergeableState: pr.mergeable_state || null,
+    head: pr.head ? pr.head.ref : null,
+    base: pr.base ? pr.base.ref : null,
+    createdAt: pr.created_at || null,
+    updatedAt: pr.updated_at || null
+  };
+}
+
+// List draft branches along with any open pull request for each. Backends without pull
+// requests list the branches alone.
+export async function listDrafts(env) {
+  const backend = storageBackend(env);
+  const prefix = draftBranchPrefix(env);
+  const [branches, pulls] = await Promise.all([
+    backend.listBranches(prefix),
+    backend.listPullRequests ? backend.listPullRequests(env.GITHUB_BRANCH) : []
+  ]);
+  const pullsByHead = new Map(pulls.map(pr => [pr.head.ref, pr]));
+  return branches.map(({ name: branch, sha }) => {
+    const pr = pullsByHead.get(branch);
+    return {
+      name: branch.substring(prefix.length),
+      branch,
+      sha,
+      pullRequest: pr ? mapPullRequest(pr) : null
+    };
+  });
+}
+
+// Find the most recent pull request from a draft branch into GITHUB_BRANCH, with merge status.
+export async function getDraftPullRequest(env, branch) {
+  const backend = storageBackend(env);
+  if (!backend.findPullRequest) {
+    return null;
+  }
+  const pr = await backend.findPullRequest(branch, env.GITHUB_BRANCH);
+  return pr ? mapPullRequest(pr) : null;
+}
+
+// Open a pull request from a draft branch into GITHUB_BRANCH. If one is already open it is
+// returned instead, with created = false.
+export async function openDraftPullRequest(env, branch, title, body) {
+  const backend = storageBackend(env);
+  if (!backend.createPullRequest) {
+    const err = new Error(`Pull requests are not supported by the ${backend.name} storage backend`);
+    err.status = 501;
+    err.code = "not_supported";
+    throw err;
+  }
+  const existing = await getDraftPullRequest(env, branch);
+  if (existing && existing.state === "open") {
+    return { created: false, pullRequest: existing };
+  }
+  const pr = await backend.createPullRequest({
+    title: title || `Docstore draft: ${branch.substring(draftBranchPrefix(env).length)}`,
+    head: branch,
+    base: env.GITHUB_BRANCH,
+    body: body || ""
+  });
+  return { created: true, pullRequest: mapPullRequest(pr) };
+}
+
+// Minimal stand-in for a Workers KV namespace (get/put/delete/list), used when no
+// DOCSTORE_KV binding is configured and in tests.
+export function createMemoryKV() {
+  const store = new Map();
+  const metadata = new Map();
+  return {
+    async get(key, type) {
+      if (!store.has(key)) {
+        return null;
+      }
+      const value = store.get(key);
+      return type === "json" ? JSON.parse(value) : value;
+    },
+    async put(key, value, options = {}) {
+      store.set(key, typeof value === "string" ? value : JSON.stringify(value));
+      if (options.metadata !== undefined) {
+        metadata.set(key, options.metadata);
+      } else {
+        metadata.delete(key);
+      }
+    },
+    async delete(key) {
+      store.delete(key);
+      metadata.delete(key);
+    },
+    async list(options = {}) {
+      const prefix = options.prefix || "";
+      const keys = [...store.keys()].filter(k => k.startsWith(prefix)).sort().map(name => (
+        metadata.has(name) ? { name, metadata: metadata.get(name) } : { name }
+      ));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+// Per-isolate fallback so the index still helps within one Worker instance without KV
+const fallbackKV = createMemoryKV();
+
+export function kvStore(env) {
+  return env.DOCSTORE_KV || fallbackKV;
+}
+
+// Read cache for GitHub GETs, keyed by API path (which includes the doc path and ref).
+// READ_CACHE picks the store: "cache" (Workers Cache API, the default where available),
+// "kv" (DOCSTORE_KV), "memory" (per isolate) or "off". Entries are fresh for READ_CACHE_TTL
+// seconds (default 60); after that they are revalidated with the GitHub ETag, and a 304 does
+// not count against the GitHub rate limit. Paths pinned to a blob, tree or commit sha never
+// change and are not revalidated. Our own writes bump a per-repo generation that is part of
+// every other key, so later reads miss what was cached before the write. The Cache API is per
+// data center, so with "cache" the generation is kept in DOCSTORE_KV, which every data center
+// reads (writes reach the others within KV's propagation delay, about a minute); without a KV
+// namespace that mode caches nothing.
+const memoryReadCache = createMemoryKV();
+const CACHE_API_ORIGIN = "https://docstore-read-cache.internal/";
+
+// KV-style adapter over the Workers Cache API
+function cacheApiStore(cache) {
+  const toUrl = key => CACHE_API_ORIGIN + encodeURIComponent(key);
+  return {
+    async get(key, type) {
+      const res = await cache.match(toUrl(key));
+      if (!res) {
+        return null;
+      }
+      return type === "json" ? res.json() : res.text();
+    },
+    async put(key, value, options = {}) {
+      const maxAge = options.expirationTtl || 86400;
+      await cache.put(toUrl(key), new Response(value, { headers: { "Cache-Control": `max-age=${maxAge}` } }));
+    },
+    async delete(key) {
+      await cache.delete(toUrl(key));
+    }
+  };
+}
+
+export function readCacheStore(env) {
+  const mode = env.READ_CACHE || "cache";
+  if (mode === "off") {
+    return null;
+  }
+  if (mode === "kv") {
+    return env.DOCSTORE_KV || null;
+  }
+  if (mode === "memory") {
+    return memoryReadCache;
+  }
+  return typeof caches !== "undefined" && caches.default && env.DOCSTORE_KV ? cacheApiStore(caches.default) : null;
+}
+
+// The store holding the per-repo generation: DOCSTORE_KV for the Cache API, the cache itself otherwise
+function readCacheGenerationStore(env, store) {
+  return (env.READ_CACHE || "cache") === "cache" ? env.DOCSTORE_KV : store;
+}
+
+function readCacheTtl(env) {
+  const ttl = parseInt(env.READ_CACHE_TTL || "60", 10);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : 60;
+}
+
+function isImmutableApiPath(path) {
+  return /\/git\/(blobs|trees)\/[0-9a-f]{40}(\?|$)/.test(path) ||
+    /\/commits\/[0-9a-f]{40}$/.test(path) ||
+    /[?&](ref|sha)=[0-9a-f]{40}(&|$)/.test(path);
+}
+
+async function readCacheGeneration(env, cacheStore) {
+  const store = readCacheGenerationStore(env, cacheStore);
+  const key = `gh-gen:${env.GITHUB_OWNER}/${env.GITHUB_REPO}`;
+  let generation = await store.get(key);
+  if (!generation) {
+    // A random start means a lost counter can never resurrect entries from an older generation
+    generation = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    await store.put(key, generation);
+  }
+  return generation;
+}
+
+// Called after a commit has succeeded, so a failing store (KV allows one write per second to a
+// key) is logged rather than turning a committed write into an error
+export async function invalidateReadCache(env) {
+  const store = readCacheStore(env);
+  if (!store) {
+    return;
+  }
+  const key = `gh-gen:${env.GITHUB_OWNER}/${env.GITHUB_REPO}`;
+  try {
+    await readCacheGenerationStore(env, store).put(key, `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`);
+  } catch (err) {
+    console.error("Read cache invalidation error", err);
+  }
+}
+
+function countCacheResult(env, result) {
+  const stats = env.requestContext && env.requestContext.cache;
+  if (stats) {
+    stats[result]++;
+  }
+}
+
+// GET through the read cache. Write requests set requestContext.fresh so every read they make
+// is revalidated first: a stale sha would only turn into a spurious conflict. A failing cache
+// store counts as a miss: the read goes to GitHub and is not cached.
+export async function cachedGithubGet(env, path) {
+  const store = readCacheStore(env);
+  if (!store) {
+    countCacheResult(env, "bypass");
+    return githubRequest("GET", path, env);
+  }
+
+  const immutable = isImmutableApiPath(path);
+  let key;
+  let entry = null;
+  try {
+    key = immutable
+      ? `gh:${path}`
+      : `gh:${await readCacheGeneration(env, store)}:${path}`;
+    entry = await store.get(key, "json");
+  } catch (err) {
+    console.error("Read cache error", err);
+    if (key === undefined) {
+      countCacheResult(env, "misses");
+      return githubRequest("GET", path, env);
+    }
+  }
+  const fresh = env.requestContext && env.requestContext.fresh;
+  if (entry && (immutable || (!fresh && Date.now() - entry.storedAt < readCacheTtl(env) * 1000))) {
+    countCacheResult(env, "hits");
+    return entry.body;
+  }
+
+  const res = await githubRequest("GET", path, env, undefined, {
+    withResponse: true,
+    headers: entry && entry.etag ? { "If-None-Match": entry.etag } : {}
+  });
+  const body = res.status === 304 ? entry.body : res.json;
+  countCacheResult(env, res.status === 304 ? "revalidated" : "misses");
+
+  const value = JSON.stringify({ body, etag: res.status === 304 ? entry.etag : res.etag, storedAt: Date.now() });
+  // Very large responses (e.g. big blobs) are not worth the store space
+  if (value.length <= parseInt(env.READ_CACHE_MAX_BYTES || "1048576", 10)) {
+    try {
+      await store.put(key, value, { expirationTtl: immutable ? 7 * 86400 : 86400 });
+    } catch (err) {
+      console.error("Read cache error", err);
+    }
+  }
+  return body;
+}
+
+// Summarize a request's cached reads for the X-Docstore-Cache response header
+function cacheStatus(stats) {
+  if (stats.misses > 0) {
+    return "MISS";
+  }
+  if (stats.revalidated > 0) {
+    return "REVALIDATED";
+  }
+  if (stats.hits > 0) {
+    return "HIT";
+  }
+  return stats.bypass > 0 ? "BYPASS" : null;
+}
+
+// Outbound webhooks. WEBHOOKS (a secret, since it holds signing keys) is a JSON array of
+// { url, secret, events?, paths? }: events limits deliveries to some operations (put, delete,
+// move, copy) and paths to documents under some prefixes. Write helpers record each change
+// with recordChange; once the request is answered every matching hook gets one signed POST
+// for the request's changes, retried in the background via ctx.waitUntil.
+export const WEBHOOK_EVENTS = ["put", "delete", "move", "copy"];
+
+export function loadWebhooks(env) {
+  let hooks = env.WEBHOOKS;
+  if (typeof hooks === "string") {
+    try {
+      hooks = JSON.parse(hooks);
+    } catch {
+      console.error("Ignoring WEBHOOKS: not valid JSON");
+      hooks = null;
+    }
+  }
+  return Array.isArray(hooks) ? hooks.filter(h => h && typeof h.url === "string") : [];
+}
+
+// Note a committed document change for the webhooks sent when the request completes.
+// change: { operation, path, from?, oldSha, newSha, commitSha }
+function recordChange(env, change) {
+  const context = env.requestContext;
+  if (context && context.changes) {
+    context.changes.push({
+      ...change,
+      branch: env.GITHUB_BRANCH,
+      client: context.client ? context.client.name : null,
+      tool: context.tool || null,
+      requestId: context.requestId || null
+    });
+  }
+}
+
+async function hmacSha256Hex(secret, data) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const signature = await crypto.subtle.sign("HMAC", key, enc.encode(data));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function webhookPayload(env, changes) {
+  const { branch, client, tool, requestId } = changes[0];
+  return {
+    id: crypto.randomUUID(),
+    event: "docs.changed",
+    timestamp: new Date().toISOString(),
+    repository: `${env.GITHUB_OWNER}/${env.GITHUB_REPO}`,
+    ...(env.STORE_NAME ? { store: env.STORE_NAME } : {}),
+    branch,
+    client,
+    tool,
+    requestId,
+    changes: changes.map(({ branch, client, tool, requestId, ...change }) => change)
+  };
+}
+
+// POST one payload, retrying network errors, 429 and 5xx responses with backoff.
+// Returns true once a hook accepts it.
+async function deliverWebhook(env, hook, payload) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "github-docstore-worker",
+    "X-Docstore-Event": payload.event,
+    "X-Docstore-Delivery": payload.id
+  };
+  if (hook.secret) {
+    headers["X-Docstore-Signature-256"] = `sha256=${await hmacSha256Hex(hook.secret, body)}`;
+  }
+  const maxAttempts = parseInt(env.WEBHOOK_MAX_ATTEMPTS || "3", 10);
+  const baseMs = parseInt(env.WEBHOOK_RETRY_BASE_MS || "1000", 10);
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (attempt > 0) {
+      await sleep(Math.min(baseMs * 2 ** (attempt - 1), 10000));
+    }
+    let res;
+    try {
+      res = await fetch(hook.url, { method: "POST", headers, body });
+    } catch (err) {
+      console.error(`Webhook ${hook.url} failed (attempt ${attempt + 1})`, err);
+      continue;
+    }
+    if (res.ok) {
+      return true;
+    }
+    console.error(`Webhook ${hook.url} returned ${res.status} (attempt ${attempt + 1})`);
+    if (res.status !== 429 && res.status < 500) {
+      return false;
+    }
+  }
+  return false;
+}
+
+// Send the changes a request made to every hook interested in them
+export async function deliverWebhooks(env, changes) {
+  const hooks = loadWebhooks(env);
+  await Promise.all(hooks.map(hook => {
+    const events = Array.isArray(hook.events) && hook.events.length ? hook.events : WEBHOOK_EVENTS;
+    const prefixes = Array.isArray(hook.paths) && hook.paths.length ? hook.paths : null;
+    const matching = changes.filter(c =>
+      events.includes(c.operation) &&
+      (!prefixes || [c.path, c.from].some(p => p && pathWithinPrefixes(p, prefixes)))
+    );
+    return matching.length > 0 ? deliverWebhook(env, hook, webhookPayload(env, matching)) : false;
+  }));
+}
+
+// Inbound GitHub webhooks are signed with GITHUB_WEBHOOK_SECRET in X-Hub-Signature-256
+async function verifyGithubSignature(secret, body, header) {
+  if (!header || !header.startsWith("sha256=")) {
+    return false;
+  }
+  return timingSafeEqual(header, `sha256=${await hmacSha256Hex(secret, body)}`);
+}
+
+// Audit log. Every authenticated request is recorded once it has been answered:
+//   { id, timestamp, client, method, endpoint, path, status, commitSha, changedPaths, latencyMs, requestId }
+// MCP tool calls get an entry each, marked via: "mcp", alongside the one for POST /mcp.
+// AUDIT_LOG picks the sink: "kv" (DOCSTORE_KV), "d1" (the AUDIT_DB binding), "memory" (per
+// isolate, for development) or "off" (default). A sink is { write(entry), query(filters) } where
+// filters are { path, client, since, until, limit } and results come newest first; AUDIT_SINK
+// can supply one directly.
+const AUDIT_KEY_PREFIX = "audit:";
+// Inverted timestamps make KV's ascending key order list the newest entries first
+const AUDIT_MAX_TIME = 9999999999999;
+let auditSequence = 0;
+
+function auditEntryMatches(entry, filters) {
+  if (filters.client && entry.client !== filters.client) {
+    return false;
+  }
+  if (filters.path && !(entry.path && pathWithinPrefixes(entry.path, [filters.path])) &&
+    !(entry.changedPaths || []).some(p => pathWithinPrefixes(p, [filters.path]))) {
+    return false;
+  }
+  if (filters.since && entry.timestamp < filters.since) {
+    return false;
+  }
+  return !(filters.until && entry.timestamp >= filters.until);
+}
+
+export function kvAuditSink(kv, options = {}) {
+  const ttl = options.retentionDays ? options.retentionDays * 86400 : undefined;
+  return {
+    async write(entry) {
+      const inverted = String(AUDIT_MAX_TIME - Date.parse(entry.timestamp)).padStart(13, "0");
+      // Orders entries written by this isolate within the same millisecond
+      const sequence = String(999999 - (auditSequence++ % 1000000)).padStart(6, "0");
+      const value = JSON.stringify(entry);
+      // The entry doubles as key metadata (when small enough) so queries need no per-key reads
+      await kv.put(`${AUDIT_KEY_PREFIX}${inverted}:${sequence}:${entry.id}`, value, {
+        ...(ttl ? { expirationTtl: ttl } : {}),
+        ...(value.length <= 1024 ? { metadata: entry } : {})
+      });
+    },
+    async query(filters) {
+      const entries = [];
+      let cursor;
+      for (;;) {
+        const page = await kv.list({ prefix: AUDIT_KEY_PREFIX, cursor });
+        for (const key of page.keys) {
+          const entry = key.metadata || await kv.get(key.name, "json");
+          if (!entry) {
+            continue;
+          }
+          if (filters.since && entry.timestamp < filters.since) {
+            return entries;
+          }
+          if (auditEntryMatches(entry, filters)) {
+            entries.push(entry);
+            if (entries.length >= filters.limit) {
+              return entries;
+            }
+          }
+        }
+        if (page.list_complete || !page.cursor) {
+          return entries;
+        }
+        cursor = page.cursor;
+      }
+    }
+  };
+}
+
+export function d1AuditSink(db) {
+  let ready = null;
+  const ensureTable = () => {
+    ready = ready || (async () => {
+      await db.prepare(
+        "CREATE TABLE IF NOT EXISTS audit_log (id TEXT PRIMARY KEY, timestamp TEXT NOT NULL, client TEXT, path TEXT, entry TEXT NOT NULL)"
+      ).run();
+      await db.prepare("CREATE INDEX IF NOT EXISTS audit_log_timestamp ON audit_log (timestamp)").run();
+    })().catch(err => {
+      ready = null;
+      throw err;
+    });
+    return ready;
+  };
+  return {
+    async write(entry) {
+      await ensureTable();
+      await db.prepare("INSERT INTO audit_log (id, timestamp, client, path, entry) VALUES (?, ?, ?, ?, ?)")
+        .bind(entry.id, entry.timestamp, entry.client, entry.path, JSON.stringify(entry))
+        .run();
+    },
+    async query(filters) {
+      await ensureTable();
+      const where = [];
+      const params = [];
+      if (filters.client) {
+        where.push("client = ?");
+        params.push(filters.client);
+      }
+      if (filters.since) {
+        where.push("timestamp >= ?");
+        params.push(filters.since);
+      }
+      if (filters.until) {
+        where.push("timestamp < ?");
+        params.push(filters.until);
+      }
+      const prefix = (filters.path || "").replace(/^\/+/, "").replace(/\/+$/, "");
+      if (prefix) {
+        // The document itself or anything under it: "p/" <= value < "p0" ("0" follows "/")
+        const within = column => `(${column} = ? OR (${column} >= ? AND ${column} < ?))`;
+        where.push(`(${within("path")} OR EXISTS (SELECT 1 FROM json_each(entry, '$.changedPaths') WHERE ${within("value")}))`);
+        params.push(prefix, prefix + "/", prefix + "0", prefix, prefix + "/", prefix + "0");
+      }
+      const sql = `SELECT entry FROM audit_log${where.length ? " WHERE " + where.join(" AND ") : ""} ORDER BY timestamp DESC, id DESC LIMIT ?`;
+      const { results } = await db.prepare(sql).bind(...params, filters.limit).all();
+      return (results || []).map(row => JSON.parse(row.entry));
+    }
+  };
+}
+
+const memoryAuditKV = createMemoryKV();
+
+export function auditSink(env) {
+  if (env.AUDIT_SINK) {
+    return env.AUDIT_SINK;
+  }
+  const mode = env.AUDIT_LOG || "off";
+  const retentionDays = parseInt(env.AUDIT_RETENTION_DAYS || "90", 10);
+  if (mode === "kv") {
+    return env.DOCSTORE_KV ? kvAuditSink(env.DOCSTORE_KV, { retentionDays }) : null;
+  }
+  if (mode === "d1") {
+    return env.AUDIT_DB ? d1AuditSink(env.AUDIT_DB) : null;
+  }
+  if (mode === "memory") {
+    return kvAuditSink(memoryAuditKV);
+  }
+  return null;
+}
+
+// The document a request was about: the path in the URL for per-document endpoints, otherwise
+// the first document it changed
+function auditPath(pathname, changes) {
+  const match = pathname.match(/^(?:\/s\/[^/]+)?\/(?:d|history|diff)\/(.*)$/);
+  if (match) {
+    return match[1];
+  }
+  if (/^(?:\/s\/[^/]+)?\/d$/.test(pathname)) {
+    return "";
+  }
+  return changes.length > 0 ? changes[0].path : null;
+}
+
+export function auditEntry(request, response, audit, changes, startedAt) {
+  const url = new URL(request.url);
+  let pathname = url.pathname;
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch {
+    // Malformed escapes were refused with a 400; log the path as sent
+  }
+  const commits = [...new Set(changes.map(c => c.commitSha))];
+  const changedPaths = [...new Set(changes.flatMap(c => (c.from ? [c.from, c.path] : [c.path])))];
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date(startedAt).toISOString(),
+    client: audit.client.name,
+    method: request.method,
+    endpoint: url.pathname,
+    path: auditPath(pathname, changes),
+    status: response.status,
+    commitSha: commits.length > 0 ? commits[commits.length - 1] : null,
+    latencyMs: Date.now() - startedAt,
+    requestId: audit.requestId || null
+  };
+  if (audit.store) {
+    entry.store = audit.store;
+  }
+  const ref = url.searchParams.get("ref");
+  if (ref) {
+    entry.ref = ref;
+  }
+  if (changedPaths.length > 0) {
+    entry.changedPaths = changedPaths;
+  }
+  return entry;
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Content index. Per ref, a manifest { version, commitSha, truncated, files: { repoPath: { sha,
+// shard, frontMatter, links } } } holds what queries and the link graph need, worked out once per
+// blob. The text that search needs lives in shards of up to CONTENT_INDEX_SHARD_BYTES
+// ({ repoPath: content }) so no KV value comes near the 25 MiB limit; shard is null for binary and
+// oversized files. The default branch's index is kept; indexes of other refs (draft branches,
+// tags, commits) expire after CONTENT_INDEX_TTL seconds (default 7 days). Loaded indexes are also
+// kept per isolate, so requests at an unchanged commit neither read nor parse them again.
+const CONTENT_INDEX_VERSION = 2;
+const CONTENT_INDEX_SHARD_BYTES = 4 * 1024 * 1024;
+const CONTENT_INDEX_MEMO_SIZE = 8;
+// KV namespace -> Map of index key -> { commitSha, truncated, files, contents }
+const contentIndexMemo = new WeakMap();
+
+// Front matter and links of a text file, kept in the manifest
+function indexedFileData(repoPath, content) {
+  const data = {};
+  const { frontMatter } = parseFrontMatter(content);
+  if (frontMatter && Object.keys(frontMatter).length > 0) {
+    data.frontMatter = frontMatter;
+  }
+  if (isMarkdownPath(repoPath)) {
+    const links = extractLinks(content).map(({ type, target, text, line }) => ({ type, target, text, line }));
+    if (links.length > 0) {
+      data.links = links;
+    }
+  }
+  return data;
+}
+
+// Read the text of the given indexed files from their shards, as a Map of repoPath -> content.
+// Files missing from a shard (removed by a concurrent refresh, or expired) are read from their blobs.
+async function readIndexedTexts(env, kv, files) {
+  const wanted = Object.entries(files).filter(([, file]) => file.shard !== null);
+  const shardKeys = [...new Set(wanted.map(([, file]) => file.shard))];
+  const shards = new Map(await mapWithConcurrency(shardKeys, 8, async shardKey => [shardKey, (await kv.get(shardKey, "json")) || {}]));
+  const texts = new Map();
+  const missing = [];
+  for (const [repoPath, file] of wanted) {
+    const content = shards.get(file.shard)[repoPath];
+    if (typeof content === "string") {
+      texts.set(repoPath, content);
+    } else {
+      missing.push([repoPath, file]);
+    }
+  }
+  await mapWithConcurrency(missing, 8, async ([repoPath, file]) => {
+    const blob = await storageBackend(env).getBlob(file.sha);
+    texts.set(repoPath, decodeText(blob.content || "") || "");
+  });
+  return texts;
+}
+
+// Split texts (Map of repoPath -> content) into shards of at most CONTENT_INDEX_SHARD_BYTES
+function packShards(prefix, texts) {
+  const shards = [];
+  let current = null;
+  for (const repoPath of [...texts.keys()].sort()) {
+    const size = repoPath.length + texts.get(repoPath).length;
+    if (!current || (current.size > 0 && current.size + size > CONTENT_INDEX_SHARD_BYTES)) {
+      current = { key: `${prefix}:${shards.length}`, files: {}, size: 0 };
+      shards.push(current);
+    }
+    current.files[repoPath] = texts.get(repoPath);
+    current.size += size;
+  }
+  return shards;
+}
+
+// Bring the stored index up to date with tree. Only blobs whose sha changed since the last
+// refresh are downloaded; shards whose files all carried over are reused and the rest rewritten.
+async function refreshContentIndex(env, kv, key, ttl, tree) {
+  const cached = await kv.get(key, "json");
+  const stored = cached && cached.version === CONTENT_INDEX_VERSION ? cached : null;
+  if (stored && stored.commitSha === tree.commitSha) {
+    return { commitSha: stored.commitSha, truncated: stored.truncated, files: stored.files };
+  }
+
+  const maxBytes = parseInt(env.SEARCH_MAX_FILE_BYTES || "1048576", 10);
+  const previous = stored ? stored.files : {};
+  const files = {};
+  const texts = new Map();
+  const toFetch = [];
+  for (const entry of tree.entries) {
+    if (entry.type !== "blob") {
+      continue;
+    }
+    const known = previous[entry.path];
+    if (known && known.sha === entry.sha) {
+      files[entry.path] = known;
+    } else if (entry.size !== undefined && entry.size > maxBytes) {
+      files[entry.path] = { sha: entry.sha, shard: null };
+    } else {
+      toFetch.push(entry);
+    }
+  }
+
+  await mapWithConcurrency(toFetch, 8, async entry => {
+    const blob = await storageBackend(env).getBlob(entry.sha);
+    const content = decodeText(blob.content || "");
+    files[entry.path] = { sha: entry.sha, shard: null };
+    if (content !== null) {
+      texts.set(entry.path, content);
+      Object.assign(files[entry.path], indexedFileData(entry.path, content));
+    }
+  });
+
+  // Expiring indexes rewrite every shard, so no shard expires before the manifest that uses it
+  const stale = new Set();
+  for (const [repoPath, file] of Object.entries(previous)) {
+    if (file.shard !== null && (ttl || files[repoPath] !== file)) {
+      stale.add(file.shard);
+    }
+  }
+  const carried = Object.fromEntries(Object.entries(files).filter(([, file]) => stale.has(file.shard)));
+  for (const [repoPath, content] of await readIndexedTexts(env, kv, carried)) {
+    texts.set(repoPath, content);
+  }
+
+  const options = ttl ? { expirationTtl: ttl } : {};
+  const shards = packShards(`${key}:${crypto.randomUUID()}`, texts);
+  for (const shard of shards) {
+    for (const repoPath of Object.keys(shard.files)) {
+      files[repoPath] = { ...files[repoPath], shard: shard.key };
+    }
+  }
+  await Promise.all(shards.map(shard => kv.put(shard.key, JSON.stringify(shard.files), options)));
+  await kv.put(key, JSON.stringify({ version: CONTENT_INDEX_VERSION, commitSha: tree.commitSha, truncated: tree.truncated, files }), options);
+  await Promise.all([...stale].map(shardKey => kv.delete(shardKey)));
+
+  const index = { commitSha: tree.commitSha, truncated: tree.truncated, files };
+  // Without reused shards every text is at hand already
+  if (Object.keys(files).every(repoPath => files[repoPath].shard === null || texts.has(repoPath))) {
+    index.contents = texts;
+  }
+  return index;
+}
+
+// Load the content index for a ref, bringing it up to date with the docs tree first.
+// Options: content (also load the text of every indexed file into index.contents).
+export async function loadContentIndex(env, ref, options = {}) {
+  const { GITHUB_OWNER, GITHUB_REPO, GITHUB_BRANCH } = env;
+  const indexRef = ref || GITHUB_BRANCH;
+  const key = `content-index:${GITHUB_OWNER}/${GITHUB_REPO}:${normalizeBaseDir(env)}:${indexRef}`;
+  const kv = kvStore(env);
+  const ttl = indexRef === GITHUB_BRANCH ? undefined : parseInt(env.CONTENT_INDEX_TTL || "604800", 10);
+
+  const tree = await getDocsTree(env, indexRef);
+  if (!contentIndexMemo.has(kv)) {
+    contentIndexMemo.set(kv, new Map());
+  }
+  const memo = contentIndexMemo.get(kv);
+  let index = memo.get(key);
+  if (!index || index.commitSha !== tree.commitSha) {
+    index = await refreshContentIndex(env, kv, key, ttl, tree);
+    memo.delete(key);
+    memo.set(key, index);
+    if (memo.size > CONTENT_INDEX_MEMO_SIZE) {
+      memo.delete(memo.keys().next().value);
+    }
+  }
+  if (options.content && !index.contents) {
+    index.contents = await readIndexedTexts(env, kv, index.files);
+  }
+  return index;
+}
+
+// Search document contents under DOCS_BASE_DIR for a literal, case-insensitive query.
+// Options: ref, prefix (logical path prefix), extensions (["md", ...]), caseSensitive,
+// limit (max files), maxMatches (per file).
+export async function searchDocs(env, query, options = {}) {
+  const index = await loadContentIndex(env, options.ref, { content: true });
+  const prefix = options.prefix ? options.prefix.replace(/^\/+/, "") : "";
+  const extensions = (options.extensions || []).map(e => e.replace(/^\./, "").toLowerCase());
+  const limit = options.limit || 20;
+
+  const results = [];
+  let totalFiles = 0;
+  for (const path of Object.keys(index.files).sort()) {
+    const file = index.files[path];
+    const logicalPath = logicalPathFromGitPath(env, path);
+    if (file.shard === null || (prefix && !logicalPath.startsWith(prefix))) {
+      continue;
+    }
+    if (options.visible && !options.visible(logicalPath)) {
+      continue;
+    }
+    if (extensions.length > 0) {
+      const dot = logicalPath.lastIndexOf(".");
+      const ext = dot === -1 ? "" : logicalPath.substring(dot + 1).toLowerCase();
+      if (!extensions.includes(ext)) {
+        continue;
+      }
+    }
+    const found = findMatches(index.contents.get(path), query, {
+      caseSensitive: options.caseSensitive,
+      maxMatches: options.maxMatches
+    });
+    if (found.count === 0) {
+      continue;
+    }
+    totalFiles++;
+    if (results.length < limit) {
+      results.push({ path: logicalPath, sha: file.sha, matchCount: found.count, matches: found.matches });
+    }
+  }
+
+  return {
+    query,
+    ref: options.ref || env.GITHUB_BRANCH,
+    commitSha: index.commitSha,
+    totalFiles,
+    truncated: totalFiles > results.length,
+    results
+  };
+}
+
+// Front matter of an indexed file, or {} when it has none (or is binary / unparseable)
+function indexedFrontMatter(file) {
+  return (file && file.frontMatter) || {};
+}
+
+function pickFields(frontMatter, fieldNames) {
+  const picked = {};
+  for (const name of fieldNames) {
+    if (frontMatter[name] !== undefined) {
+      picked[name] = frontMatter[name];
+    }
+  }
+  return picked;
+}
+
+// A query value matches a scalar field by string equality and a list field if any element matches
+function fieldMatches(value, expected) {
+  if (Array.isArray(value)) {
+    return value.some(v => fieldMatches(v, expected));
+  }
+  return value !== null && value !== undefined && typeof value !== "object" && String(value) === expected;
+}
+
+// List documents whose front matter matches every filter.
+// Filters: tags (each must appear in the "tags" field), fields ({ name: value } equality).
+// Options: ref, prefix, fields (front matter fields to return; all of them when omitted),
+// limit, visible.
+export async function queryDocs(env, filters, options = {}) {
+  const index = await loadContentIndex(env, options.ref);
+  const prefix = options.prefix ? options.prefix.replace(/^\/+/, "") : "";
+  const tags = filters.tags || [];
+  const fields = Object.entries(filters.fields || {});
+  const limit = options.limit || 100;
+
+  const results = [];
+  let total = 0;
+  for (const path of Object.keys(index.files).sort()) {
+    const file = index.files[path];
+    const logicalPath = logicalPathFromGitPath(env, path);
+    if (file.shard === null || (prefix && !logicalPath.startsWith(prefix))) {
+      continue;
+    }
+    if (options.visible && !options.visible(logicalPath)) {
+      continue;
+    }
+    const frontMatter = indexedFrontMatter(file);
+    if (!tags.every(tag => fieldMatches(frontMatter.tags, tag))) {
+      continue;
+    }
+    if (!fields.every(([name, value]) => fieldMatches(frontMatter[name], value))) {
+      continue;
+    }
+    total++;
+    if (results.length < limit) {
+      results.push({
+        path: logicalPath,
+        sha: file.sha,
+        metadata: options.fields ? pickFields(frontMatter, options.fields) : frontMatter
+      });
+    }
+  }
+
+  return {
+    ref: options.ref || env.GITHUB_BRANCH,
+    commitSha: index.commitSha,
+    total,
+    truncated: total > results.length,
+    results
+  };
+}
+
+// Query parameters of GET /query that are not front matter field filters
+const QUERY_RESERVED_PARAMS = ["tag", "prefix", "fields", "limit", "ref"];
+
+// Add the named front matter fields to the file items of a listing as `metadata`
+async function addListMetadata(env, items, fieldNames, ref) {
+  const index = await loadContentIndex(env, ref);
+  for (const item of items) {
+    if (item.type === "file") {
+      item.metadata = pickFields(indexedFrontMatter(index.files[buildRepoPath(env, item.path)]), fieldNames);
+    }
+  }
+  return items;
+}
+
+// The links between documents at a ref, built from the content index so it follows every new
+// commit. Returns { commitSha, truncated, paths (Set of logical paths), dirs (Set), files
+// (logical path -> { sha } for Markdown documents), links, resolve } where each link is
+// { from, type, target, text, line, path, fragment } with `path` the logical path it points at.
+export async function loadLinkGraph(env, ref) {
+  const index = await loadContentIndex(env, ref);
+  const paths = new Set();
+  const dirs = new Set([""]);
+  const files = new Map();
+  for (const repoPath of Object.keys(index.files).sort()) {
+    const path = logicalPathFromGitPath(env, repoPath);
+    paths.add(path);
+    for (let slash = path.indexOf("/"); slash !== -1; slash = path.indexOf("/", slash + 1)) {
+      dirs.add(path.substring(0, slash));
+    }
+    const file = index.files[repoPath];
+    if (file.shard !== null && isMarkdownPath(path)) {
+      files.set(path, file);
+    }
+  }
+
+  const resolve = createLinkResolver([...paths]);
+  const links = [];
+  for (const [from, file] of files) {
+    for (const link of file.links || []) {
+      const target = resolve(from, link);
+      if (target) {
+        links.push({ from, type: link.type, target: link.target, text: link.text, line: link.line, ...target });
+      }
+    }
+  }
+  return { commitSha: index.commitSha, truncated: index.truncated, paths, dirs, files, links, resolve };
+}
+
+function linkExists(graph, link) {
+  return graph.paths.has(link.path) || graph.dirs.has(link.path);
+}
+
+function mapLink(link, field) {
+  const mapped = { [field]: field === "from" ? link.from : link.path, type: link.type, target: link.target, text: link.text, line: link.line };
+  if (link.fragment !== undefined) {
+    mapped.fragment = link.fragment;
+  }
+  return mapped;
+}
+
+// Outgoing links of a document and the links to it from other documents.
+// Options: ref, visible (logical path predicate for the documents backlinks may come from).
+export async function getDocLinks(env, docPath, options = {}) {
+  const graph = await loadLinkGraph(env, options.ref);
+  const path = logicalPathFromGitPath(env, buildRepoPath(env, docPath));
+  const backlinks = graph.links
+    .filter(link => link.path === path && link.from !== path && (!options.visible || options.visible(link.from)))
+    .map(link => mapLink(link, "from"));
+  if (!graph.paths.has(path) && backlinks.length === 0) {
+    const err = new Error("Document not found");
+    err.status = 404;
+    throw err;
+  }
+  return {
+    path,
+    ref: options.ref || env.GITHUB_BRANCH,
+    commitSha: graph.commitSha,
+    exists: graph.paths.has(path),
+    links: graph.links
+      .filter(link => link.from === path)
+      .map(link => ({ ...mapLink(link, "path"), exists: linkExists(graph, link) })),
+    backlinks
+  };
+}
+
+// Links whose target does not exist, across the docs tree.
+// Options: ref, prefix (of the linking document), limit, visible.
+export async function findBrokenLinks(env, options = {}) {
+  const graph = await loadLinkGraph(env, options.ref);
+  const prefix = options.prefix ? options.prefix.replace(/^\/+/, "") : "";
+  const limit = options.limit || 100;
+  const broken = graph.links.filter(link =>
+    !linkExists(graph, link) &&
+    (!prefix || link.from.startsWith(prefix)) &&
+    (!options.visible || options.visible(link.from))
+  );
+  return {
+    ref: options.ref || env.GITHUB_BRANCH,
+    commitSha: graph.commitSha,
+    total: broken.length,
+    truncated: broken.length > limit,
+    results: broken.slice(0, limit).map(link => ({ ...mapLink(link, "from"), path: link.path }))
+  };
+}
+
+export const LINK_MODES = ["keep", "refuse", "rewrite"];
+
+// Backlinks from documents the client may not read are counted but not named
+function backlinksError(links, client) {
+  const sources = [...new Set(links.map(link => link.from))];
+  const visible = links.filter(link => canReadPath(client, link.from));
+  const err = new Error(
+    `${links.length} link${links.length === 1 ? "" : "s"} in ${sources.length} other document${sources.length === 1 ? "" : "s"} ` +
+    `point${links.length === 1 ? "s" : ""} here; pass links: "rewrite" to update them or "keep" to leave them broken`
+  );
+  err.status = 409;
+  err.code = "has_backlinks";
+  err.details = { backlinks: visible.map(link => mapLink(link, "from")) };
+  if (visible.length < links.length) {
+    err.details.hiddenBacklinks = links.length - visible.length;
+  }
+  return err;
+}
+
+// The documents a link rewrite changes must be writable by the client and pass VALIDATION_RULES
+function checkLinkRewrites(env, rewrites) {
+  const client = env.requestContext && env.requestContext.client;
+  if (client) {
+    const denied = rewrites.filter(r => !checkPermission(client, "write", r.path).ok);
+    if (denied.length > 0) {
+      const named = denied.filter(r => canReadPath(client, r.path)).map(r => r.path);
+      const err = new Error(
+        `Token '${client.name}' lacks write permission for ${denied.length} document${denied.length === 1 ? "" : "s"} ` +
+        `whose links would be rewritten; pass links: "keep" to leave them broken`
+      );
+      err.status = 403;
+      err.code = "forbidden";
+      err.details = { permission: "write", paths: named };
+      if (named.length < denied.length) {
+        err.details.hiddenPaths = denied.length - named.length;
+      }
+      throw err;
+    }
+  }
+  const violations = rewrites.flatMap(r => checkWrite(env, r.path, r.content));
+  if (violations.length > 0) {
+    throw validationError(violations);
+  }
+}
+
+// Check or rewrite the links into documents that are moving or being deleted.
+// moved maps logical old paths to new paths (null for a delete). With links "refuse", links from
+// other documents fail with 409 has_backlinks; with "rewrite", returns
+// [{ from, path, sha, content, count }] for every document whose links change, moved documents
+// included (their relative links are re-based), after checking the client may write them all.
+// Returns [] for "keep".
+async function planLinkRewrites(env, mode, headSha, moved) {
+  if (mode !== "refuse" && mode !== "rewrite") {
+    return [];
+  }
+  const graph = await loadLinkGraph(env);
+  if (graph.commitSha !== headSha) {
+    const err = new Error(`Branch ${env.GITHUB_BRANCH} changed while checking links; retry the request`);
+    err.status = 409;
+    err.code = "conflict";
+    throw err;
+  }
+  const inbound = graph.links.filter(link => moved.has(link.path) && !moved.has(link.from));
+  if (mode === "refuse") {
+    if (inbound.length > 0) {
+      throw backlinksError(inbound, env.requestContext && env.requestContext.client);
+    }
+    return [];
+  }
+
+  const affected = new Set(inbound.map(link => link.from));
+  for (const [from, to] of moved) {
+    if (to !== null && graph.files.has(from)) {
+      affected.add(from);
+    }
+  }
+  const rewrites = [];
+  for (const from of [...affected].sort()) {
+    const to = moved.has(from) ? moved.get(from) : from;
+    const file = graph.files.get(from);
+    const blob = await storageBackend(env).getBlob(file.sha);
+    const { content, count } = rewriteLinks(decodeText(blob.content || "") || "", from, to, moved, graph.resolve);
+    if (count > 0) {
+      rewrites.push({ from, path: to, sha: file.sha, content, count });
+    }
+  }
+  checkLinkRewrites(env, rewrites);
+  return rewrites;
+}
+
+// Read a JSON request body without consuming it for the handler; {} if it is not a JSON object.
+async function peekJsonBody(request) {
+  try {
+    const body = await request.clone().json();
+    return body && typeof body === "object" && !Array.isArray(body) ? body : {};
+  } catch {
+    return {};
+  }
+}
+
+// Read one string field from a JSON request body without consuming the body for the handler.
+async function peekJsonField(request, field) {
+  const body = await peekJsonBody(request);
+  return typeof body[field] === "string" ? body[field] : undefined;
+}
+
+// Control characters, line breaks included, would let a value add lines to the commit message
+const CONTROL_CHARS_RE = /[\u0000-\u001f\u007f-\u009f\u2028\u2029]/;
+
+function parseIdentity(value, field) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (
+    typeof value !== "object" ||
+    typeof value.name !== "string" || !value.name.trim() ||
+    typeof value.email !== "string" || !/^[^\s@]+@[^\s@]+$/.test(value.email.trim())
+  ) {
+    const err = new Error(`Field '${field}' must be an object with 'name' and 'email' strings`);
+    err.status = 400;
+    throw err;
+  }
+  if (CONTROL_CHARS_RE.test(value.name) || CONTROL_CHARS_RE.test(value.email)) {
+    const err = new Error(`Field '${field}' must not contain control characters`);
+    err.status = 400;
+    throw err;
+  }
+  return { name: value.name.trim(), email: value.email.trim() };
+}
+
+function emailAllowed(email, patterns) {
+  const lower = email.toLowerCase();
+  return patterns.some(p => {
+    const pattern = String(p).toLowerCase();
+    return pattern.startsWith("@") ? lower.endsWith(pattern) : lower === pattern;
+  });
+}
+
+// Author, committer and tool for the commits of a write request, from the JSON body (or the
+// X-Docstore-Tool header). A token's `author` is the default author; its `authorEmails`
+// (exact addresses or "@domain" suffixes) limit which identities it may claim.
+async function commitAttribution(request, client) {
+  const body = await peekJsonBody(request);
+  const author = parseIdentity(body.author, "author") || (client && client.author ? parseIdentity(client.author, "author") : undefined);
+  const committer = parseIdentity(body.committer, "committer");
+  if (client && Array.isArray(client.authorEmails)) {
+    for (const identity of [author, committer]) {
+      if (identity && !emailAllowed(identity.email, client.authorEmails)) {
+        const err = new Error(`Token '${client.name}' may not commit as ${identity.email}`);
+        err.status = 403;
+        err.code = "forbidden";
+        throw err;
+      }
+    }
+  }
+  const tool = request.headers.get("X-Docstore-Tool") || (typeof body.tool === "string" && body.tool ? body.tool : undefined);
+  if (tool !== undefined && CONTROL_CHARS_RE.test(tool)) {
+    const err = new Error("Field 'tool' must not contain control characters");
+    err.status = 400;
+    throw err;
+  }
+  return { author, committer, tool };
+}
+
+const WRITE_ENDPOINTS = ["/delete", "/batch", "/move", "/copy", "/restore"];
+
+function isWriteRequest(request, pathname) {
+  if (pathname.startsWith("/d/") || pathname === "/d") {
+    return ["PUT", "PATCH", "DELETE"].includes(request.method);
+  }
+  return request.method === "POST" && WRITE_ENDPOINTS.includes(pathname);
+}
+
+// Add the draft branch to a write response when the write did not go to GITHUB_BRANCH.
+function withBranch(draftBranch, payload) {
+  return draftBranch ? { ...payload, branch: draftBranch } : payload;
+}
+
+// Shape shared by every directory listing. Directories get a trailing slash in `path`.
+// Accepts Contents API items (type "file"/"dir") and Git tree entries (type "blob"/"tree").
+function mapListItem(env, item) {
+  const type = item.type === "tree" ? "dir" : item.type === "blob" ? "file" : item.type;
+  const logicalPath = logicalPathFromGitPath(env, item.path);
+  const path =
+    type === "dir"
+      ? (logicalPath === "" ? "" : logicalPath + "/")
+      : logicalPath;
+  const mapped = {
+    name: item.name || item.path.substring(item.path.lastIndexOf("/") + 1),
+    path,
+    type,
+    sha: item.sha
+  };
+  if (type === "file") {
+    mapped.size = item.size;
+  }
+  return mapped;
+}
+
+// Convert a glob to a RegExp. "*" and "?" stay within a path segment, "**" crosses segments.
+export function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        // "**/" also matches zero directories
+        if (glob[i + 2] === "/") {
+          re += "(?:.*/)?";
+          i += 2;
+        } else {
+          re += ".*";
+          i += 1;
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") {
+      re += "[^/]";
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// A pattern without a slash matches the name at any depth (like .gitignore)
+function globMatcher(patterns) {
+  const compiled = patterns.map(p => ({ re: globToRegExp(p), basename: !p.includes("/") }));
+  return (relPath) => {
+    const name = relPath.substring(relPath.lastIndexOf("/") + 1);
+    return compiled.some(({ re, basename }) => re.test(basename ? name : relPath));
+  };
+}
+
+// A list query parameter, given repeated (?tag=a&tag=b) and/or comma separated (?tag=a,b)
+function listParam(searchParams, name) {
+  return searchParams.getAll(name)
+    .flatMap(v => v.split(","))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function treeOptionsFromQuery(searchParams, ref) {
+  let depth;
+  if (searchParams.has("depth")) {
+    depth = parseInt(searchParams.get("depth"), 10);
+    if (!Number.isFinite(depth) || depth < 1) {
+      const err = new Error("Query parameter 'depth' must be a positive integer");
+      err.status = 400;
+      throw err;
+    }
+  }
+  const lastModified = searchParams.get("lastModified");
+  return {
+    ref,
+    depth,
+    include: listParam(searchParams, "include"),
+    exclude: listParam(searchParams, "exclude"),
+    lastModified: lastModified === "true" || lastModified === "1"
+  };
+}
+
+// List a directory's whole subtree in one Git trees call.
+// Options: ref, depth (1 = direct children only), include / exclude (glob lists matched
+// against paths relative to the listed directory; include applies to files, exclude also
+// prunes directories), lastModified (add the date of the last commit touching each file,
+// for at most TREE_LAST_MODIFIED_LIMIT files).
+export async function listTree(env, dirPath, options = {}) {
+  const { GITHUB_BRANCH } = env;
+  const tree = await getDocsTree(env, options.ref);
+  const base = normalizeBaseDir(env);
+  const dirRepo = buildRepoPath(env, dirPath || "");
+  const prefix = dirRepo + "/";
+
+  if (dirRepo !== base && !tree.entries.some(e => e.type === "tree" && e.path === dirRepo)) {
+    const err = new Error("Directory not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const isIncluded = options.include && options.include.length ? globMatcher(options.include) : () => true;
+  const isExcluded = options.exclude && options.exclude.length ? globMatcher(options.exclude) : () => false;
+
+  const excludedDirs = [];
+  const items = [];
+  for (const entry of tree.entries) {
+    if (!entry.path.startsWith(prefix)) {
+      continue;
+    }
+    const rel = entry.path.substring(prefix.length);
+    if (excludedDirs.some(d => rel.startsWith(d))) {
+      continue;
+    }
+    if (options.depth && rel.split("/").length > options.depth) {
+      continue;
+    }
+    if (isExcluded(rel)) {
+      if (entry.type === "tree") {
+        excludedDirs.push(rel + "/");
+      }
+      continue;
+    }
+    if (entry.type === "blob" && !isIncluded(rel)) {
+      continue;
+    }
+    if (entry.type !== "blob" && entry.type !== "tree") {
+      continue;
+    }
+    const item = mapListItem(env, entry);
+    if (options.visible && !options.visible(item)) {
+      continue;
+    }
+    items.push(item);
+  }
+
+  const logicalDir = logicalPathFromGitPath(env, dirRepo);
+  const result = {
+    path: logicalDir ? logicalDir + "/" : "",
+    ref: options.ref || GITHUB_BRANCH,
+    commitSha: tree.commitSha,
+    truncated: tree.truncated,
+    items
+  };
+
+  if (options.lastModified) {
+    const limit = parseInt(env.TREE_LAST_MODIFIED_LIMIT || "100", 10);
+    const files = items.filter(i => i.type === "file");
+    const selected = files.slice(0, limit);
+    await mapWithConcurrency(selected, 8, async item => {
+      const history = await listHistory(env, item.path, { ref: tree.commitSha, perPage: 1 });
+      const latest = history.commits[0];
+      item.lastModified = latest ? latest.committer.date || latest.author.date : null;
+      item.lastCommitSha = latest ? latest.sha : null;
+    });
+    result.lastModifiedTruncated = files.length > selected.length;
+  }
+
+  return result;
+}
+
+// True when a path has an empty, "." or ".." segment (a trailing slash is fine). Such paths
+// would be resolved by the storage backend to somewhere other than the path that was
+// authorized, so they are rejected before any permission check.
+export function hasInvalidPathSegment(docPath) {
+  const path = docPath.replace(/^\/+/, "").replace(/\/+$/, "");
+  return path !== "" && path.split("/").some(segment => segment === "" || segment === "." || segment === "..");
+}
+
+// Allow leading slash, accidental /d/ prefix, or base dir prefix; normalize to logical path.
+// Used by endpoints that take document paths in a JSON body rather than the URL. The result
+// is checked with hasInvalidPathSegment by authorizePaths.
+export function normalizeRequestPath(env, requestPath) {
+  let docPath = requestPath;
+  if (docPath.startsWith("/d/")) {
+    docPath = docPath.slice(3);
+  } else if (docPath.startsWith("d/")) {
+    docPath = docPath.slice(2);
+  }
+  docPath = docPath.startsWith("/") ? docPath.slice(1) : docPath;
+  return logicalPathFromGitPath(env, docPath);
+}
+
+// Decide from an Accept header whether a document read should return the bare content
+// rather than the JSON envelope. Entries are tried by q-value, then order: application/json
+// or "*/*" picks JSON; the file's own type, "type/*", application/octet-stream or (for text
+// files) text/plain and text/markdown pick raw. Without an Accept header the answer is JSON.
+function prefersRawContent(accept, contentType, isText) {
+  if (!accept) {
+    return false;
+  }
+  const wanted = contentType.split(";")[0].trim().toLowerCase();
+  const entries = accept
+    .split(",")
+    .map((part, index) => {
+      const [type, ...params] = part.split(";").map(p => p.trim().toLowerCase());
+      const q = params.find(p => p.startsWith("q="));
+      return { type, q: q ? parseFloat(q.substring(2)) : 1, index };
+    })
+    .filter(e => e.type && !(e.q <= 0))
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  for (const { type } of entries) {
+    if (type === "application/json" || type === "*/*") {
+      return false;
+    }
+    if (
+      type === wanted ||
+      type === "application/octet-stream" ||
+      (type.endsWith("/*") && wanted.startsWith(type.slice(0, -1))) ||
+      (isText && (type === "text/plain" || type === "text/markdown"))
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Whether an If-None-Match header matches a sha (any entry, weak or strong, or "*")
+function etagMatches(header, sha) {
+  if (!header) {
+    return false;
+  }
+  return header.split(",").some(tag => parseEtagHeader(tag) === "*" || parseEtagHeader(tag) === sha);
+}
+
+function readError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+}
+
+// "N", "N-" or "N-M" (inclusive); either form must start at or above min.
+function parseReadRange(value, name, min) {
+  const m = value.trim().match(/^(\d+)(?:(-)(\d+)?)?$/);
+  const start = m ? parseInt(m[1], 10) : NaN;
+  const end = !m ? NaN : m[3] !== undefined ? parseInt(m[3], 10) : m[2] ? null : start;
+  if (!m || start < min || (end !== null && end < start)) {
+    throw readError(400, undefined, `Query parameter '${name}' must look like ${min}-${min + 9}, ${min + 10}- or ${min + 4}`);
+  }
+  return { start, end };
+}
+
+// Codes of readPartial errors, which are the client's to fix
+const PARTIAL_READ_ERRORS = ["no_match", "ambiguous_match", "range_not_satisfiable", "unsupported_media_type"];
+
+// Partial reads of GET /d/{path}: ?lines=START-END (1-based), ?bytes=START-END (0-based, like
+// an HTTP Range) or ?section=<heading>. Returns null for a full read.
+export function partialReadOptions(searchParams) {
+  const given = ["lines", "bytes", "section"].filter(name => searchParams.get(name) !== null);
+  if (given.length === 0) {
+    return null;
+  }
+  if (given.length > 1) {
+    throw readError(400, undefined, "Use only one of the query parameters lines, bytes and section");
+  }
+  const name = given[0];
+  const value = searchParams.get(name);
+  if (name === "section") {
+    if (!value.trim()) {
+      throw readError(400, undefined, "Query parameter 'section' must name a heading");
+    }
+    return { section: value };
+  }
+  return { [name]: parseReadRange(value, name, name === "lines" ? 1 : 0) };
+}
+
+// Cut a document down to the requested part. text is the decoded document, or null when it is
+// binary (only byte ranges apply then). Returns the Doc fields that describe the part.
+export function readPartial(file, text, partial) {
+  if (partial.bytes) {
+    const bytes = base64ToBytes(file.content);
+    let { start, end } = partial.bytes;
+    if (start >= bytes.length) {
+      throw readError(416, "range_not_satisfiable", `Byte ${start} is past the end of the document (${bytes.length} bytes)`);
+    }
+    let stop = Math.min(end === null ? bytes.length : end + 1, bytes.length);
+    if (text !== null) {
+      // Keep whole UTF-8 characters: skip a partial one at the start, leave out one cut at the end
+      while (start < stop && (bytes[start] & 0xc0) === 0x80) {
+        start++;
+      }
+      while (stop > start && stop < bytes.length && (bytes[stop] & 0xc0) === 0x80) {
+        stop--;
+      }
+    }
+    const part = bytes.subarray(start, stop);
+    return {
+      content: text === null ? bytesToBase64(part) : new TextDecoder().decode(part),
+      truncated: start > 0 || stop < bytes.length,
+      bytes: { start, end: stop - 1 }
+    };
+  }
+
+  if (text === null) {
+    throw readError(415, "unsupported_media_type", "Line and section reads need a text document; use bytes for binary files");
+  }
+  const totalLines = countLines(text);
+  let start;
+  let end;
+  let section;
+  if (partial.section) {
+    const sections = findSections(text, partial.section);
+    if (sections.length === 0) {
+      throw readError(404, "no_match", `No section with heading '${partial.section}'`);
+    }
+    if (sections.length > 1) {
+      throw readError(422, "ambiguous_match",
+        `Heading '${partial.section}' matches ${sections.length} sections; include the level (e.g. '## ${sections[0].text}')`,
+        { matchLines: sections.map(sec => sec.line + 1) });
+    }
+    start = sections[0].start + 1;
+    end = Math.min(sections[0].end, totalLines);
+    section = { level: sections[0].level, text: sections[0].text };
+  } else {
+    start = partial.lines.start;
+    if (start > totalLines) {
+      throw readError(416, "range_not_satisfiable", `Line ${start} is past the end of the document (${totalLines} lines)`);
+    }
+    end = partial.lines.end === null ? totalLines : Math.min(partial.lines.end, totalLines);
+  }
+  const result = {
+    content: sliceLines(text, start, end),
+    truncated: start > 1 || end < totalLines,
+    lines: { start, end }
+  };
+  if (section) {
+    result.section = section;
+  }
+  return result;
+}
+
+function jsonResponse(obj, status = 200, headers = {}) {
+  return new Response(JSON.stringify(obj, null, 2), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...headers
+    }
+  });
+}
+
+function notFound(message = "Not found") {
+  return jsonResponse({ error: message }, 404);
+}
+
+function badRequest(message = "Bad request") {
+  return jsonResponse({ error: message }, 400);
+}
+
+// Roles grant cumulative permissions: read < write < admin
+const ROLE_PERMISSIONS = {
+  read: ["read"],
+  write: ["read", "write"],
+  admin: ["read", "write", "admin"]
+};
+
+// Load the configured API tokens. Named tokens come from the DOCSTORE_TOKENS secret (a JSON
+// array) and/or the "auth:tokens" key in the DOCSTORE_KV namespace, each shaped like
+//   { name, token, role: "read" | "write" | "admin", paths?: [...], readPaths?: [...], draftBranch? }
+// `paths` limits writes and `readPaths` limits reads to the given logical path prefixes.
+// The legacy DOCSTORE_API_TOKEN secret keeps working as an admin token named "default".
+export async function loadTokens(env) {
+  const tokens = [];
+  const addAll = (list, source) => {
+    if (!Array.isArray(list)) {
+      console.error(`Ignoring ${source}: expected a JSON array of tokens`);
+      return;
+    }
+    for (const entry of list) {
+      if (!entry || typeof entry.token !== "string" || !entry.token || typeof entry.name !== "string") {
+        console.error(`Ignoring malformed token entry in ${source}`);
+        continue;
+      }
+      if (!ROLE_PERMISSIONS[entry.role || "read"]) {
+        console.error(`Ignoring token '${entry.name}' in ${source}: unknown role '${entry.role}'`);
+        continue;
+      }
+      tokens.push({ role: "read", ...entry });
+    }
+  };
+
+  if (env.DOCSTORE_TOKENS) {
+    try {
+      addAll(typeof env.DOCSTORE_TOKENS === "string" ? JSON.parse(env.DOCSTORE_TOKENS) : env.DOCSTORE_TOKENS, "DOCSTORE_TOKENS");
+    } catch {
+      console.error("Ignoring DOCSTORE_TOKENS: not valid JSON");
+    }
+  }
+  if (env.DOCSTORE_KV) {
+    const fromKv = await env.DOCSTORE_KV.get("auth:tokens", "json");
+    if (fromKv) {
+      addAll(fromKv, "KV auth:tokens");
+    }
+  }
+  if (env.DOCSTORE_API_TOKEN) {
+    tokens.push({ name: "default", token: env.DOCSTORE_API_TOKEN, role: "admin", legacy: true });
+  }
+  return tokens;
+}
+
+// Compare without returning early on the first differing character
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+async function checkAuth(request, env) {
+  const path = new URL(request.url).pathname;
+  // Allow unauthenticated health check only on /health path
+  if (path === "/health" && request.method === "GET") {
+    return { ok: true, client: null };
+  }
+  // GitHub cannot send a bearer token; the handler checks the webhook signature instead
+  if (path === "/webhooks/github" && request.method === "POST") {
+    return { ok: true, client: null };
+  }
+
+  const tokens = await loadTokens(env);
+  if (tokens.length === 0) {
+    return { ok: false, status: 500, message: "DOCSTORE_API_TOKEN is not configured" };
+  }
+  const authHeader = request.headers.get("Authorization") || "";
+  const match = tokens.find(t => timingSafeEqual(authHeader, `Bearer ${t.token}`));
+  if (!match) {
+    return { ok: false, status: 401, message: "Unauthorized" };
+  }
+  const { token, ...client } = match;
+  return { ok: true, client };
+}
+
+function pathWithinPrefixes(docPath, prefixes) {
+  const path = docPath.replace(/^\/+/, "").replace(/\/+$/, "");
+  return prefixes.some(prefix => {
+    const p = prefix.replace(/^\/+/, "").replace(/\/+$/, "");
+    return p === "" || path === p || path.startsWith(p + "/");
+  });
+}
+
+// True when a directory is outside readPaths but contains an allowed prefix, so it can be
+// listed with its results filtered down.
+function pathContainsPrefix(dirPath, prefixes) {
+  const dir = dirPath.replace(/^\/+/, "").replace(/\/+$/, "");
+  return prefixes.some(prefix => dir === "" || prefix.replace(/^\/+/, "").startsWith(dir + "/"));
+}
+
+// Check that a client may perform `permission` ("read", "write" or "admin"), optionally on a
+// logical doc path. Returns { ok: true } or { ok: false, status: 403, message, ... }.
+export function checkPermission(client, permission, docPath) {
+  if (!client) {
+    return { ok: false, status: 401, message: "Unauthorized" };
+  }
+  const granted = ROLE_PERMISSIONS[client.role] || [];
+  if (!granted.includes(permission)) {
+    return {
+      ok: false,
+      status: 403,
+      message: `Token '${client.name}' (role ${client.role}) lacks ${permission} permission`,
+      permission
+    };
+  }
+  if (docPath === undefined) {
+    return { ok: true };
+  }
+  const prefixes = permission === "read" ? client.readPaths : client.paths;
+  if (Array.isArray(prefixes) && !pathWithinPrefixes(docPath, prefixes)) {
+    return {
+      ok: false,
+      status: 403,
+      message: `Token '${client.name}' lacks ${permission} permission for '${docPath}' (allowed: ${prefixes.join(", ")})`,
+      permission,
+      path: docPath
+    };
+  }
+  return { ok: true };
+}
+
+// Whether a logical path is visible to the client; used to filter listings and search results.
+function canReadPath(client, docPath) {
+  return !client || !Array.isArray(client.readPaths) || pathWithinPrefixes(docPath, client.readPaths);
+}
+
+// Listing filter for tokens with readPaths: files must be readable, directories must be
+// readable or lead towards a readable prefix.
+function isListItemVisible(client, item) {
+  if (!client || !Array.isArray(client.readPaths)) {
+    return true;
+  }
+  if (item.type === "dir") {
+    const dir = item.path.replace(/\/+$/, "");
+    return pathWithinPrefixes(dir, client.readPaths) || pathContainsPrefix(dir, client.readPaths);
+  }
+  return pathWithinPrefixes(item.path, client.readPaths);
+}
+
+function forbidden(check) {
+  const payload = { error: check.message, status: check.status, code: check.status === 403 ? "forbidden" : "unauthorized" };
+  if (check.permission) {
+    payload.permission = check.permission;
+  }
+  if (check.path !== undefined) {
+    payload.path = check.path;
+  }
+  return jsonResponse(payload, check.status);
+}
+
+function invalidPathResponse(path) {
+  return badRequest(`Invalid path '${path}': empty, '.' and '..' segments are not allowed`);
+}
+
+// Check every path an operation touches; returns a 403 Response or null.
+function authorizePaths(client, permission, paths) {
+  const invalid = paths.find(hasInvalidPathSegment);
+  if (invalid !== undefined) {
+    return invalidPathResponse(invalid);
+  }
+  for (const path of paths) {
+    const check = checkPermission(client, permission, path);
+    if (!check.ok) {
+      return forbidden(check);
+    }
+  }
+  return null;
+}
+
+// Named stores let one Worker serve several repositories under /s/{store}/. STORES is a JSON
+// object such as {"canon": {"repo": "ftl-canon", "baseDir": "docs", "tokens": ["gpt"]}}. A store
+// may set owner, repo (required), branch, baseDir, backend and description; the rest comes from
+// GITHUB_OWNER, GITHUB_BRANCH, DOCS_BASE_DIR and DOCSTORE_BACKEND. tokens names the tokens that
+// may use the store (admin tokens always may); without it every token may. Unprefixed routes
+// serve the default store.
+export const DEFAULT_STORE = "default";
+const STORE_NAME_RE = /^[A-Za-z0-9._-]+$/;
+const STORE_ROUTE_RE = /^\/s\/([^/]+)(\/.*)?$/;
+
+export function loadStores(env) {
+  let config = env.STORES;
+  if (typeof config === "string") {
+    try {
+      config = JSON.parse(config);
+    } catch {
+      console.error("Ignoring STORES: not valid JSON");
+      return [];
+    }
+  }
+  if (!config) {
+    return [];
+  }
+  if (typeof config !== "object" || Array.isArray(config)) {
+    console.error("Ignoring STORES: expected a JSON object of stores");
+    return [];
+  }
+  const stores = [];
+  for (const [name, store] of Object.entries(config)) {
+    if (!STORE_NAME_RE.test(name) || name === DEFAULT_STORE) {
+      console.error(`Ignoring store '${name}': invalid or reserved name`);
+      continue;
+    }
+    if (!store || typeof store !== "object" || typeof store.repo !== "string" || !store.repo) {
+      console.error(`Ignoring store '${name}': repo is required`);
+      continue;
+    }
+    if (store.tokens !== undefined && !Array.isArray(store.tokens)) {
+      console.error(`Ignoring store '${name}': tokens must be an array of token names`);
+      continue;
+    }
+    stores.push({ ...store, name });
+  }
+  return stores;
+}
+
+// The env a store's requests run with
+export function storeEnv(env, store) {
+  const scoped = {
+    ...env,
+    GITHUB_OWNER: store.owner || env.GITHUB_OWNER,
+    GITHUB_REPO: store.repo,
+    GITHUB_BRANCH: store.branch || env.GITHUB_BRANCH,
+    DOCS_BASE_DIR: store.baseDir !== undefined ? store.baseDir : env.DOCS_BASE_DIR,
+    DOCSTORE_BACKEND: store.backend || env.DOCSTORE_BACKEND,
+    STORE_NAME: store.name
+  };
+  // An injected memory store belongs to the default store
+  delete scoped.DOCSTORE_STORE;
+  return scoped;
+}
+
+function canAccessStore(client, store) {
+  return !Array.isArray(store.tokens) || client.role === "admin" || store.tokens.includes(client.name);
+}
+
+function describeStore(env, name, description) {
+  const info = {
+    name,
+    repository: `${env.GITHUB_OWNER}/${env.GITHUB_REPO}`,
+    branch: env.GITHUB_BRANCH,
+    baseDir: normalizeBaseDir(env),
+    backend: env.DOCSTORE_BACKEND || "github",
+    default: name === DEFAULT_STORE
+  };
+  if (description) {
+    info.description = description;
+  }
+  return info;
+}
+
+// Split /s/{store}/... into the store and a request for the rest of the path, which is then
+// handled like an unprefixed request. store is null for unprefixed requests and has
+// config null when no such store is configured.
+async function routeStore(request, env) {
+  const url = new URL(request.url);
+  const match = url.pathname.match(STORE_ROUTE_RE);
+  if (!match) {
+    return { request, env, store: null };
+  }
+  const name = match[1];
+  const config = loadStores(env).find(store => store.name === name) || null;
+  url.pathname = match[2] || "/";
+  const init = { method: request.method, headers: request.headers };
+  if (request.method !== "GET" && request.method !== "HEAD") {
+    init.body = await request.arrayBuffer();
+  }
+  return {
+    request: new Request(url.toString(), init),
+    env: config ? storeEnv(env, config) : env,
+    store: { name, config }
+  };
+}
+
+// Stable codes for errors that did not set one, so clients can tell what to retry
+const STATUS_CODES = {
+  409: "conflict",
+  429: "rate_limited",
+  502: "upstream_unavailable",
+  503: "upstream_unavailable",
+  504: "upstream_unavailable"
+};
+
+function errorResponse(err, fallbackStatus = 500) {
+  const status = err.status || fallbackStatus;
+  const payload = {
+    error: err.message || "Internal error",
+    status,
+  };
+  if (err.code || STATUS_CODES[status]) {
+    payload.code = err.code || STATUS_CODES[status];
+  }
+  if (err.details) {
+    Object.assign(payload, err.details);
+  }
+  if (err.githubBody) {
+    payload.githubBody = err.githubBody;
+  }
+  const headers = {};
+  if (err.retryAfter !== undefined) {
+    payload.retryAfter = err.retryAfter;
+    headers["Retry-After"] = String(err.retryAfter);
+  }
+  return jsonResponse(payload, status, headers);
+}
+
+async function handleRequest(request, env, ctx) {
+  try {
+    const auth = await checkAuth(request, env);
+    if (!auth.ok) {
+      return jsonResponse({ error: auth.message }, auth.status);
+    }
+    const client = auth.client;
+    const store = env.requestContext && env.requestContext.store;
+    if (store) {
+      if (!store.config) {
+        return notFound(`Unknown store: ${store.name}`);
+      }
+      if (client && !canAccessStore(client, store.config)) {
+        return forbidden({ status: 403, message: `Token '${client.name}' may not use store '${store.name}'` });
+      }
+    }
+    // Per-request context travels with env so commit helpers can attribute changes.
+    // Cloudflare sets cf-ray on every request, so commits can be traced back to Worker logs.
+    env = {
+      ...env,
+      requestContext: {
+        ...env.requestContext,
+        client,
+        requestId: request.headers.get("X-Request-Id") || request.headers.get("cf-ray") || undefined
+      }
+    };
+    // The fetch wrapper reads who made the request from here when writing the audit log
+    if (env.requestContext.audit) {
+      env.requestContext.audit.client = client;
+      env.requestContext.audit.requestId = env.requestContext.requestId;
+    }
+
+    const url = new URL(request.url);
+    const { searchParams } = url;
+    // Document paths are percent-decoded once here, so "a%20b.md" and "what%3F.md" name the
+    // documents "a b.md" and "what?.md". Dot segments this produces are refused for every route,
+    // including listings that never reach authorizePaths.
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      return badRequest("Malformed percent-encoding in the URL path");
+    }
+    if (hasInvalidPathSegment(pathname)) {
+      return invalidPathResponse(pathname);
+    }
+
+    // Health check (auth already allowed above)
+    if (pathname === "/health" && request.method === "GET") {
+      const backend = env.DOCSTORE_BACKEND || "github";
+      if (backend !== "github") {
+        return jsonResponse({ status: "ok", backend });
+      }
+      return jsonResponse({ status: "ok", backend, github: { rateLimit: await githubRateLimit(env) } });
+    }
+
+    // MCP over streamable HTTP. Tools and resources call the document API through handleRequest
+    // with the caller's own headers, so tokens, permissions and responses match HTTP clients.
+    if (pathname === "/mcp") {
+      if (request.method !== "POST") {
+        return jsonResponse({ error: "Method not allowed; POST JSON-RPC messages to /mcp" }, 405, { "Allow": "POST" });
+      }
+      let payload;
+      try {
+        payload = await request.json();
+      } catch {
+        return jsonResponse(rpcError(null, PARSE_ERROR, "Parse error"), 400);
+      }
+      const api = {
+        async request(method, path, body) {
+          const headers = new Headers(request.headers);
+          headers.delete("Content-Length");
+          headers.set("Accept", "application/json");
+          headers.set("Content-Type", "application/json");
+          if (!headers.has("X-Docstore-Tool")) {
+            headers.set("X-Docstore-Tool", "mcp");
+          }
+          const init = { method, headers };
+          if (body !== undefined) {
+            init.body = JSON.stringify(body);
+          }
+          // Each tool call gets its own audit entry, so the log shows which documents were read
+          const { audit, changes } = env.requestContext;
+          const startedAt = Date.now();
+          const changedBefore = changes.length;
+          const call = new Request(new URL(path, request.url).toString(), init);
+          const res = await handleRequest(call, env, ctx);
+          if (audit && audit.client) {
+            audit.calls.push({ ...auditEntry(call, res, audit, changes.slice(changedBefore), startedAt), via: "mcp" });
+          }
+          const text = await res.text();
+          let json;
+          try {
+            json = JSON.parse(text);
+          } catch {
+            json = text;
+          }
+          return { status: res.status, json };
+        }
+      };
+      const response = await handleMcpPayload(payload, api);
+      return response ? jsonResponse(response) : new Response(null, { status: 202 });
+    }
+
+    // GitHub push webhook: someone changed the repo outside the Worker, so cached reads are stale
+    if (pathname === "/webhooks/github" && request.method === "POST") {
+      if (!env.GITHUB_WEBHOOK_SECRET) {
+        return jsonResponse({ error: "GITHUB_WEBHOOK_SECRET is not configured" }, 500);
+      }
+      const payload = await request.text();
+      if (!await verifyGithubSignature(env.GITHUB_WEBHOOK_SECRET, payload, request.headers.get("X-Hub-Signature-256"))) {
+        return jsonResponse({ error: "Invalid webhook signature" }, 401);
+      }
+      const event = request.headers.get("X-GitHub-Event");
+      if (event !== "push") {
+        return jsonResponse({ status: "ignored", event });
+      }
+      let push;
+      try {
+        push = JSON.parse(payload);
+      } catch {
+        return badRequest("Expected JSON body");
+      }
+      await invalidateReadCache(env);
+      return jsonResponse({ status: "ok", event, ref: push.ref || null, invalidated: true });
+    }
+
+    // Writes may target a draft branch: ?branch=, a "branch" body field, or DRAFT_BRANCH as the default.
+    // The branch is created from GITHUB_BRANCH on first use and everything downstream reads
+    // GITHUB_BRANCH from env, so the rest of the request runs against the draft.
+    // A token's draftBranch takes precedence over DRAFT_BRANCH, and non-admin tokens with a
+    // draftBranch may not write to GITHUB_BRANCH at all.
+    let draftBranch = null;
+    let draftBaseEnv = null;
+    if (isWriteRequest(request, pathname)) {
+      const writeCheck = checkPermission(client, "write");
+      if (!writeCheck.ok) {
+        return forbidden(writeCheck);
+      }
+      try {
+        env = { ...env, requestContext: { ...env.requestContext, ...await commitAttribution(request, client), fresh: true } };
+      } catch (err) {
+        return errorResponse(err);
+      }
+      const tokenDraft = client && client.draftBranch;
+      const requested = searchParams.get("branch") || await peekJsonField(request, "branch") || tokenDraft || env.DRAFT_BRANCH;
+      if (requested) {
+        let branch;
+        try {
+          branch = draftBranchName(env, requested);
+        } catch (err) {
+          return errorResponse(err);
+        }
+        if (branch === env.GITHUB_BRANCH && tokenDraft && client.role !== "admin") {
+          return forbidden({
+            status: 403,
+            message: `Token '${client.name}' may only write to draft branches`,
+            permission: "write"
+          });
+        }
+        if (branch !== env.GITHUB_BRANCH) {
+          draftBaseEnv = env;
+          env = { ...env, GITHUB_BRANCH: branch };
+          draftBranch = branch;
+        }
+      }
+    }
+    // Routes call this once they have authorized the paths they write, so a token cannot
+    // create draft branches with requests it is not allowed to make
+    const createDraftBranch = () => (draftBranch ? ensureBranch(draftBaseEnv, draftBranch) : Promise.resolve(false));
+
+    // Reads accept ?ref= (branch, tag or commit sha) to see the docstore as of that version
+    const ref = searchParams.get("ref") || undefined;
+
+    if (request.method === "GET" && pathname !== "/echo") {
+      const readCheck = checkPermission(client, "read");
+      if (!readCheck.ok) {
+        return forbidden(readCheck);
+      }
+    }
+
+    // Audit log, newest first: ?path=ftl/&client=gpt&since=2026-01-01T00:00:00Z&until=...&limit=100
+    if (pathname === "/audit" && request.method === "GET") {
+      const adminCheck = checkPermission(client, "admin");
+      if (!adminCheck.ok) {
+        return forbidden(adminCheck);
+      }
+      const sink = auditSink(env);
+      if (!sink) {
+        return notFound("Audit log is not enabled (set AUDIT_LOG)");
+      }
+      const limit = parseInt(searchParams.get("limit") || "100", 10);
+      if (!Number.isFinite(limit) || limit < 1) {
+        return badRequest("Query parameter 'limit' must be a positive integer");
+      }
+      const filters = { limit: Math.min(limit, 1000) };
+      for (const name of ["since", "until"]) {
+        const value = searchParams.get(name);
+        if (value) {
+          const time = Date.parse(value);
+          if (!Number.isFinite(time)) {
+            return badRequest(`Query parameter '${name}' must be an ISO 8601 timestamp`);
+          }
+          filters[name] = new Date(time).toISOString();
+        }
+      }
+      if (searchParams.get("path") !== null) {
+        filters.path = searchParams.get("path").replace(/^\/+/, "");
+      }
+      if (searchParams.get("client")) {
+        filters.client = searchParams.get("client");
+      }
+      try {
+        const entries = await sink.query(filters);
+        return jsonResponse({ count: entries.length, entries });
+      } catch (err) {
+        console.error("GET /audit error", err);
+        return errorResponse(err);
+      }
+    }
+
+    // Stores the caller may use; the default store is the one served by unprefixed routes
+    if (pathname === "/stores" && request.method === "GET" && !store) {
+      const stores = [describeStore(env, DEFAULT_STORE)];
+      for (const config of loadStores(env)) {
+        if (canAccessStore(client, config)) {
+          stores.push(describeStore(storeEnv(env, config), config.name, config.description));
+        }
+      }
+      return jsonResponse({ stores });
+    }
+
+    // Draft branches and their pull requests
+    if (pathname === "/drafts" && request.method === "GET") {
+      try {
+        return jsonResponse({ base: env.GITHUB_BRANCH, drafts: await listDrafts(env) });
+      } catch (err) {
+        console.error("GET /drafts error", err);
+        return errorResponse(err);
+      }
+    }
+
+    const pullMatch = pathname.match(/^\/drafts\/(.+)\/pull$/);
+    if (pullMatch && (request.method === "GET" || request.method === "POST")) {
+      let branch;
+      try {
+        branch = draftBranchName(env, pullMatch[1]);
+      } catch (err) {
+        return errorResponse(err);
+      }
+      if (branch === env.GITHUB_BRANCH) {
+        return badRequest("Pull requests can only be opened from draft branches");
+      }
+
+      if (request.method === "GET") {
+        try {
+          const pr = await getDraftPullRequest(env, branch);
+          if (!pr) {
+            return notFound("No pull request found for draft");
+          }
+          return jsonResponse({ branch, pullRequest: pr });
+        } catch (err) {
+          console.error("GET draft pull request error", err);
+          return errorResponse(err);
+        }
+      }
+
+      const writeCheck = checkPermission(client, "write");
+      if (!writeCheck.ok) {
+        return forbidden(writeCheck);
+      }
+      let body = {};
+      try {
+        body = await request.json();
+      } catch {
+        body = {};
+      }
+      try {
+        const result = await openDraftPullRequest(
+          env,
+          branch,
+          typeof body.title === "string" ? body.title : undefined,
+          typeof body.body === "string" ? body.body : undefined
+        );
+        return jsonResponse({ branch, ...result }, result.created ? 201 : 200);
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound("Draft branch not found");
+        }
+        // GitHub answers 422 when the draft has no commits beyond the base branch
+        if (err.status !== 422) {
+          console.error("POST draft pull request error", err);
+        }
+        return errorResponse(err);
+      }
+    }
+
+    // Echo endpoint for debugging request details
+    if (pathname === "/echo") {
+      let body = "";
+      try {
+        body = await request.text();
+      } catch {
+        body = "";
+      }
+      const headers = {};
+      request.headers.forEach((value, key) => {
+        headers[key] = value;
+      });
+      const query = {};
+      searchParams.forEach((value, key) => {
+        query[key] = value;
+      });
+      return jsonResponse({
+        method: request.method,
+        url: request.url,
+        pathname,
+        query,
+        headers,
+        body
+      });
+    }
+
+    // Alternate delete endpoint for environments that cannot send DELETE
+    if (pathname === "/delete" && request.method === "POST") {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return badRequest("Expected JSON body");
+      }
+      const requestPath = typeof body.path === "string" ? body.path : null;
+      if (!requestPath) {
+        return badRequest("Field 'path' (string) is required");
+      }
+      const commitMessage = typeof body.message === "string" ? body.message : undefined;
+      const expectedSha = typeof body.sha === "string" ? body.sha : undefined;
+      if (body.links !== undefined && !LINK_MODES.includes(body.links)) {
+        return badRequest(`Field 'links' must be one of: ${LINK_MODES.join(", ")}`);
+      }
+
+      const docPath = normalizeRequestPath(env, requestPath);
+      const denied = authorizePaths(client, "write", [docPath]);
+      if (denied) {
+        return denied;
+      }
+
+      try {
+        await createDraftBranch();
+        const result = await deleteFile(env, docPath, commitMessage, { expectedSha, links: body.links });
+        return jsonResponse(withBranch(draftBranch, {
+          path: logicalPathFromGitPath(env, buildRepoPath(env, docPath)),
+          ...result
+        }));
+      } catch (err) {
+        console.error("POST /delete error", err);
+        if (err.status === 404) {
+          return notFound("Document not found");
+        }
+        return errorResponse(err);
+      }
+    }
+
+    // Multi-file changes committed atomically as a single commit
+    if (pathname === "/batch" && request.method === "POST") {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return badRequest("Expected JSON body");
+      }
+      if (!Array.isArray(body.operations) || body.operations.length === 0) {
+        return badRequest("Field 'operations' (non-empty array) is required");
+      }
+      const commitMessage = typeof body.message === "string" ? body.message : undefined;
+      const operations = body.operations.map(op => {
+        if (!op || typeof op !== "object") {
+          return op;
+        }
+        const normalized = { ...op };
+        for (const field of ["path", "from", "to"]) {
+          if (typeof normalized[field] === "string") {
+            normalized[field] = normalizeRequestPath(env, normalized[field]);
+          }
+        }
+        return normalized;
+      });
+      const denied = authorizePaths(
+        client,
+        "write",
+        operations.flatMap(op => (op && typeof op === "object" ? [op.path, op.from, op.to] : [])).filter(p => typeof p === "string")
+      );
+      if (denied) {
+        return denied;
+      }
+
+      try {
+        await createDraftBranch();
+        const result = await applyBatch(env, operations, commitMessage);
+        return jsonResponse(withBranch(draftBranch, result));
+      } catch (err) {
+        if (err.status !== 400 && err.status !== 404 && err.status !== 409 && err.status !== 422) {
+          console.error("POST /batch error", err);
+        }
+        return errorResponse(err);
+      }
+    }
+
+    // Rename or duplicate a document or directory in a single commit
+    if ((pathname === "/move" || pathname === "/copy") && request.method === "POST") {
+      const mode = pathname.substring(1);
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return badRequest("Expected JSON body");
+      }
+      if (typeof body.from !== "string" || !body.from || typeof body.to !== "string" || !body.to) {
+        return badRequest("Fields 'from' and 'to' (strings) are required");
+      }
+      const commitMessage = typeof body.message === "string" ? body.message : undefined;
+      if (body.links !== undefined && (mode !== "move" || !LINK_MODES.includes(body.links))) {
+        return badRequest(mode === "move"
+          ? `Field 'links' must be one of: ${LINK_MODES.join(", ")}`
+          : "Field 'links' only applies to /move");
+      }
+      const from = normalizeRequestPath(env, body.from);
+      const to = normalizeRequestPath(env, body.to);
+      // A copy only reads its source; a move also deletes it
+      const denied = authorizePaths(client, mode === "move" ? "write" : "read", [from]) ||
+        authorizePaths(client, "write", [to]);
+      if (denied) {
+        return denied;
+      }
+
+      try {
+        await createDraftBranch();
+        const result = await transferDocs(
+          env,
+          mode,
+          from,
+          to,
+          {
+            overwrite: body.overwrite === true,
+            message: commitMessage,
+            sha: typeof body.sha === "string" ? body.sha : undefined,
+            links: body.links
+          }
+        );
+        return jsonResponse(withBranch(draftBranch, result));
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound(err.message);
+        }
+        if (err.status !== 400 && err.status !== 409 && err.status !== 422) {
+          console.error(`POST /${mode} error`, err);
+        }
+        return errorResponse(err);
+      }
+    }
+
+    // Heading tree of a document with line numbers and sizes, for picking a ?section= to read
+    if (pathname.startsWith("/outline/") && request.method === "GET") {
+      const docPath = pathname.substring("/outline/".length).replace(/\/+$/, "");
+      if (!docPath) {
+        return badRequest("A document path is required, e.g. /outline/ftl/canon.md");
+      }
+      const denied = authorizePaths(client, "read", [docPath]);
+      if (denied) {
+        return denied;
+      }
+      try {
+        const file = await getFile(env, docPath, ref);
+        if (file.type !== "file") {
+          return badRequest("Requested path is not a file");
+        }
+        const text = decodeText(file.content);
+        if (text === null) {
+          return errorResponse(readError(415, "unsupported_media_type", "Outlines need a text document"));
+        }
+        const outline = {
+          path: logicalPathFromGitPath(env, file.path),
+          sha: file.sha,
+          size: file.size,
+          totalLines: countLines(text),
+          headings: buildOutline(text)
+        };
+        if (ref) {
+          outline.ref = ref;
+        }
+        return jsonResponse(outline, 200, { "ETag": `"${file.sha}"` });
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound("Document not found");
+        }
+        console.error("GET outline error", err);
+        return errorResponse(err);
+      }
+    }
+
+    // Commit history for a document or directory
+    if (pathname.startsWith("/history/") && request.method === "GET") {
+      const docPath = pathname.substring("/history/".length).replace(/\/+$/, "");
+      if (!docPath) {
+        return badRequest("A document path is required, e.g. /history/ftl/canon.md");
+      }
+      const denied = authorizePaths(client, "read", [docPath]);
+      if (denied) {
+        return denied;
+      }
+      const page = parseInt(searchParams.get("page") || "1", 10);
+      const perPage = parseInt(searchParams.get("per_page") || "30", 10);
+      if (!Number.isFinite(page) || !Number.isFinite(perPage)) {
+        return badRequest("Query parameters 'page' and 'per_page' must be integers");
+      }
+
+      try {
+        const history = await listHistory(env, docPath, {
+          ref: searchParams.get("ref") || undefined,
+          page,
+          perPage
+        });
+        if (history.commits.length === 0 && page === 1) {
+          return notFound("No history found for document");
+        }
+        return jsonResponse(history);
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound("Document or ref not found");
+        }
+        console.error("GET history error", err);
+        return errorResponse(err);
+      }
+    }
+
+    // Diff of a document between two versions
+    if (pathname.startsWith("/diff/") && request.method === "GET") {
+      const docPath = pathname.substring("/diff/".length);
+      if (!docPath || docPath.endsWith("/")) {
+        return badRequest("A document path is required, e.g. /diff/ftl/canon.md");
+      }
+      const denied = authorizePaths(client, "read", [docPath]);
+      if (denied) {
+        return denied;
+      }
+      const context = searchParams.has("context") ? parseInt(searchParams.get("context"), 10) : undefined;
+      if (context !== undefined && (!Number.isFinite(context) || context < 0)) {
+        return badRequest("Query parameter 'context' must be a non-negative integer");
+      }
+
+      try {
+        const result = await diffDoc(env, docPath, {
+          from: searchParams.get("from") || undefined,
+          to: searchParams.get("to") || undefined,
+          context
+        });
+        if (searchParams.get("format") === "text") {
+          return new Response(result.diff, {
+            status: 200,
+            headers: { "Content-Type": "text/x-diff; charset=utf-8" }
+          });
+        }
+        const wantHunks = searchParams.get("hunks") === "true" || searchParams.get("hunks") === "1";
+        if (!wantHunks) {
+          delete result.hunks;
+        }
+        return jsonResponse(result);
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound(err.message === "Not Found" ? "Document or ref not found" : err.message);
+        }
+        if (err.status !== 400) {
+          console.error("GET diff error", err);
+        }
+        return errorResponse(err);
+      }
+    }
+
+    // Write a document or directory back to an earlier version as a new commit
+    if (pathname === "/restore" && request.method === "POST") {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return badRequest("Expected JSON body");
+      }
+      if (typeof body.path !== "string" || !body.path) {
+        return badRequest("Field 'path' (string) is required");
+      }
+      const ref = typeof body.sha === "string" && body.sha ? body.sha : "previous";
+      const commitMessage = typeof body.message === "string" ? body.message : undefined;
+      const trailingSlash = body.path.endsWith("/") ? "/" : "";
+      const docPath = normalizeRequestPath(env, body.path.replace(/\/+$/, "")) + trailingSlash;
+      const denied = authorizePaths(client, "write", [docPath]);
+      if (denied) {
+        return denied;
+      }
+
+      try {
+        await createDraftBranch();
+        const result = await restoreDoc(env, docPath, ref, commitMessage);
+        return jsonResponse(withBranch(draftBranch, result));
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound(err.message === "Not Found" ? "Document or commit not found" : err.message);
+        }
+        if (err.status !== 409) {
+          console.error("POST /restore error", err);
+        }
+        return errorResponse(err);
+      }
+    }
+
+    // Full-text search over document contents
+    if (pathname === "/search" && request.method === "GET") {
+      const query = searchParams.get("q");
+      if (!query) {
+        return badRequest("Query parameter 'q' is required");
+      }
+      const limit = parseInt(searchParams.get("limit") || "20", 10);
+      if (!Number.isFinite(limit) || limit < 1) {
+        return badRequest("Query parameter 'limit' must be a positive integer");
+      }
+      const ext = searchParams.get("ext");
+
+      try {
+        const result = await searchDocs(env, query, {
+          ref,
+          prefix: searchParams.get("prefix") || undefined,
+          extensions: ext ? ext.split(",").map(e => e.trim()).filter(Boolean) : [],
+          caseSensitive: searchParams.get("case") === "sensitive",
+          limit: Math.min(limit, 100),
+          visible: path => canReadPath(client, path)
+        });
+        return jsonResponse(result);
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound("Ref not found");
+        }
+        console.error("GET /search error", err);
+        return errorResponse(err);
+      }
+    }
+
+    // Documents filtered by front matter: ?tag=canon&status=draft (every other parameter is a field match)
+    if (pathname === "/query" && request.method === "GET") {
+      const limit = parseInt(searchParams.get("limit") || "100", 10);
+      if (!Number.isFinite(limit) || limit < 1) {
+        return badRequest("Query parameter 'limit' must be a positive integer");
+      }
+      const fields = {};
+      for (const [name, value] of searchParams) {
+        if (!QUERY_RESERVED_PARAMS.includes(name)) {
+          fields[name] = value;
+        }
+      }
+      try {
+        return jsonResponse(await queryDocs(env, {
+          tags: listParam(searchParams, "tag"),
+          fields
+        }, {
+          ref,
+          prefix: searchParams.get("prefix") || undefined,
+          fields: searchParams.has("fields") ? listParam(searchParams, "fields") : undefined,
+          limit: Math.min(limit, 1000),
+          visible: path => canReadPath(client, path)
+        }));
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound("Ref not found");
+        }
+        console.error("GET /query error", err);
+        return errorResponse(err);
+      }
+    }
+
+    // Outgoing links of a document and the documents that link to it
+    if (pathname.startsWith("/links/") && request.method === "GET") {
+      const docPath = pathname.substring("/links/".length).replace(/\/+$/, "");
+      if (!docPath) {
+        return badRequest("A document path is required, e.g. /links/ftl/canon.md");
+      }
+      const denied = authorizePaths(client, "read", [docPath]);
+      if (denied) {
+        return denied;
+      }
+      try {
+        return jsonResponse(await getDocLinks(env, docPath, {
+          ref,
+          visible: path => canReadPath(client, path)
+        }));
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound(err.message);
+        }
+        console.error("GET /links error", err);
+        return errorResponse(err);
+      }
+    }
+
+    // Links across the docs tree that point at documents that do not exist
+    if (pathname === "/broken-links" && request.method === "GET") {
+      const limit = parseInt(searchParams.get("limit") || "100", 10);
+      if (!Number.isFinite(limit) || limit < 1) {
+        return badRequest("Query parameter 'limit' must be a positive integer");
+      }
+      try {
+        return jsonResponse(await findBrokenLinks(env, {
+          ref,
+          prefix: searchParams.get("prefix") || undefined,
+          limit: Math.min(limit, 1000),
+          visible: path => canReadPath(client, path)
+        }));
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound("Ref not found");
+        }
+        console.error("GET /broken-links error", err);
+        return errorResponse(err);
+      }
+    }
+
+    // Recursive listing of the docs tree (or a subdirectory via ?path=)
+    if (pathname === "/tree" && request.method === "GET") {
+      const dirPath = (searchParams.get("path") || "").replace(/^\/+|\/+$/g, "");
+      if (hasInvalidPathSegment(dirPath)) {
+        return invalidPathResponse(dirPath);
+      }
+      if (!isListItemVisible(client, { type: "dir", path: dirPath })) {
+        return authorizePaths(client, "read", [dirPath]);
+      }
+      try {
+        const result = await listTree(env, dirPath, {
+          ...treeOptionsFromQuery(searchParams, ref),
+          visible: item => isListItemVisible(client, item)
+        });
+        if (searchParams.has("fields")) {
+          await addListMetadata(env, result.items, listParam(searchParams, "fields"), ref);
+        }
+        return jsonResponse(result);
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound("Directory not found");
+        }
+        if (err.status !== 400) {
+          console.error("GET /tree error", err);
+        }
+        return errorResponse(err);
+      }
+    }
+
+    // Document operations are now under /d/ prefix to avoid conflicts with other endpoints
+    const DOC_PREFIX = "/d/";
+    const pathWithPrefix = pathname === "/d" ? "/d/" : pathname;
+    if (!pathWithPrefix.startsWith(DOC_PREFIX)) {
+      return notFound();
+    }
+
+    // Directory listing when path ends with a trailing slash (e.g., "/d/ftl/"; "/d/" is the root).
+    // ?recursive=true returns the whole subtree in one call via the Git trees API.
+    if (request.method === "GET" && pathWithPrefix.endsWith("/")) {
+      const dirPath = pathWithPrefix.slice(DOC_PREFIX.length, -1); // strip "/d/" and trailing "/"
+      const recursive = searchParams.get("recursive") === "true" || searchParams.get("recursive") === "1";
+      if (!isListItemVisible(client, { type: "dir", path: dirPath })) {
+        return authorizePaths(client, "read", [dirPath]);
+      }
+      try {
+        // ?fields=status,tags adds those front matter fields to each file as `metadata`
+        const fields = searchParams.has("fields") ? listParam(searchParams, "fields") : null;
+        if (recursive) {
+          const result = await listTree(env, dirPath, {
+            ...treeOptionsFromQuery(searchParams, ref),
+            visible: item => isListItemVisible(client, item)
+          });
+          if (fields) {
+            await addListMetadata(env, result.items, fields, ref);
+          }
+          return jsonResponse(result);
+        }
+        const listed = await listDocs(env, dirPath, ref);
+        const items = listed.map(item => mapListItem(env, item)).filter(item => isListItemVisible(client, item));
+        if (fields) {
+          await addListMetadata(env, items, fields, ref);
+        }
+        return jsonResponse({ items });
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound("Directory not found");
+        }
+        if (err.status !== 400) {
+          console.error("GET directory error", err);
+        }
+        return errorResponse(err);
+      }
+    }
+
+    // File operations when there is no trailing slash
+    const docPath = pathWithPrefix.startsWith(DOC_PREFIX) ? pathWithPrefix.substring(DOC_PREFIX.length) : pathWithPrefix;
+    const denied = authorizePaths(client, request.method === "GET" ? "read" : "write", [docPath]);
+    if (denied) {
+      return denied;
+    }
+    try {
+      await createDraftBranch();
+    } catch (err) {
+      return errorResponse(err);
+    }
+
+    if (request.method === "GET") {
+      let partial;
+      try {
+        partial = partialReadOptions(searchParams);
+      } catch (err) {
+        return errorResponse(err);
+      }
+      try {
+        const file = await getFile(env, docPath, ref);
+        if (file.type !== "file") {
+          return badRequest("Requested path is not a file");
+        }
+        // The blob sha identifies the content exactly, so it doubles as the ETag. The raw and
+        // JSON forms share it, so caches must also key on Accept.
+        const cacheHeaders = { "ETag": `"${file.sha}"`, "Vary": "Accept" };
+        if (etagMatches(request.headers.get("If-None-Match"), file.sha)) {
+          return new Response(null, { status: 304, headers: cacheHeaders });
+        }
+        const contentType = contentTypeForPath(file.name);
+        const text = decodeText(file.content);
+        const raw = searchParams.get("raw") === "true" || searchParams.get("raw") === "1";
+        // Partial reads are always answered with JSON so the range they cover is reported
+        if (!partial && (raw || prefersRawContent(request.headers.get("Accept"), contentType, text !== null))) {
+          return new Response(base64ToBytes(file.content), {
+            status: 200,
+            headers: { "Content-Type": contentType, ...cacheHeaders }
+          });
+        }
+        const doc = {
+          path: logicalPathFromGitPath(env, file.path),
+          name: file.name,
+          sha: file.sha,
+          size: file.size,
+          contentType,
+          encoding: text === null ? "base64" : "utf-8",
+          content: text === null ? file.content.replace(/\s/g, "") : text,
+          truncated: false
+        };
+        if (text !== null) {
+          doc.totalLines = countLines(text);
+        }
+        if (partial) {
+          Object.assign(doc, readPartial(file, text, partial));
+        }
+        // ?frontMatter=true also returns the parsed front matter and the body without it
+        // (the body only for full reads)
+        const withFrontMatter = searchParams.get("frontMatter") === "true" || searchParams.get("frontMatter") === "1";
+        if (withFrontMatter && text !== null) {
+          const parsed = parseFrontMatter(text);
+          doc.frontMatter = parsed.frontMatter;
+          if (!partial) {
+            doc.body = parsed.body;
+          }
+          if (parsed.error) {
+            doc.frontMatterError = parsed.error;
+          }
+        }
+        if (ref) {
+          doc.ref = ref;
+        }
+        return jsonResponse(doc, 200, cacheHeaders);
+      } catch (err) {
+        if (PARTIAL_READ_ERRORS.includes(err.code)) {
+          return errorResponse(err);
+        }
+        if (err.status === 404) {
+          return notFound("Document not found");
+        }
+        console.error("GET document error", err);
+        return errorResponse(err);
+      }
+    }
+
+    if (request.method === "PUT") {
+      // Anything other than a JSON body (or any body with ?raw=1) is the document itself.
+      // Raw uploads take their commit message from ?message= or an X-Commit-Message header.
+      const requestType = (request.headers.get("Content-Type") || "").toLowerCase();
+      let body;
+      const raw = searchParams.get("raw") === "true" || searchParams.get("raw") === "1";
+      if (raw || (requestType && !requestType.startsWith("application/json"))) {
+        body = {
+          content: bytesToBase64(new Uint8Array(await request.arrayBuffer())),
+          encoding: "base64",
+          message: searchParams.get("message") || request.headers.get("X-Commit-Message") || undefined
+        };
+      } else {
+        try {
+          body = await request.json();
+        } catch {
+          return badRequest("Expected JSON body");
+        }
+      }
+      if (body.frontMatter !== undefined &&
+        (!body.frontMatter || typeof body.frontMatter !== "object" || Array.isArray(body.frontMatter))) {
+        return badRequest("Field 'frontMatter' must be an object");
+      }
+      // With only `frontMatter`, those fields are merged into the stored document and the body is left alone
+      if (body.content === undefined && body.frontMatter) {
+        try {
+          const file = await getFile(env, docPath);
+          if (file.type !== "file") {
+            return badRequest("Requested path is not a file");
+          }
+          const original = decodeText(file.content);
+          if (original === null) {
+            return jsonResponse({ error: "Document is binary; front matter needs a UTF-8 text document", status: 415 }, 415);
+          }
+          const updated = setFrontMatterFields(original, body.frontMatter);
+          if (updated === original) {
+            return jsonResponse(withBranch(draftBranch, {
+              path: logicalPathFromGitPath(env, file.path),
+              name: file.name,
+              sha: file.sha,
+              changed: false,
+              commit: null
+            }), 200, { "ETag": `"${file.sha}"` });
+          }
+          // Write against the sha we merged into unless the client named one
+          const headerSha = parseEtagHeader(request.headers.get("If-Match"));
+          body = {
+            ...body,
+            content: updated,
+            encoding: "utf-8",
+            sha: typeof body.sha === "string" && body.sha ? body.sha : headerSha && headerSha !== "*" ? headerSha : file.sha
+          };
+        } catch (err) {
+          if (err.status === 404) {
+            return notFound("Document not found");
+          }
+          if (err.status !== 422) {
+            console.error("PUT front matter error", err);
+          }
+          return errorResponse(err);
+        }
+      } else if (typeof body.content === "string" && body.frontMatter && (body.encoding || "utf-8") === "utf-8") {
+        try {
+          body = { ...body, content: setFrontMatterFields(body.content, body.frontMatter) };
+        } catch (err) {
+          return errorResponse(err);
+        }
+      }
+      if (typeof body.content !== "string") {
+        return badRequest("Field 'content' (string) is required");
+      }
+      const encoding = body.encoding || "utf-8";
+      if (encoding !== "utf-8" && encoding !== "base64") {
+        return badRequest("Field 'encoding' must be 'utf-8' or 'base64'");
+      }
+      if (encoding === "base64" && !isBase64(body.content)) {
+        return badRequest("Field 'content' is not valid base64");
+      }
+      const violations = checkWrite(env, docPath, body.content, encoding);
+      if (violations.length > 0) {
+        return errorResponse(validationError(violations));
+      }
+      const commitMessage = typeof body.message === "string" ? body.message : undefined;
+      // Expected sha may come from the body or an If-Match header; the body wins if both are set.
+      // "If-None-Match: *" is the HTTP spelling of createOnly.
+      const expectedSha = typeof body.sha === "string" && body.sha
+        ? body.sha
+        : parseEtagHeader(request.headers.get("If-Match"));
+      const createOnly = body.createOnly === true || parseEtagHeader(request.headers.get("If-None-Match")) === "*";
+
+      try {
+        const result = await putFile(env, docPath, body.content, commitMessage, { expectedSha, createOnly, encoding });
+        return jsonResponse(withBranch(draftBranch, {
+          path: logicalPathFromGitPath(env, result.content.path),
+          name: result.content.name,
+          sha: result.content.sha,
+          commit: mapWriteCommit(result.commit)
+        }), 200, { "ETag": `"${result.content.sha}"` });
+      } catch (err) {
+        console.error("PUT document error", err);
+        if (err.status === 404) {
+          return notFound("Repository or branch not found");
+        }
+        return errorResponse(err);
+      }
+    }
+
+    if (request.method === "PATCH") {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return badRequest("Expected JSON body");
+      }
+      if (!Array.isArray(body.edits) || body.edits.length === 0) {
+        return badRequest("Field 'edits' (non-empty array) is required");
+      }
+      const commitMessage = typeof body.message === "string" ? body.message : undefined;
+      const clientSha = typeof body.sha === "string" && body.sha
+        ? body.sha
+        : parseEtagHeader(request.headers.get("If-Match"));
+
+      try {
+        const file = await getFile(env, docPath);
+        if (file.type !== "file") {
+          return badRequest("Requested path is not a file");
+        }
+        if (clientSha && clientSha !== "*" && clientSha !== file.sha) {
+          throw conflictError(`Document has changed: expected sha ${clientSha}, current sha is ${file.sha}`, file);
+        }
+        const original = decodeText(file.content);
+        if (original === null) {
+          return jsonResponse({ error: "Document is binary; edits need a UTF-8 text document", status: 415 }, 415);
+        }
+        const updated = applyEdits(original, body.edits);
+        if (updated === original) {
+          return jsonResponse(withBranch(draftBranch, {
+            path: logicalPathFromGitPath(env, file.path),
+            name: file.name,
+            sha: file.sha,
+            changed: false,
+            commit: null
+          }));
+        }
+
+        const violations = checkWrite(env, docPath, updated);
+        if (violations.length > 0) {
+          throw validationError(violations);
+        }
+
+        // Write against the sha we edited so a concurrent change fails instead of being lost
+        const result = await putFile(env, docPath, updated, commitMessage || defaultCommitMessage(env, "edit", { path: file.path }, `Edit ${file.path}`), {
+          expectedSha: file.sha
+        });
+        return jsonResponse(withBranch(draftBranch, {
+          path: logicalPathFromGitPath(env, result.content.path),
+          name: result.content.name,
+          sha: result.content.sha,
+          changed: true,
+          commit: mapWriteCommit(result.commit)
+        }));
+      } catch (err) {
+        if (err.status === 404) {
+          return notFound("Document not found");
+        }
+        if (err.status !== 422) {
+          console.error("PATCH document error", err);
+        }
+        return errorResponse(err);
+      }
+    }
+
+    if (request.method === "DELETE") {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        body = {};
+      }
+      const commitMessage = typeof body.message === "string" ? body.message : undefined;
+      const expectedSha = typeof body.sha === "string" && body.sha
+        ? body.sha
+        : parseEtagHeader(request.headers.get("If-Match"));
+      const links = body.links !== undefined ? body.links : searchParams.get("links") || undefined;
+      if (links !== undefined && !LINK_MODES.includes(links)) {
+        return badRequest(`Field 'links' must be one of: ${LINK_MODES.join(", ")}`);
+      }
+
+      try {
+        const result = await deleteFile(env, docPath, commitMessage, { expectedSha, links });
+        return jsonResponse(withBranch(draftBranch, {
+          path: logicalPathFromGitPath(env, buildRepoPath(env, docPath)),
+          ...result
+        }));
+      } catch (err) {
+        console.error("DELETE document error", err);
+        if (err.status === 404) {
+          return notFound("Document not found");
+        }
+        return errorResponse(err);
+      }
+    }
+
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  } catch (err) {
+    console.error("Top-level error", err);
+    return errorResponse(err);
+  }
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const startedAt = Date.now();
+    const cache = { hits: 0, revalidated: 0, misses: 0, bypass: 0 };
+    const changes = [];
+    const audit = { client: null, calls: [] };
+    const routed = await routeStore(request, env);
+    if (routed.store) {
+      audit.store = routed.store.name;
+    }
+    const response = await handleRequest(routed.request, { ...routed.env, requestContext: { cache, changes, audit, store: routed.store } }, ctx);
+    const status = cacheStatus(cache);
+    if (status) {
+      response.headers.set("X-Docstore-Cache", status);
+    }
+
+    // Webhooks and the audit log are written after the response so callers never wait on them
+    const background = [];
+    if (changes.length > 0 && loadWebhooks(env).length > 0) {
+      background.push(deliverWebhooks(routed.env, changes).catch(err => console.error("Webhook delivery error", err)));
+    }
+    const sink = audit.client ? auditSink(env) : null;
+    if (sink) {
+      const entry = auditEntry(request, response, audit, changes, startedAt);
+      for (const call of [...audit.calls, entry]) {
+        background.push(sink.write(call).catch(err => console.error("Audit log error", err)));
+      }
+    }
+    if (background.length > 0 && ctx && typeof ctx.waitUntil === "function") {
+      ctx.waitUntil(Promise.all(background));
     }
+    return response;
   }
 };
@@ -0,0 +1,347 @@
+import assert from "assert";
+import { applyEdits } from "../src/edits.js";
+import { applyUnifiedDiff, createUnifiedDiff, diffLines } from "../src/diff.js";
+import { findSections, parseFrontMatter, setFrontMatterFields, buildOutline, countLines, sliceLines } from "../src/markdown.js";
+import { parseValidationRules, validateDocument } from "../src/validation.js";
+import { extractLinks, createLinkResolver, rewriteLinks } from "../src/links.js";
+
+const DOC = [
+  "# Canon",
+  "",
+  "Intro text.",
+  "",
+  "## Stations",
+  "",
+  "- Alpha",
+  "- Beta",
+  "",
+  "### Notes",
+  "",
+  "Station notes.",
+  "",
+  "## Ships",
+  "",
+  "```",
+  "## Not a heading",
+  "```",
+  ""
+].join("\n");
+
+async function testFindSections() {
+  const sections = findSections(DOC, "Stations");
+  assert.strictEqual(sections.length, 1);
+  assert.strictEqual(sections[0].start, 4);
+  // Subsections belong to their parent section
+  assert.strictEqual(sections[0].end, 13);
+
+  // Headings inside fenced code blocks are ignored
+  assert.strictEqual(findSections(DOC, "Not a heading").length, 0);
+  assert.strictEqual(findSections(DOC, "### Stations").length, 0);
+}
+
+async function testSectionEdits() {
+  const replaced = applyEdits(DOC, [{ op: "replace_section", heading: "## Ships", content: "- Endeavour\n" }]);
+  assert.ok(replaced.endsWith("## Ships\n- Endeavour\n"), "Expected Ships section body to be replaced");
+
+  const appended = applyEdits(DOC, [{ op: "append_to_section", heading: "Notes", content: "More notes." }]);
+  assert.ok(appended.includes("Station notes.\nMore notes.\n\n## Ships"));
+
+  const prepended = applyEdits(DOC, [{ op: "prepend_to_section", heading: "Stations", content: "Updated weekly." }]);
+  assert.ok(prepended.includes("## Stations\nUpdated weekly.\n\n- Alpha"));
+
+  const doubled = DOC + "\n## Stations\n\nDuplicate.\n";
+  assert.throws(
+    () => applyEdits(doubled, [{ op: "append_to_section", heading: "Stations", content: "x" }]),
+    err => err.status === 422 && err.code === "ambiguous_match"
+  );
+  assert.throws(
+    () => applyEdits(DOC, [{ op: "replace_section", heading: "Missing", content: "x" }]),
+    err => err.status === 422 && err.code === "no_match"
+  );
+}
+
+async function testReplaceEdit() {
+  const updated = applyEdits(DOC, [{ op: "replace", find: "- Beta", replace: "- Gamma" }]);
+  assert.ok(updated.includes("- Gamma") && !updated.includes("- Beta"));
+
+  assert.throws(
+    () => applyEdits(DOC, [{ op: "replace", find: "Station", replace: "Outpost" }]),
+    err => err.status === 422 && err.code === "ambiguous_match" && err.details.matchCount === 2
+  );
+  assert.throws(
+    () => applyEdits(DOC, [{ op: "unknown" }]),
+    err => err.status === 422 && err.code === "invalid_edit"
+  );
+}
+
+async function testApplyUnifiedDiff() {
+  const original = "one\ntwo\nthree\nfour\nfive\n";
+  const patch = [
+    "--- a/doc.md",
+    "+++ b/doc.md",
+    "@@ -2,3 +2,3 @@",
+    " two",
+    "-three",
+    "+THREE",
+    " four",
+    ""
+  ].join("\n");
+  assert.strictEqual(applyUnifiedDiff(original, patch), "one\ntwo\nTHREE\nfour\nfive\n");
+
+  // Hunks that moved are still located by their context
+  const shifted = "zero\n" + original;
+  assert.strictEqual(applyUnifiedDiff(shifted, patch), "zero\none\ntwo\nTHREE\nfour\nfive\n");
+
+  assert.throws(
+    () => applyUnifiedDiff("unrelated\n", patch),
+    err => err.status === 422 && err.code === "patch_failed"
+  );
+}
+
+async function testDiffLinesLargeInputs() {
+  const sides = ops => [
+    ops.filter(op => op.type !== "+").map(op => op.text),
+    ops.filter(op => op.type !== "-").map(op => op.text)
+  ];
+  const changes = ops => ops.filter(op => op.type !== " ").length;
+
+  // Every line rewritten: memory and time stay linear
+  const before = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+  const rewritten = before.map(line => line + " (rewritten)");
+  let ops = diffLines(before, rewritten);
+  assert.deepStrictEqual(sides(ops), [before, rewritten]);
+  assert.strictEqual(changes(ops), 40000);
+
+  // Two of every three lines changed, with shared lines in between
+  const edited = before.slice(0, 1500).map((line, i) => (i % 3 ? line + "!" : line));
+  ops = diffLines(before.slice(0, 1500), edited);
+  assert.deepStrictEqual(sides(ops), [before.slice(0, 1500), edited]);
+  assert.strictEqual(changes(ops), 2 * 1000);
+
+  // Out of steps: still a correct diff, just not a minimal one
+  ops = diffLines(["a", "b", "c", "d"], ["b", "x", "d", "y"], 4);
+  assert.deepStrictEqual(sides(ops), [["a", "b", "c", "d"], ["b", "x", "d", "y"]]);
+  assert.deepStrictEqual(sides(diffLines(["a", "b", "c", "d"], ["b", "x", "d", "y"])), [["a", "b", "c", "d"], ["b", "x", "d", "y"]]);
+  assert.strictEqual(changes(diffLines(["a", "b", "c", "d"], ["b", "x", "d", "y"])), 4);
+}
+
+async function testCreateUnifiedDiff() {
+  const before = "one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\nnine\nten\n";
+  const after = "one\nTWO\nthree\nfour\nfive\nsix\nseven\neight\nnine\nten\neleven\n";
+  const diff = createUnifiedDiff(before, after, { fromLabel: "a/doc.md", toLabel: "b/doc.md" });
+  assert.strictEqual(diff.additions, 2);
+  assert.strictEqual(diff.deletions, 1);
+  // Changes more than 2 * context lines apart get separate hunks
+  assert.strictEqual(diff.hunks.length, 2);
+  assert.ok(diff.unified.startsWith("--- a/doc.md\n+++ b/doc.md\n@@ -1,5 +1,5 @@\n one\n-two\n+TWO\n"));
+
+  // The generated diff applies back to the original
+  assert.strictEqual(applyUnifiedDiff(before, diff.unified), after);
+
+  // Created documents diff against /dev/null
+  const created = createUnifiedDiff(null, "hello\n");
+  assert.ok(created.unified.startsWith("--- /dev/null\n+++ b\n@@ -0,0 +1,2 @@"));
+
+  assert.strictEqual(createUnifiedDiff("same\n", "same\n").unified, "");
+}
+
+const FRONT_MATTER_DOC = [
+  "---",
+  "title: \"FTL: Canon\"",
+  "status: draft # still moving",
+  "tags:",
+  "  - ftl",
+  "  - canon",
+  "owner: {name: Ada, team: core}",
+  "---",
+  "# FTL",
+  ""
+].join("\n");
+
+async function testFrontMatter() {
+  const parsed = parseFrontMatter(FRONT_MATTER_DOC);
+  assert.deepStrictEqual(parsed.frontMatter, {
+    title: "FTL: Canon",
+    status: "draft",
+    tags: ["ftl", "canon"],
+    owner: { name: "Ada", team: "core" }
+  });
+  assert.strictEqual(parsed.body, "# FTL\n");
+  assert.deepStrictEqual(parseFrontMatter("# No metadata\n"), { frontMatter: null, body: "# No metadata\n", error: null });
+  assert.ok(parseFrontMatter("---\nnot yaml\n---\nx").error.includes("line 2"));
+
+  // Only the changed fields are rewritten; comments and layout of the rest survive
+  const updated = setFrontMatterFields(FRONT_MATTER_DOC, { status: "canon", tags: ["ftl", "x y"], owner: null, review: "2026-01" });
+  assert.strictEqual(updated, [
+    "---",
+    "title: \"FTL: Canon\"",
+    "status: canon",
+    "tags: [ftl, x y]",
+    "review: 2026-01",
+    "---",
+    "# FTL",
+    ""
+  ].join("\n"));
+  assert.strictEqual(setFrontMatterFields("# Hi\n", { status: "draft" }), "---\nstatus: draft\n---\n# Hi\n");
+  assert.strictEqual(setFrontMatterFields("---\nstatus: draft\n---\n# Hi\n", { status: null }), "# Hi\n");
+
+  const edited = applyEdits(FRONT_MATTER_DOC, [{ op: "set_metadata", fields: { status: "canon" } }]);
+  assert.strictEqual(parseFrontMatter(edited).frontMatter.status, "canon");
+  assert.throws(
+    () => applyEdits(FRONT_MATTER_DOC, [{ op: "set_metadata", fields: ["status"] }]),
+    err => err.status === 422 && err.code === "invalid_edit"
+  );
+  assert.throws(
+    () => applyEdits("---\nnot yaml\n---\n", [{ op: "set_metadata", fields: { status: "x" } }]),
+    err => err.status === 422 && err.code === "invalid_front_matter" && err.details.editIndex === 0
+  );
+}
+
+async function testValidateDocument() {
+  const check = (rules, path, text) => validateDocument(parseValidationRules(rules), path, text === undefined
+    ? {}
+    : { size: Buffer.byteLength(text), text });
+  const rulesOf = (violations) => violations.map(v => v.rule);
+
+  // Path safety applies without any configuration
+  assert.deepStrictEqual(check(undefined, "ftl/canon.md", "# Canon\n"), []);
+  assert.deepStrictEqual(rulesOf(check(undefined, "ftl/../secrets.md")), ["forbidden_segment"]);
+  assert.deepStrictEqual(rulesOf(check(undefined, "ftl//canon.md")), ["forbidden_segment"]);
+  assert.deepStrictEqual(rulesOf(check(undefined, ".git/config")), ["forbidden_segment"]);
+  assert.deepStrictEqual(rulesOf(check(undefined, "ftl/what?.md")), ["forbidden_chars"]);
+  assert.deepStrictEqual(rulesOf(check(undefined, "ftl/tab\there.md")), ["forbidden_chars"]);
+
+  const rules = JSON.stringify({
+    extensions: ["md", "json"],
+    maxBytes: 16,
+    allowEmpty: false,
+    checkSyntax: true,
+    requiredFrontMatter: { "ftl/": ["status", "owner"] }
+  });
+  assert.deepStrictEqual(rulesOf(check(rules, "ftl/notes.txt")), ["extension"]);
+  assert.deepStrictEqual(rulesOf(check(rules, "data.json", "")), ["empty", "syntax"]);
+  assert.deepStrictEqual(rulesOf(check(rules, "data.json", "{\"a\": [1, 2, 3, 4, 5]}")), ["max_bytes"]);
+  assert.deepStrictEqual(rulesOf(check(rules, "other.md", "# Other")), []);
+
+  const missing = check(rules, "ftl/canon.md", "---\nstatus: x\n---\n");
+  assert.deepStrictEqual(rulesOf(missing), ["max_bytes", "required_front_matter"]);
+  assert.ok(missing[1].message.includes("owner"));
+  assert.deepStrictEqual(rulesOf(check(rules, "notes.md", "---\nbad\n---\n")), ["front_matter"]);
+  assert.deepStrictEqual(rulesOf(check(JSON.stringify({ checkSyntax: true }), "list.yaml", "- a\n-b: [\n")), ["syntax"]);
+  assert.deepStrictEqual(check(JSON.stringify({ checkSyntax: true }), "list.yaml", "- a\n- b\n"), []);
+}
+
+async function testOutline() {
+  assert.strictEqual(countLines(DOC), 18);
+  assert.strictEqual(countLines("one"), 1);
+  assert.strictEqual(countLines(""), 0);
+  assert.strictEqual(sliceLines(DOC, 5, 8), "## Stations\n\n- Alpha\n- Beta\n");
+  assert.strictEqual(sliceLines("a\nb", 2, 9), "b");
+
+  const outline = buildOutline(DOC);
+  const shape = nodes => nodes.map(n => [n.text, n.line, n.endLine, n.lines, shape(n.children)]);
+  assert.deepStrictEqual(shape(outline), [
+    ["Canon", 1, 18, 18, [
+      ["Stations", 5, 13, 9, [["Notes", 10, 13, 4, []]]],
+      ["Ships", 14, 18, 5, []]
+    ]]
+  ]);
+  const notes = outline[0].children[0].children[0];
+  assert.strictEqual(notes.level, 3);
+  assert.strictEqual(notes.bytes, new TextEncoder().encode("### Notes\n\nStation notes.\n\n").length);
+  assert.strictEqual(outline[0].bytes, new TextEncoder().encode(DOC).length);
+}
+
+async function testLinks() {
+  const doc = [
+    "See [the canon](../ftl/canon.md#crew), [[Ships|the fleet]] and [[ftl/canon#Crew]].",
+    "![map](img/map.png) [site](https://example.com) [top](#top) `[code](x.md)`",
+    "```",
+    "[fenced](y.md)",
+    "```",
+    "[canon]: /ftl/canon.md",
+    "[^1]: Not a link"
+  ].join("\n");
+  const links = extractLinks(doc);
+  assert.deepStrictEqual(links.map(l => [l.type, l.target, l.line]), [
+    ["link", "../ftl/canon.md#crew", 1],
+    ["wiki", "Ships", 1],
+    ["wiki", "ftl/canon#Crew", 1],
+    ["image", "img/map.png", 2],
+    ["link", "https://example.com", 2],
+    ["link", "#top", 2],
+    ["reference", "/ftl/canon.md", 6]
+  ]);
+  assert.strictEqual(links[1].text, "the fleet");
+  assert.strictEqual(doc.substring(links[0].targetStart, links[0].targetEnd), "../ftl/canon.md#crew");
+
+  const resolve = createLinkResolver(["ftl/canon.md", "lore/index.md", "lore/ships.md", "lore/img/map.png"]);
+  assert.deepStrictEqual(links.map(l => resolve("lore/index.md", l)), [
+    { path: "ftl/canon.md", fragment: "crew" },
+    { path: "lore/ships.md", fragment: undefined },
+    { path: "ftl/canon.md", fragment: "Crew" },
+    { path: "lore/img/map.png", fragment: undefined },
+    null,
+    null,
+    { path: "ftl/canon.md", fragment: undefined }
+  ]);
+  assert.deepStrictEqual(resolve("lore/index.md", { type: "wiki", target: "Missing Page" }), { path: "Missing Page.md", fragment: undefined });
+  assert.strictEqual(resolve("index.md", { type: "link", target: "../outside.md" }), null);
+
+  // The linking document moves too: its relative links are re-based
+  const moved = new Map([["ftl/canon.md", "canon/main.md"], ["lore/index.md", "archive/lore/index.md"]]);
+  const rewritten = rewriteLinks(doc, "lore/index.md", "archive/lore/index.md", moved, resolve);
+  assert.strictEqual(rewritten.content.split("\n")[0],
+    "See [the canon](../../canon/main.md#crew), [[Ships|the fleet]] and [[canon/main#Crew]].");
+  assert.ok(rewritten.content.includes("![map](../../lore/img/map.png)"));
+  assert.ok(rewritten.content.includes("[canon]: /canon/main.md"));
+  assert.ok(rewritten.content.includes("[fenced](y.md)"));
+  assert.strictEqual(rewritten.count, 4);
+
+  const unlinked = rewriteLinks(doc, "lore/index.md", "lore/index.md", new Map([["ftl/canon.md", null]]), resolve);
+  assert.strictEqual(unlinked.content.split("\n")[0], "See the canon, [[Ships|the fleet]] and ftl/canon.");
+  assert.ok(unlinked.content.includes("[canon]: /ftl/canon.md"));
+  assert.strictEqual(rewriteLinks(doc, "lore/index.md", "lore/index.md", new Map(), resolve).content, doc);
+}
+
+async function run() {
+  try {
+    await testFindSections();
+    console.log("✓ findSections tests passed");
+
+    await testSectionEdits();
+    console.log("✓ section edit tests passed");
+
+    await testReplaceEdit();
+    console.log("✓ replace edit tests passed");
+
+    await testApplyUnifiedDiff();
+    console.log("✓ unified diff apply tests passed");
+
+    await testCreateUnifiedDiff();
+    console.log("✓ unified diff create tests passed");
+
+    await testDiffLinesLargeInputs();
+    console.log("✓ large diff tests passed");
+
+    await testFrontMatter();
+    console.log("✓ front matter tests passed");
+
+    await testValidateDocument();
+    console.log("✓ validation tests passed");
+
+    await testOutline();
+    console.log("✓ outline tests passed");
+
+    await testLinks();
+    console.log("✓ link tests passed");
+
+    console.log("All tests passed");
+    process.exit(0);
+  } catch (err) {
+    console.error("Test failed:", err);
+    process.exit(1);
+  }
+}
+
+run();
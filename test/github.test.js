@@ -1,5 +1,6 @@
 import assert from "assert";
-import worker, { buildRepoPath, putFile, logicalPathFromGitPath, toBase64, fromBase64 } from "../src/worker.js";
+import { createHmac } from "crypto";
+import worker, { buildRepoPath, putFile, logicalPathFromGitPath, toBase64, fromBase64, parseEtagHeader, gitBlobSha, draftBranchName, createMemoryKV, globToRegExp, checkPermission, kvAuditSink, d1AuditSink, storageBackend, readCacheStore, invalidateReadCache } from "../src/worker.js";
 
 async function testBuildRepoPath() {
   const env = { DOCS_BASE_DIR: "docs" };
@@ -276,6 +277,2068 @@ async function testEchoHandlesDelete() {
   assert.strictEqual(json.headers["x-test"], "delete");
 }
 
+async function testParseEtagHeader() {
+  assert.strictEqual(parseEtagHeader(null), undefined);
+  assert.strictEqual(parseEtagHeader("abc123"), "abc123");
+  assert.strictEqual(parseEtagHeader('"abc123"'), "abc123");
+  assert.strictEqual(parseEtagHeader('W/"abc123"'), "abc123");
+  assert.strictEqual(parseEtagHeader('"abc123", "def456"'), "abc123");
+  assert.strictEqual(parseEtagHeader("*"), "*");
+}
+
+async function testWorkerPutStaleShaReturnsConflict() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  let putCalled = false;
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({
+          type: "file",
+          path: "docs/test.md",
+          name: "test.md",
+          sha: "sha-current",
+          content: toBase64("Someone else's edit")
+        })
+      };
+    }
+
+    if (init.method === "PUT") {
+      putCalled = true;
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const req = new Request("https://example.com/d/test.md", {
+    method: "PUT",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ content: "My edit", sha: "sha-stale" })
+  });
+
+  const res = await worker.fetch(req, env);
+  assert.strictEqual(res.status, 409);
+  const json = await res.json();
+  assert.strictEqual(json.code, "conflict");
+  assert.strictEqual(json.currentSha, "sha-current");
+  assert.strictEqual(json.currentContent, "Someone else's edit");
+  assert.strictEqual(putCalled, false, "Expected no write to GitHub on conflict");
+
+  // createOnly must refuse to overwrite an existing document
+  const createReq = new Request("https://example.com/d/test.md", {
+    method: "PUT",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json",
+      "If-None-Match": "*"
+    },
+    body: JSON.stringify({ content: "New doc" })
+  });
+  const createRes = await worker.fetch(createReq, env);
+  assert.strictEqual(createRes.status, 409);
+  assert.strictEqual(putCalled, false);
+}
+
+async function testWorkerPutIfMatchSendsSha() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  let putBody = null;
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({
+          type: "file",
+          path: "docs/test.md",
+          name: "test.md",
+          sha: "sha-current",
+          content: toBase64("Old")
+        })
+      };
+    }
+
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      putBody = JSON.parse(init.body);
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({
+          content: { path: "docs/test.md", name: "test.md", sha: "sha-new" },
+          commit: { sha: "commitsha", message: "Update docs/test.md" }
+        })
+      };
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const req = new Request("https://example.com/d/test.md", {
+    method: "PUT",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json",
+      "If-Match": '"sha-current"'
+    },
+    body: JSON.stringify({ content: "New" })
+  });
+
+  const res = await worker.fetch(req, env);
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.strictEqual(json.sha, "sha-new");
+  assert.strictEqual(putBody.sha, "sha-current");
+}
+
+async function testWorkerPatchAppliesEdits() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  let putBody = null;
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({
+          type: "file",
+          path: "docs/canon.md",
+          name: "canon.md",
+          sha: "sha-current",
+          content: toBase64("# Canon\n\n## Stations\n\n- Alpha\n\n## Ships\n\n- Endeavour\n")
+        })
+      };
+    }
+
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      putBody = JSON.parse(init.body);
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({
+          content: { path: "docs/canon.md", name: "canon.md", sha: "sha-new" },
+          commit: { sha: "commitsha", message: putBody.message }
+        })
+      };
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const req = new Request("https://example.com/d/canon.md", {
+    method: "PATCH",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      edits: [
+        { op: "append_to_section", heading: "Stations", content: "- Beta" },
+        { op: "replace", find: "Endeavour", replace: "Endurance" }
+      ],
+      message: "Add Beta station"
+    })
+  });
+
+  const res = await worker.fetch(req, env);
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.strictEqual(json.sha, "sha-new");
+  assert.strictEqual(json.changed, true);
+  assert.strictEqual(json.commit.message, "Add Beta station");
+
+  // The write is conditional on the sha that was edited
+  assert.strictEqual(putBody.sha, "sha-current");
+  assert.strictEqual(
+    fromBase64(putBody.content),
+    "# Canon\n\n## Stations\n\n- Alpha\n- Beta\n\n## Ships\n\n- Endurance\n"
+  );
+
+  // Ambiguous edits are rejected without writing
+  putBody = null;
+  const badReq = new Request("https://example.com/d/canon.md", {
+    method: "PATCH",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ edits: [{ op: "replace", find: "- ", replace: "* " }] })
+  });
+  const badRes = await worker.fetch(badReq, env);
+  assert.strictEqual(badRes.status, 422);
+  const badJson = await badRes.json();
+  assert.strictEqual(badJson.code, "ambiguous_match");
+  assert.strictEqual(putBody, null);
+}
+
+async function testGitBlobSha() {
+  // Matches `git hash-object` for the same content
+  assert.strictEqual(await gitBlobSha("hello\n"), "ce013625030ba8dba906f756967f9e9ca394464a");
+  assert.strictEqual(await gitBlobSha(""), "e69de29bb2d1d6434b8b29ae775ad8c2e48c5391");
+}
+
+// Stub GitHub's commits, trees, commits-create and refs endpoints for a repo whose
+// docs/ tree holds the given { path: sha } blobs.
+function stubGitDataApi(blobs, calls, { refStatus = 200 } = {}) {
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+    calls.push({ method: init.method, path: u.pathname, body: init.body ? JSON.parse(init.body) : undefined });
+
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/commits/main") {
+      return ok({ sha: "head-sha", commit: { tree: { sha: "root-tree" } } });
+    }
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/git/trees/root-tree") {
+      return ok({ sha: "root-tree", tree: [{ path: "docs", type: "tree", sha: "docs-tree", mode: "040000" }] });
+    }
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/git/trees/docs-tree") {
+      return ok({
+        sha: "docs-tree",
+        truncated: false,
+        tree: Object.entries(blobs).map(([path, sha]) => ({ path, type: "blob", sha, mode: "100644", size: 10 }))
+      });
+    }
+    if (init.method === "POST" && u.pathname === "/repos/owner/repo/git/trees") {
+      return ok({ sha: "new-tree" });
+    }
+    if (init.method === "POST" && u.pathname === "/repos/owner/repo/git/commits") {
+      return ok({ sha: "new-commit", message: JSON.parse(init.body).message });
+    }
+    if (init.method === "PATCH" && u.pathname === "/repos/owner/repo/git/refs/heads/main") {
+      if (refStatus !== 200) {
+        return {
+          ok: false,
+          status: refStatus,
+          text: async () => JSON.stringify({ message: "Update is not a fast forward" })
+        };
+      }
+      return ok({ object: { sha: "new-commit" } });
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+}
+
+async function testWorkerBatchCommitsOnce() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  const calls = [];
+  stubGitDataApi({ "ftl/canon.md": "sha-canon", "ftl/old.md": "sha-old" }, calls);
+
+  const req = new Request("https://example.com/batch", {
+    method: "POST",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      message: "Reorganize FTL notes",
+      operations: [
+        { op: "create", path: "ftl/new.md", content: "hello\n" },
+        { op: "move", from: "ftl/canon.md", to: "/d/ftl/canon-v2.md" },
+        { op: "delete", path: "docs/ftl/old.md", sha: "sha-old" }
+      ]
+    })
+  });
+
+  const res = await worker.fetch(req, env);
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.strictEqual(json.commit.sha, "new-commit");
+  assert.strictEqual(json.commit.message, "Reorganize FTL notes");
+  assert.deepStrictEqual(json.operations.map(o => o.path), ["ftl/new.md", "ftl/canon-v2.md", "ftl/old.md"]);
+  assert.strictEqual(json.operations[0].sha, "ce013625030ba8dba906f756967f9e9ca394464a");
+
+  const treeCall = calls.find(c => c.method === "POST" && c.path.endsWith("/git/trees"));
+  assert.strictEqual(treeCall.body.base_tree, "root-tree");
+  const byPath = Object.fromEntries(treeCall.body.tree.map(e => [e.path, e]));
+  assert.strictEqual(byPath["docs/ftl/new.md"].content, "hello\n");
+  assert.strictEqual(byPath["docs/ftl/canon-v2.md"].sha, "sha-canon");
+  assert.strictEqual(byPath["docs/ftl/canon.md"].sha, null);
+  assert.strictEqual(byPath["docs/ftl/old.md"].sha, null);
+
+  const commitCall = calls.find(c => c.method === "POST" && c.path.endsWith("/git/commits"));
+  assert.deepStrictEqual(commitCall.body.parents, ["head-sha"]);
+  const refCall = calls.find(c => c.method === "PATCH");
+  assert.strictEqual(refCall.body.force, false);
+}
+
+async function testWorkerBatchFailsCleanly() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  const makeReq = (operations) => new Request("https://example.com/batch", {
+    method: "POST",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ operations })
+  });
+
+  // A failed validation writes nothing
+  let calls = [];
+  stubGitDataApi({ "a.md": "sha-a" }, calls);
+  let res = await worker.fetch(makeReq([
+    { op: "put", path: "b.md", content: "b" },
+    { op: "update", path: "missing.md", content: "x" }
+  ]), env);
+  assert.strictEqual(res.status, 404);
+  let json = await res.json();
+  assert.strictEqual(json.opIndex, 1);
+  assert.ok(!calls.some(c => c.method !== "GET"), "Expected no writes when validation fails");
+
+  res = await worker.fetch(makeReq([{ op: "create", path: "a.md", content: "x" }]), env);
+  assert.strictEqual(res.status, 409);
+
+  // A concurrent change to the branch makes the ref update fail as a conflict
+  calls = [];
+  stubGitDataApi({ "a.md": "sha-a" }, calls, { refStatus: 422 });
+  res = await worker.fetch(makeReq([{ op: "delete", path: "a.md" }]), env);
+  assert.strictEqual(res.status, 409);
+  json = await res.json();
+  assert.strictEqual(json.code, "conflict");
+}
+
+async function testWorkerMoveDirectory() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  const calls = [];
+  stubGitDataApi({ "ftl/canon.md": "sha-canon", "ftl/notes/a.md": "sha-a", "other.md": "sha-other" }, calls);
+
+  const req = new Request("https://example.com/move", {
+    method: "POST",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ from: "/d/ftl/", to: "archive/ftl" })
+  });
+
+  const res = await worker.fetch(req, env);
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.strictEqual(json.type, "dir");
+  assert.strictEqual(json.from, "ftl/");
+  assert.strictEqual(json.to, "archive/ftl/");
+  assert.strictEqual(json.commit.message, "Move docs/ftl to docs/archive/ftl");
+  assert.deepStrictEqual(json.files.map(f => f.path).sort(), ["archive/ftl/canon.md", "archive/ftl/notes/a.md"]);
+
+  const treeCall = calls.find(c => c.method === "POST" && c.path.endsWith("/git/trees"));
+  const byPath = Object.fromEntries(treeCall.body.tree.map(e => [e.path, e.sha]));
+  assert.deepStrictEqual(byPath, {
+    "docs/archive/ftl/canon.md": "sha-canon",
+    "docs/archive/ftl/notes/a.md": "sha-a",
+    "docs/ftl/canon.md": null,
+    "docs/ftl/notes/a.md": null
+  });
+}
+
+async function testWorkerCopyRefusesOverwrite() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  const calls = [];
+  stubGitDataApi({ "a.md": "sha-a", "b.md": "sha-b" }, calls);
+
+  const makeReq = (body) => new Request("https://example.com/copy", {
+    method: "POST",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify(body)
+  });
+
+  let res = await worker.fetch(makeReq({ from: "a.md", to: "b.md" }), env);
+  assert.strictEqual(res.status, 409);
+  assert.ok(!calls.some(c => c.method !== "GET"), "Expected no writes on conflict");
+
+  res = await worker.fetch(makeReq({ from: "a.md", to: "b.md", overwrite: true, message: "Replace b" }), env);
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.strictEqual(json.type, "file");
+  assert.strictEqual(json.commit.message, "Replace b");
+  const treeCall = calls.find(c => c.method === "POST" && c.path.endsWith("/git/trees"));
+  // Copy leaves the source in place
+  assert.deepStrictEqual(treeCall.body.tree.map(e => [e.path, e.sha]), [["docs/b.md", "sha-a"]]);
+
+  res = await worker.fetch(makeReq({ from: "missing.md", to: "c.md" }), env);
+  assert.strictEqual(res.status, 404);
+}
+
+async function testWorkerHistoryAndRefReads() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  let lastUrl = null;
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    lastUrl = u;
+
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/commits") {
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify([
+          {
+            sha: "c2",
+            html_url: "https://github.com/owner/repo/commit/c2",
+            parents: [{ sha: "c1" }],
+            commit: {
+              message: "Update canon",
+              author: { name: "Ada", email: "ada@example.com", date: "2025-01-02T00:00:00Z" },
+              committer: { name: "GitHub", email: "noreply@github.com", date: "2025-01-02T00:00:00Z" }
+            }
+          },
+          {
+            sha: "c1",
+            html_url: "https://github.com/owner/repo/commit/c1",
+            parents: [],
+            commit: {
+              message: "Create canon",
+              author: { name: "Ada", email: "ada@example.com", date: "2025-01-01T00:00:00Z" },
+              committer: { name: "GitHub", email: "noreply@github.com", date: "2025-01-01T00:00:00Z" }
+            }
+          }
+        ])
+      };
+    }
+
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({
+          type: "file",
+          path: "docs/ftl/canon.md",
+          name: "canon.md",
+          sha: "sha-old",
+          content: toBase64("Old canon")
+        })
+      };
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const histReq = new Request("https://example.com/history/ftl/canon.md?per_page=2&page=1", {
+    headers: { "Authorization": "Bearer api-token" }
+  });
+  const histRes = await worker.fetch(histReq, env);
+  assert.strictEqual(histRes.status, 200);
+  const history = await histRes.json();
+  assert.strictEqual(lastUrl.searchParams.get("path"), "docs/ftl/canon.md");
+  assert.strictEqual(lastUrl.searchParams.get("sha"), "main");
+  assert.strictEqual(lastUrl.searchParams.get("per_page"), "2");
+  assert.strictEqual(history.path, "ftl/canon.md");
+  assert.strictEqual(history.commits.length, 2);
+  assert.strictEqual(history.commits[0].sha, "c2");
+  assert.strictEqual(history.commits[0].author.name, "Ada");
+  assert.strictEqual(history.commits[0].author.date, "2025-01-02T00:00:00Z");
+  assert.strictEqual(history.hasMore, true);
+
+  const docReq = new Request("https://example.com/d/ftl/canon.md?ref=c1", {
+    headers: { "Authorization": "Bearer api-token" }
+  });
+  const docRes = await worker.fetch(docReq, env);
+  assert.strictEqual(docRes.status, 200);
+  const doc = await docRes.json();
+  assert.strictEqual(lastUrl.searchParams.get("ref"), "c1");
+  assert.strictEqual(doc.ref, "c1");
+  assert.strictEqual(doc.content, "Old canon");
+}
+
+async function testWorkerDiffDefaultsToPreviousCommit() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  const versions = { main: "Title\nNew line\n", c1: "Title\nOld line\n" };
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/commits") {
+      assert.strictEqual(u.searchParams.get("sha"), "main");
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify([
+          { sha: "c2", parents: [{ sha: "c1" }], commit: { message: "Edit" } },
+          { sha: "c1", parents: [], commit: { message: "Create" } }
+        ])
+      };
+    }
+
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      const ref = u.searchParams.get("ref");
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({
+          type: "file",
+          path: "docs/canon.md",
+          name: "canon.md",
+          sha: `sha-${ref}`,
+          content: toBase64(versions[ref])
+        })
+      };
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const req = new Request("https://example.com/diff/canon.md?hunks=1", {
+    headers: { "Authorization": "Bearer api-token" }
+  });
+  const res = await worker.fetch(req, env);
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.strictEqual(json.from, "c1");
+  assert.strictEqual(json.to, "main");
+  assert.strictEqual(json.fromSha, "sha-c1");
+  assert.strictEqual(json.additions, 1);
+  assert.strictEqual(json.deletions, 1);
+  assert.ok(json.diff.includes("-Old line\n+New line"));
+  assert.strictEqual(json.hunks.length, 1);
+
+  const textReq = new Request("https://example.com/diff/canon.md?from=c1&to=main&format=text", {
+    headers: { "Authorization": "Bearer api-token" }
+  });
+  const textRes = await worker.fetch(textReq, env);
+  assert.strictEqual(textRes.status, 200);
+  assert.ok((await textRes.text()).startsWith("--- a/canon.md\n+++ b/canon.md\n"));
+}
+
+async function testWorkerRestoreDeletedDocument() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  let putBody = null;
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+    const notFoundRes = { ok: false, status: 404, text: async () => JSON.stringify({ message: "Not Found" }) };
+
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/commits") {
+      // The latest commit touching the document deleted it
+      return ok([{ sha: "c3", parents: [{ sha: "c2c2c2c2c2" }], commit: { message: "Delete canon" } }]);
+    }
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/commits/c2c2c2c2c2") {
+      return ok({ sha: "c2c2c2c2c2", commit: { tree: { sha: "tree-c2" } } });
+    }
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      if (u.searchParams.get("ref") === "c2c2c2c2c2") {
+        return ok({
+          type: "file",
+          path: "docs/canon.md",
+          name: "canon.md",
+          sha: "sha-old",
+          content: toBase64("Lost canon")
+        });
+      }
+      return notFoundRes;
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      putBody = JSON.parse(init.body);
+      return ok({
+        content: { path: "docs/canon.md", name: "canon.md", sha: "sha-old" },
+        commit: { sha: "c4", message: putBody.message }
+      });
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const req = new Request("https://example.com/restore", {
+    method: "POST",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ path: "canon.md", sha: "previous" })
+  });
+
+  const res = await worker.fetch(req, env);
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.strictEqual(json.type, "file");
+  assert.strictEqual(json.restoredFrom, "c2c2c2c2c2");
+  assert.strictEqual(json.commit.sha, "c4");
+  assert.strictEqual(putBody.message, "Restore docs/canon.md to c2c2c2c");
+  assert.strictEqual(fromBase64(putBody.content), "Lost canon");
+  assert.strictEqual(putBody.sha, undefined, "Recreating a deleted document must not send a sha");
+}
+
+async function testWorkerRestoreDirectory() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  const trees = {
+    "tree-old": { "ftl/a.md": "sha-a-old", "ftl/b.md": "sha-b", "other.md": "sha-o-old" },
+    "tree-head": { "ftl/a.md": "sha-a-new", "ftl/c.md": "sha-c", "other.md": "sha-o-new" }
+  };
+  const calls = [];
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+    calls.push({ method: init.method, path: u.pathname, body: init.body ? JSON.parse(init.body) : undefined });
+
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/commits/old-commit") {
+      return ok({ sha: "old-commit", commit: { tree: { sha: "root-old" } } });
+    }
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/commits/main") {
+      return ok({ sha: "head-commit", commit: { tree: { sha: "root-head" } } });
+    }
+    const rootMatch = u.pathname.match(/\/git\/trees\/root-(old|head)$/);
+    if (init.method === "GET" && rootMatch) {
+      return ok({ tree: [{ path: "docs", type: "tree", sha: `tree-${rootMatch[1]}` }] });
+    }
+    const docsMatch = u.pathname.match(/\/git\/trees\/(tree-old|tree-head)$/);
+    if (init.method === "GET" && docsMatch) {
+      return ok({
+        tree: Object.entries(trees[docsMatch[1]]).map(([path, sha]) => ({ path, sha, type: "blob", mode: "100644" }))
+      });
+    }
+    if (init.method === "POST" && u.pathname.endsWith("/git/trees")) {
+      return ok({ sha: "new-tree" });
+    }
+    if (init.method === "POST" && u.pathname.endsWith("/git/commits")) {
+      return ok({ sha: "new-commit", message: JSON.parse(init.body).message });
+    }
+    if (init.method === "PATCH") {
+      return ok({});
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const req = new Request("https://example.com/restore", {
+    method: "POST",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ path: "ftl/", sha: "old-commit" })
+  });
+
+  const res = await worker.fetch(req, env);
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.strictEqual(json.type, "dir");
+  assert.strictEqual(json.commit.message, "Restore docs/ftl/ to old-com");
+
+  const treeCall = calls.find(c => c.method === "POST" && c.path.endsWith("/git/trees"));
+  const byPath = Object.fromEntries(treeCall.body.tree.map(e => [e.path, e.sha]));
+  // Only the directory is restored; other.md is left alone
+  assert.deepStrictEqual(byPath, {
+    "docs/ftl/a.md": "sha-a-old",
+    "docs/ftl/b.md": "sha-b",
+    "docs/ftl/c.md": null
+  });
+}
+
+async function testDraftBranchName() {
+  const env = { GITHUB_BRANCH: "main" };
+  assert.strictEqual(draftBranchName(env, "ftl-canon"), "drafts/ftl-canon");
+  assert.strictEqual(draftBranchName(env, "drafts/ftl-canon"), "drafts/ftl-canon");
+  assert.strictEqual(draftBranchName(env, "main"), "main");
+  assert.strictEqual(draftBranchName({ GITHUB_BRANCH: "main", DRAFT_BRANCH_PREFIX: "gpt" }, "x"), "gpt/x");
+  assert.throws(() => draftBranchName(env, "../main"), err => err.status === 400);
+  assert.throws(() => draftBranchName(env, "bad name"), err => err.status === 400);
+}
+
+async function testWorkerPutToDraftBranch() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  const calls = [];
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    calls.push({ method: init.method, path: u.pathname, query: u.searchParams, body });
+
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/git/ref/heads/drafts/canon-edit") {
+      return { ok: false, status: 404, text: async () => JSON.stringify({ message: "Not Found" }) };
+    }
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/commits/main") {
+      return ok({ sha: "main-head", commit: { tree: { sha: "root-tree" } } });
+    }
+    if (init.method === "POST" && u.pathname === "/repos/owner/repo/git/refs") {
+      return ok({ ref: body.ref, object: { sha: body.sha } });
+    }
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return { ok: false, status: 404, text: async () => JSON.stringify({ message: "Not Found" }) };
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      return ok({
+        content: { path: "docs/canon.md", name: "canon.md", sha: "sha-new" },
+        commit: { sha: "commitsha", message: body.message }
+      });
+    }
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/pulls") {
+      return ok([]);
+    }
+    if (init.method === "POST" && u.pathname === "/repos/owner/repo/pulls") {
+      return ok({
+        number: 7,
+        html_url: "https://github.com/owner/repo/pull/7",
+        title: body.title,
+        state: "open",
+        head: { ref: body.head },
+        base: { ref: body.base }
+      });
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const req = new Request("https://example.com/d/canon.md?branch=canon-edit", {
+    method: "PUT",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ content: "Draft canon" })
+  });
+  const res = await worker.fetch(req, env);
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.strictEqual(json.branch, "drafts/canon-edit");
+
+  const createRef = calls.find(c => c.method === "POST" && c.path.endsWith("/git/refs"));
+  assert.deepStrictEqual(createRef.body, { ref: "refs/heads/drafts/canon-edit", sha: "main-head" });
+  const read = calls.find(c => c.method === "GET" && c.path.includes("/contents/"));
+  assert.strictEqual(read.query.get("ref"), "drafts/canon-edit");
+  const put = calls.find(c => c.method === "PUT");
+  assert.strictEqual(put.body.branch, "drafts/canon-edit");
+
+  const prReq = new Request("https://example.com/drafts/canon-edit/pull", {
+    method: "POST",
+    headers: {
+      "Authorization": "Bearer api-token",
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ title: "Canon edits", body: "Please review" })
+  });
+  const prRes = await worker.fetch(prReq, env);
+  assert.strictEqual(prRes.status, 201);
+  const prJson = await prRes.json();
+  assert.strictEqual(prJson.created, true);
+  assert.strictEqual(prJson.pullRequest.number, 7);
+  assert.strictEqual(prJson.pullRequest.head, "drafts/canon-edit");
+  assert.strictEqual(prJson.pullRequest.base, "main");
+}
+
+async function testWorkerSearchUsesMaintainedIndex() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token",
+    DOCSTORE_KV: createMemoryKV()
+  };
+  const kv = env.DOCSTORE_KV;
+  // Another isolate sees the same namespace through a different binding object
+  const kvOps = [];
+  const record = (op, key, options) => {
+    if (key.startsWith("content-index:")) {
+      kvOps.push([op, key, options]);
+    }
+  };
+  const recordingKV = {
+    get: (key, type) => { record("get", key); return kv.get(key, type); },
+    put: (key, value, options) => { record("put", key, options); return kv.put(key, value, options); },
+    delete: key => { record("delete", key); return kv.delete(key); },
+    list: options => kv.list(options)
+  };
+
+  const blobs = {
+    "sha-canon": "# Canon\n\nCaptain Reyes commands the Endeavour.\n",
+    "sha-notes": "Notes about reyes and the crew.\n",
+    "sha-other": "Nothing relevant here.\n",
+    "sha-json": "{\"captain\": \"Reyes\"}\n"
+  };
+  let head = "c1";
+  let blobFetches = 0;
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+
+    if (u.pathname === "/repos/owner/repo/commits/main") {
+      return ok({ sha: head, commit: { tree: { sha: `root-${head}` } } });
+    }
+    if (u.pathname === "/repos/owner/repo/commits/c1") {
+      return ok({ sha: "c1", commit: { tree: { sha: "root-c1" } } });
+    }
+    if (u.pathname.startsWith("/repos/owner/repo/git/trees/root-")) {
+      return ok({ tree: [{ path: "docs", type: "tree", sha: `docs-${u.pathname.split("root-")[1]}` }] });
+    }
+    if (u.pathname.startsWith("/repos/owner/repo/git/trees/docs-")) {
+      const commit = u.pathname.split("docs-")[1];
+      return ok({
+        tree: [
+          { path: "ftl", type: "tree", sha: "t-ftl" },
+          { path: "ftl/canon.md", type: "blob", sha: "sha-canon", size: 40, mode: "100644" },
+          { path: "ftl/notes.md", type: "blob", sha: commit === "c1" ? "sha-notes" : "sha-other", size: 30, mode: "100644" },
+          { path: "ftl/data.json", type: "blob", sha: "sha-json", size: 20, mode: "100644" }
+        ]
+      });
+    }
+    const blobMatch = u.pathname.match(/\/git\/blobs\/(.+)$/);
+    if (blobMatch) {
+      blobFetches++;
+      return ok({ sha: blobMatch[1], encoding: "base64", content: toBase64(blobs[blobMatch[1]]) });
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const search = async (query, searchEnv = env) => {
+    const req = new Request(`https://example.com/search?${query}`, {
+      headers: { "Authorization": "Bearer api-token" }
+    });
+    const res = await worker.fetch(req, searchEnv);
+    assert.strictEqual(res.status, 200);
+    return res.json();
+  };
+
+  let json = await search("q=reyes&ext=md");
+  assert.strictEqual(json.totalFiles, 2);
+  assert.deepStrictEqual(json.results.map(r => r.path), ["ftl/canon.md", "ftl/notes.md"]);
+  assert.strictEqual(json.results[0].matches[0].line, 3);
+  assert.strictEqual(json.results[0].matches[0].snippet, "Captain **Reyes** commands the Endeavour.");
+  assert.strictEqual(blobFetches, 3);
+
+  // Same commit: served entirely from the index
+  json = await search("q=Reyes&case=sensitive&prefix=ftl/can");
+  assert.deepStrictEqual(json.results.map(r => r.path), ["ftl/canon.md"]);
+  assert.strictEqual(blobFetches, 3);
+
+  // New commit: only the changed blob is downloaded
+  head = "c2";
+  json = await search("q=reyes");
+  assert.deepStrictEqual(json.results.map(r => r.path), ["ftl/canon.md", "ftl/data.json"]);
+  assert.strictEqual(blobFetches, 4);
+
+  // The manifest holds no document text; that lives in shards, and replaced shards are deleted
+  const key = "content-index:owner/repo:docs:main";
+  const manifest = await kv.get(key, "json");
+  assert.strictEqual(manifest.commitSha, "c2");
+  assert.ok(!JSON.stringify(manifest).includes("Captain"));
+  assert.deepStrictEqual(manifest.files["docs/ftl/data.json"].frontMatter, undefined);
+  const shardKeys = (await kv.list({ prefix: key + ":" })).keys.map(k => k.name);
+  assert.deepStrictEqual(shardKeys, [manifest.files["docs/ftl/canon.md"].shard]);
+  assert.strictEqual((await kv.get(shardKeys[0], "json"))["docs/ftl/notes.md"], blobs["sha-other"]);
+
+  // A fresh isolate reads the stored index and its shards without downloading blobs;
+  // after that, requests at the same commit do not touch KV
+  const otherIsolate = { ...env, DOCSTORE_KV: recordingKV };
+  json = await search("q=endeavour", otherIsolate);
+  assert.deepStrictEqual(json.results.map(r => r.path), ["ftl/canon.md"]);
+  assert.deepStrictEqual(kvOps.map(op => op[0]), ["get", "get"]);
+  assert.strictEqual(blobFetches, 4);
+  kvOps.length = 0;
+  await search("q=endeavour", otherIsolate);
+  assert.deepStrictEqual(kvOps, []);
+
+  // Indexes of other refs expire; the default branch's do not
+  json = await search("q=reyes&ext=md&ref=c1", otherIsolate);
+  assert.deepStrictEqual(json.results.map(r => r.path), ["ftl/canon.md", "ftl/notes.md"]);
+  const puts = kvOps.filter(op => op[0] === "put");
+  assert.deepStrictEqual(puts.map(op => op[1].startsWith("content-index:owner/repo:docs:c1")), [true, true]);
+  assert.ok(puts.every(op => op[2].expirationTtl === 604800));
+}
+
+async function testGlobToRegExp() {
+  assert.ok(globToRegExp("*.md").test("canon.md"));
+  assert.ok(!globToRegExp("*.md").test("ftl/canon.md"));
+  assert.ok(globToRegExp("**/*.md").test("canon.md"));
+  assert.ok(globToRegExp("**/*.md").test("ftl/notes/canon.md"));
+  assert.ok(globToRegExp("ftl/**").test("ftl/notes/canon.md"));
+  assert.ok(globToRegExp("note?.txt").test("note1.txt"));
+  assert.ok(!globToRegExp("note?.txt").test("note12.txt"));
+}
+
+async function testWorkerRecursiveTreeListing() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+
+    if (u.pathname === "/repos/owner/repo/commits/main") {
+      return ok({ sha: "head", commit: { tree: { sha: "root-tree" } } });
+    }
+    if (u.pathname === "/repos/owner/repo/git/trees/root-tree") {
+      return ok({ tree: [{ path: "docs", type: "tree", sha: "docs-tree" }] });
+    }
+    if (u.pathname === "/repos/owner/repo/git/trees/docs-tree") {
+      return ok({
+        tree: [
+          { path: "readme.md", type: "blob", sha: "s0", size: 5, mode: "100644" },
+          { path: "ftl", type: "tree", sha: "t1", mode: "040000" },
+          { path: "ftl/canon.md", type: "blob", sha: "s1", size: 10, mode: "100644" },
+          { path: "ftl/logo.png", type: "blob", sha: "s2", size: 2000, mode: "100644" },
+          { path: "ftl/scratch", type: "tree", sha: "t2", mode: "040000" },
+          { path: "ftl/scratch/tmp.md", type: "blob", sha: "s3", size: 3, mode: "100644" },
+          { path: "ftl/deep", type: "tree", sha: "t3", mode: "040000" },
+          { path: "ftl/deep/er.md", type: "blob", sha: "s4", size: 4, mode: "100644" }
+        ]
+      });
+    }
+    if (u.pathname === "/repos/owner/repo/commits") {
+      return ok([{
+        sha: `commit-for-${u.searchParams.get("path")}`,
+        parents: [],
+        commit: { message: "m", author: { date: "2025-01-01T00:00:00Z" }, committer: { date: "2025-01-02T00:00:00Z" } }
+      }]);
+    }
+
+    return {
+      ok: false,
+      status: 500,
+      text: async () => JSON.stringify({ message: "Unexpected call in test" })
+    };
+  };
+
+  const get = async (path) => {
+    const res = await worker.fetch(new Request(`https://example.com${path}`, {
+      headers: { "Authorization": "Bearer api-token" }
+    }), env);
+    return { status: res.status, json: await res.json() };
+  };
+
+  let { status, json } = await get("/tree");
+  assert.strictEqual(status, 200);
+  assert.strictEqual(json.items.length, 8);
+  assert.deepStrictEqual(json.items[1], { name: "ftl", path: "ftl/", type: "dir", sha: "t1" });
+  assert.deepStrictEqual(json.items[2], { name: "canon.md", path: "ftl/canon.md", type: "file", sha: "s1", size: 10 });
+
+  ({ status, json } = await get("/d/ftl/?recursive=true&include=*.md&exclude=scratch&depth=1&lastModified=true"));
+  assert.strictEqual(status, 200);
+  assert.strictEqual(json.path, "ftl/");
+  assert.deepStrictEqual(json.items.map(i => i.path), ["ftl/canon.md", "ftl/deep/"]);
+  assert.strictEqual(json.items[0].lastModified, "2025-01-02T00:00:00Z");
+  assert.strictEqual(json.items[0].lastCommitSha, "commit-for-docs/ftl/canon.md");
+
+  ({ status } = await get("/tree?path=missing"));
+  assert.strictEqual(status, 404);
+}
+
+async function testCheckPermission() {
+  const gpt = { name: "gpt", role: "write", paths: ["drafts/"] };
+  assert.ok(checkPermission(gpt, "read", "ftl/canon.md").ok);
+  assert.ok(checkPermission(gpt, "write", "drafts/notes.md").ok);
+  assert.ok(checkPermission(gpt, "write", "drafts").ok);
+  assert.ok(!checkPermission(gpt, "write", "drafts-old/notes.md").ok);
+
+  const denied = checkPermission(gpt, "write", "ftl/canon.md");
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.permission, "write");
+  assert.ok(denied.message.includes("'ftl/canon.md'"));
+
+  const reader = { name: "viewer", role: "read", readPaths: ["public"] };
+  assert.strictEqual(checkPermission(reader, "write").status, 403);
+  assert.ok(checkPermission(reader, "read", "public/a.md").ok);
+  assert.ok(!checkPermission(reader, "read", "private/a.md").ok);
+  assert.ok(!checkPermission({ name: "ops", role: "write" }, "admin").ok);
+}
+
+async function testWorkerScopedTokens() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    GITHUB_TOKEN: "fake-token",
+    DOCSTORE_TOKENS: JSON.stringify([
+      { name: "gpt", token: "gpt-token", role: "write", paths: ["drafts/"] },
+      { name: "viewer", token: "view-token", role: "read", readPaths: ["public/"] }
+    ])
+  };
+
+  const puts = [];
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      if (u.pathname.endsWith("/contents/docs")) {
+        return ok([
+          { name: "public", path: "docs/public", type: "dir", sha: "d1" },
+          { name: "private", path: "docs/private", type: "dir", sha: "d2" },
+          { name: "top.md", path: "docs/top.md", type: "file", sha: "f1", size: 1 }
+        ]);
+      }
+      return { ok: false, status: 404, text: async () => JSON.stringify({ message: "Not Found" }) };
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      const body = JSON.parse(init.body);
+      puts.push(body);
+      return ok({
+        content: { path: "docs/drafts/idea.md", name: "idea.md", sha: "sha1" },
+        commit: { sha: "commitsha", message: body.message }
+      });
+    }
+    return { ok: false, status: 500, text: async () => JSON.stringify({ message: "Unexpected call in test" }) };
+  };
+
+  const call = async (method, path, token, body) => {
+    const res = await worker.fetch(new Request(`https://example.com${path}`, {
+      method,
+      headers: { "Authorization": `Bearer ${token}`, "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined
+    }), env);
+    return { status: res.status, json: await res.json() };
+  };
+
+  let { status, json } = await call("GET", "/d/", "wrong-token");
+  assert.strictEqual(status, 401);
+
+  ({ status, json } = await call("PUT", "/d/ftl/canon.md", "gpt-token", { content: "x" }));
+  assert.strictEqual(status, 403);
+  assert.strictEqual(json.code, "forbidden");
+  assert.strictEqual(json.permission, "write");
+  assert.strictEqual(json.path, "ftl/canon.md");
+  assert.strictEqual(puts.length, 0);
+
+  ({ status, json } = await call("PUT", "/d/drafts/idea.md", "gpt-token", { content: "x", message: "Add idea" }));
+  assert.strictEqual(status, 200);
+  assert.strictEqual(puts[0].message, "Add idea\n\nDocstore-Client: gpt");
+
+  ({ status, json } = await call("POST", "/move", "gpt-token", { from: "ftl/canon.md", to: "drafts/canon.md" }));
+  assert.strictEqual(status, 403);
+  assert.strictEqual(json.path, "ftl/canon.md");
+
+  // Dot segments in body paths cannot climb out of the token's paths
+  for (const [path, body] of [
+    ["/delete", { path: "drafts/../canon.md" }],
+    ["/restore", { path: "drafts/../canon.md" }],
+    ["/move", { from: "drafts/../canon.md", to: "drafts/canon.md" }],
+    ["/move", { from: "drafts/a.md", to: "drafts/./../canon.md" }],
+    ["/batch", { operations: [{ op: "delete", path: "drafts/../canon.md" }] }]
+  ]) {
+    ({ status, json } = await call("POST", path, "gpt-token", body));
+    assert.strictEqual(status, 400, `${path} ${JSON.stringify(body)}`);
+    assert.ok(json.error.includes("'..'"));
+  }
+  ({ status } = await call("POST", "/delete", "gpt-token", { path: "drafts//idea.md" }));
+  assert.strictEqual(status, 400);
+  assert.strictEqual(puts.length, 1);
+
+  ({ status, json } = await call("DELETE", "/d/public/a.md", "view-token"));
+  assert.strictEqual(status, 403);
+  assert.ok(json.error.includes("viewer"));
+
+  ({ status, json } = await call("GET", "/d/private/a.md", "view-token"));
+  assert.strictEqual(status, 403);
+  assert.strictEqual(json.permission, "read");
+
+  ({ status, json } = await call("GET", "/d/", "view-token"));
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(json.items.map(i => i.path), ["public/"]);
+}
+
+async function testWorkerCommitAttribution() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    GITHUB_TOKEN: "fake-token",
+    COMMIT_MESSAGE_TEMPLATES: JSON.stringify({ create: "docs: add {path} via {tool}" }),
+    DOCSTORE_TOKENS: JSON.stringify([
+      { name: "gpt", token: "gpt-token", role: "write", authorEmails: ["@example.com"] }
+    ])
+  };
+
+  const puts = [];
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return { ok: false, status: 404, text: async () => JSON.stringify({ message: "Not Found" }) };
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      const body = JSON.parse(init.body);
+      puts.push(body);
+      return {
+        ok: true,
+        status: 201,
+        text: async () => JSON.stringify({
+          content: { path: "docs/a.md", name: "a.md", sha: "sha1" },
+          commit: {
+            sha: "commitsha",
+            message: body.message,
+            html_url: "https://github.com/owner/repo/commit/commitsha",
+            author: { ...body.author, date: "2025-03-01T10:00:00Z" },
+            committer: { name: "GitHub", email: "noreply@github.com", date: "2025-03-01T10:00:00Z" }
+          }
+        })
+      };
+    }
+    return { ok: false, status: 500, text: async () => JSON.stringify({ message: "Unexpected call in test" }) };
+  };
+
+  const put = (body) => worker.fetch(new Request("https://example.com/d/a.md", {
+    method: "PUT",
+    headers: {
+      "Authorization": "Bearer gpt-token",
+      "Content-Type": "application/json",
+      "X-Request-Id": "req-42"
+    },
+    body: JSON.stringify(body)
+  }), env);
+
+  let res = await put({ content: "x", author: { name: "Ada", email: "ada@example.com" }, tool: "outline-writer" });
+  assert.strictEqual(res.status, 200);
+  const json = await res.json();
+  assert.deepStrictEqual(puts[0].author, { name: "Ada", email: "ada@example.com" });
+  assert.strictEqual(puts[0].committer, undefined);
+  assert.strictEqual(
+    puts[0].message,
+    "docs: add docs/a.md via outline-writer\n\nDocstore-Client: gpt\nDocstore-Tool: outline-writer\nDocstore-Request-Id: req-42"
+  );
+  assert.deepStrictEqual(json.commit.author, { name: "Ada", email: "ada@example.com", date: "2025-03-01T10:00:00Z" });
+  assert.strictEqual(json.commit.committer.name, "GitHub");
+  assert.strictEqual(json.commit.url, "https://github.com/owner/repo/commit/commitsha");
+
+  res = await put({ content: "x", author: { name: "Eve", email: "eve@elsewhere.org" } });
+  assert.strictEqual(res.status, 403);
+  res = await put({ content: "x", committer: { name: "No email" } });
+  assert.strictEqual(res.status, 400);
+
+  // Line breaks in the tool or an author name would forge trailers
+  for (const body of [
+    { content: "x", tool: "x\nDocstore-Client: admin" },
+    { content: "x", tool: "x\rDocstore-Client: admin" },
+    { content: "x", author: { name: "Ada\n\nDocstore-Client: admin", email: "ada@example.com" } },
+    { content: "x", committer: { name: "Ada\u2028Docstore-Client: admin", email: "ada@example.com" } }
+  ]) {
+    res = await put(body);
+    assert.strictEqual(res.status, 400);
+    assert.match((await res.json()).error, /control characters/);
+  }
+  assert.strictEqual(puts.length, 1);
+}
+
+async function testWorkerBinaryAndLargeFiles() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+  const bigText = "# Big\n" + "línea\n".repeat(10);
+
+  const puts = [];
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+
+    if (init.method === "GET" && u.pathname.endsWith("/contents/docs%2Flogo.png")) {
+      return ok({ type: "file", name: "logo.png", path: "docs/logo.png", sha: "png-sha", size: png.length, encoding: "base64", content: png.toString("base64") });
+    }
+    if (init.method === "GET" && u.pathname.endsWith("/contents/docs%2Fbig.md")) {
+      // Over 1 MB: the contents API omits the content
+      return ok({ type: "file", name: "big.md", path: "docs/big.md", sha: "big-sha", size: 2000000, encoding: "none", content: "" });
+    }
+    if (init.method === "GET" && u.pathname === "/repos/owner/repo/git/blobs/big-sha") {
+      return ok({ sha: "big-sha", encoding: "base64", content: Buffer.from(bigText).toString("base64") });
+    }
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return { ok: false, status: 404, text: async () => JSON.stringify({ message: "Not Found" }) };
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      const body = JSON.parse(init.body);
+      puts.push(body);
+      return ok({ content: { path: "docs/new.png", name: "new.png", sha: "new-sha" }, commit: { sha: "c1", message: body.message } });
+    }
+    return { ok: false, status: 500, text: async () => JSON.stringify({ message: "Unexpected call in test" }) };
+  };
+
+  const call = (method, path, headers = {}, body) => worker.fetch(new Request(`https://example.com${path}`, {
+    method,
+    headers: { "Authorization": "Bearer api-token", ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+
+  let res = await call("GET", "/d/big.md");
+  assert.strictEqual(res.status, 200);
+  let json = await res.json();
+  assert.strictEqual(json.content, bigText);
+  assert.strictEqual(json.encoding, "utf-8");
+  assert.strictEqual(json.size, 2000000);
+
+  res = await call("GET", "/d/logo.png");
+  json = await res.json();
+  assert.strictEqual(json.encoding, "base64");
+  assert.strictEqual(json.contentType, "image/png");
+  assert.deepStrictEqual(Buffer.from(json.content, "base64"), png);
+
+  res = await call("GET", "/d/logo.png", { "Accept": "image/avif,image/*;q=0.8" });
+  assert.strictEqual(res.headers.get("Content-Type"), "image/png");
+  assert.deepStrictEqual(Buffer.from(await res.arrayBuffer()), png);
+
+  res = await call("PUT", "/d/new.png", { "Content-Type": "application/json" }, { content: png.toString("base64"), encoding: "base64" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(puts[0].content, png.toString("base64"));
+
+  res = await call("PUT", "/d/new.png", { "Content-Type": "application/json" }, { content: "not base64!", encoding: "base64" });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(puts.length, 1);
+}
+
+async function testWorkerRawContentNegotiation() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token"
+  };
+  const markdown = "# Canon\n\nStations…\n";
+
+  const puts = [];
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+    if (init.method === "GET" && u.pathname.endsWith("/contents/docs%2Fcanon.md")) {
+      return ok({ type: "file", name: "canon.md", path: "docs/canon.md", sha: "canon-sha", size: 20, encoding: "base64", content: Buffer.from(markdown).toString("base64") });
+    }
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return { ok: false, status: 404, text: async () => JSON.stringify({ message: "Not Found" }) };
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      const body = JSON.parse(init.body);
+      puts.push(body);
+      return ok({ content: { path: "docs/notes.md", name: "notes.md", sha: "notes-sha" }, commit: { sha: "c1", message: body.message } });
+    }
+    return { ok: false, status: 500, text: async () => JSON.stringify({ message: "Unexpected call in test" }) };
+  };
+
+  const call = (method, path, headers = {}, body) => worker.fetch(new Request(`https://example.com${path}`, {
+    method,
+    headers: { "Authorization": "Bearer api-token", ...headers },
+    body
+  }), env);
+
+  let res = await call("GET", "/d/canon.md", { "Accept": "text/markdown" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get("Content-Type"), "text/markdown; charset=utf-8");
+  assert.strictEqual(res.headers.get("ETag"), '"canon-sha"');
+  assert.strictEqual(res.headers.get("Vary"), "Accept");
+  assert.strictEqual(await res.text(), markdown);
+
+  res = await call("GET", "/d/canon.md?raw=1");
+  assert.strictEqual(await res.text(), markdown);
+
+  res = await call("GET", "/d/canon.md", { "Accept": "application/json, text/plain;q=0.5" });
+  assert.strictEqual(res.headers.get("Content-Type"), "application/json");
+  assert.strictEqual(res.headers.get("ETag"), '"canon-sha"');
+  assert.strictEqual(res.headers.get("Vary"), "Accept");
+  assert.strictEqual((await res.json()).content, markdown);
+
+  res = await call("GET", "/d/canon.md?raw=1", { "If-None-Match": 'W/"other", "canon-sha"' });
+  assert.strictEqual(res.status, 304);
+  assert.strictEqual(res.headers.get("Vary"), "Accept");
+  assert.strictEqual(await res.text(), "");
+
+  res = await call("PUT", "/d/notes.md?message=Add%20notes", { "Content-Type": "text/markdown" }, "# Notes\n");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get("ETag"), '"notes-sha"');
+  assert.strictEqual(Buffer.from(puts[0].content, "base64").toString("utf8"), "# Notes\n");
+  assert.strictEqual(puts[0].message, "Add notes");
+}
+
+// The Cache API is per data center, so its generation lives in KV where every data center sees it
+async function testReadCacheApiGeneration() {
+  const cached = new Map();
+  global.caches = {
+    default: {
+      match: async url => (cached.has(url) ? new Response(cached.get(url)) : undefined),
+      put: async (url, res) => { cached.set(url, await res.text()); },
+      delete: async url => cached.delete(url)
+    }
+  };
+  try {
+    const env = { GITHUB_OWNER: "owner", GITHUB_REPO: "repo" };
+    assert.strictEqual(readCacheStore(env), null);
+    assert.strictEqual(readCacheStore({ ...env, READ_CACHE: "cache" }), null);
+
+    const kv = createMemoryKV();
+    assert.ok(readCacheStore({ ...env, DOCSTORE_KV: kv }));
+    await invalidateReadCache({ ...env, DOCSTORE_KV: kv });
+    assert.ok(await kv.get("gh-gen:owner/repo"));
+    assert.strictEqual(cached.size, 0);
+  } finally {
+    delete global.caches;
+  }
+}
+
+async function testWorkerReadCache() {
+  // A separate owner keeps this test's entries apart in the shared per-isolate store
+  const env = {
+    GITHUB_OWNER: "cache-owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token",
+    READ_CACHE: "memory"
+  };
+
+  let version = 1;
+  const calls = [];
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    calls.push({ method: init.method, path: u.pathname, ifNoneMatch: init.headers["If-None-Match"] });
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      const etag = `"etag-${version}"`;
+      if (init.headers["If-None-Match"] === etag) {
+        return { ok: false, status: 304, headers: new Headers({ ETag: etag }), text: async () => "" };
+      }
+      return {
+        ok: true,
+        status: 200,
+        headers: new Headers({ ETag: etag }),
+        text: async () => JSON.stringify({
+          type: "file", name: "a.md", path: "docs/a.md", sha: `sha-${version}`, size: 2, encoding: "base64",
+          content: Buffer.from(`v${version}`).toString("base64")
+        })
+      };
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      version++;
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({ content: { path: "docs/a.md", name: "a.md", sha: `sha-${version}` }, commit: { sha: "c1", message: "m" } })
+      };
+    }
+    return { ok: false, status: 500, text: async () => JSON.stringify({ message: "Unexpected call in test" }) };
+  };
+
+  const call = (method, e = env, body) => worker.fetch(new Request("https://example.com/d/a.md", {
+    method,
+    headers: { "Authorization": "Bearer api-token", "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined
+  }), e);
+
+  let res = await call("GET");
+  assert.strictEqual(res.headers.get("X-Docstore-Cache"), "MISS");
+  assert.strictEqual((await res.json()).content, "v1");
+
+  res = await call("GET");
+  assert.strictEqual(res.headers.get("X-Docstore-Cache"), "HIT");
+  assert.strictEqual((await res.json()).content, "v1");
+  assert.strictEqual(calls.length, 1);
+
+  // Past the TTL the entry is revalidated with its ETag
+  res = await call("GET", { ...env, READ_CACHE_TTL: "0" });
+  assert.strictEqual(res.headers.get("X-Docstore-Cache"), "REVALIDATED");
+  assert.strictEqual(calls[1].ifNoneMatch, '"etag-1"');
+  assert.strictEqual((await res.json()).sha, "sha-1");
+
+  // Our own write drops the cached copy
+  res = await call("PUT", env, { content: "v2" });
+  assert.strictEqual(res.status, 200);
+  res = await call("GET");
+  assert.strictEqual(res.headers.get("X-Docstore-Cache"), "MISS");
+  assert.strictEqual((await res.json()).content, "v2");
+  assert.strictEqual(calls[calls.length - 1].ifNoneMatch, undefined);
+
+  // A failing cache store (e.g. KV's write rate limit) neither fails reads nor committed writes
+  const kv = createMemoryKV();
+  const failing = op => async (key, ...rest) => {
+    if (key.startsWith("gh")) {
+      throw new Error("KV PUT failed: 429 Too Many Requests");
+    }
+    return kv[op](key, ...rest);
+  };
+  const broken = { ...env, READ_CACHE: "kv", DOCSTORE_KV: { get: failing("get"), put: failing("put"), delete: failing("delete") } };
+  res = await call("GET", broken);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get("X-Docstore-Cache"), "MISS");
+  assert.strictEqual((await res.json()).content, "v2");
+  res = await call("PUT", broken, { content: "v3" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).commit.sha, "c1");
+}
+
+async function testGiteaBackendRefusesDotSegments() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCSTORE_BACKEND: "gitea",
+    GITEA_URL: "https://gitea.example.com",
+    GITEA_TOKEN: "gitea-token"
+  };
+  const urls = [];
+  global.fetch = async (url) => {
+    urls.push(url);
+    return { ok: true, status: 200, text: async () => JSON.stringify({ commit: { sha: "c1" } }) };
+  };
+
+  const backend = storageBackend(env);
+  for (const path of ["docs/drafts/../../secrets.md", "docs/./canon.md", "docs//canon.md"]) {
+    await assert.rejects(
+      backend.deleteContent(path, { message: "x", sha: "s1", branch: "main" }),
+      err => err.status === 400
+    );
+    await assert.rejects(backend.getContent(path, "main"), err => err.status === 400);
+  }
+  assert.strictEqual(urls.length, 0);
+
+  await backend.deleteContent("docs/a b.md", { message: "x", sha: "s1", branch: "main" });
+  assert.strictEqual(urls[0], "https://gitea.example.com/api/v1/repos/owner/repo/contents/docs/a%20b.md");
+}
+
+async function testGithubRetriesAndRateLimits() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token",
+    GITHUB_RETRY_BASE_MS: "1"
+  };
+  const file = (sha) => ({
+    ok: true,
+    status: 200,
+    headers: new Headers({ "X-RateLimit-Limit": "5000", "X-RateLimit-Remaining": "4321", "X-RateLimit-Used": "679", "X-RateLimit-Reset": "1900000000" }),
+    text: async () => JSON.stringify({ type: "file", name: "a.md", path: "docs/a.md", sha, size: 1, encoding: "base64", content: "eA==" })
+  });
+
+  // Transient 502, then secondary rate limit with Retry-After: 0, then success
+  let responses = [
+    { ok: false, status: 502, text: async () => "Bad Gateway" },
+    { ok: false, status: 403, headers: new Headers({ "Retry-After": "0" }), text: async () => JSON.stringify({ message: "You have exceeded a secondary rate limit" }) },
+    file("sha-1")
+  ];
+  let calls = 0;
+  global.fetch = async () => {
+    calls++;
+    return responses.shift();
+  };
+  const get = (path) => worker.fetch(new Request(`https://example.com${path}`, {
+    headers: { "Authorization": "Bearer api-token" }
+  }), env);
+
+  let res = await get("/d/a.md");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(calls, 3);
+
+  res = await worker.fetch(new Request("https://example.com/health"), env);
+  const health = await res.json();
+  assert.strictEqual(health.github.rateLimit.remaining, 4321);
+  assert.strictEqual(health.github.rateLimit.reset, "2030-03-17T17:46:40.000Z");
+
+  // Primary limit exhausted until a reset far away: no retry, 429 with Retry-After
+  const reset = Math.floor(Date.now() / 1000) + 600;
+  responses = [{
+    ok: false,
+    status: 403,
+    headers: new Headers({ "X-RateLimit-Limit": "5000", "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": String(reset) }),
+    text: async () => JSON.stringify({ message: "API rate limit exceeded" })
+  }];
+  calls = 0;
+  res = await get("/d/a.md");
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(calls, 1);
+  let json = await res.json();
+  assert.strictEqual(json.code, "rate_limited");
+  assert.ok(Number(res.headers.get("Retry-After")) > 590);
+
+  // GitHub keeps failing: upstream_unavailable after the retries run out
+  global.fetch = async () => {
+    calls++;
+    return { ok: false, status: 503, text: async () => "Service Unavailable" };
+  };
+  calls = 0;
+  res = await get("/d/a.md");
+  assert.strictEqual(res.status, 503);
+  assert.strictEqual(calls, 4);
+  json = await res.json();
+  assert.strictEqual(json.code, "upstream_unavailable");
+
+  // A write answered with a 5xx may have been committed, so it is not replayed
+  const notFound = { ok: false, status: 404, text: async () => JSON.stringify({ message: "Not Found" }) };
+  const written = { ok: true, status: 201, text: async () => JSON.stringify({ content: { path: "docs/b.md", name: "b.md", sha: "sha-b" }, commit: { sha: "c1" } }) };
+  const methods = [];
+  global.fetch = async (url, init) => {
+    methods.push(init.method);
+    return responses.shift();
+  };
+  const put = () => worker.fetch(new Request("https://example.com/d/b.md", {
+    method: "PUT",
+    headers: { "Authorization": "Bearer api-token", "Content-Type": "application/json" },
+    body: JSON.stringify({ content: "b" })
+  }), env);
+  responses = [notFound, { ok: false, status: 502, text: async () => "Bad Gateway" }];
+  res = await put();
+  assert.strictEqual(res.status, 502);
+  assert.deepStrictEqual(methods, ["GET", "PUT"]);
+
+  // Writes GitHub certainly refused are retried: a rate limit with Retry-After, a network error
+  methods.length = 0;
+  responses = [
+    notFound,
+    { ok: false, status: 403, headers: new Headers({ "Retry-After": "0" }), text: async () => JSON.stringify({ message: "You have exceeded a secondary rate limit" }) },
+    written
+  ];
+  res = await put();
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(methods, ["GET", "PUT", "PUT"]);
+
+  methods.length = 0;
+  responses = [notFound, null, written];
+  global.fetch = async (url, init) => {
+    methods.push(init.method);
+    const next = responses.shift();
+    if (!next) {
+      throw new Error("connection reset");
+    }
+    return next;
+  };
+  res = await put();
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(methods, ["GET", "PUT", "PUT"]);
+}
+
+async function testPutFileRetriesAfterShaRace() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    GITHUB_TOKEN: "fake-token"
+  };
+  let currentSha = "sha-1";
+  const putShas = [];
+  global.fetch = async (url, init) => {
+    if (init.method === "GET") {
+      return {
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({ type: "file", name: "a.md", path: "docs/a.md", sha: currentSha, encoding: "base64", content: "eA==" })
+      };
+    }
+    const body = JSON.parse(init.body);
+    putShas.push(body.sha);
+    if (putShas.length === 1) {
+      // Someone else wrote between our read and our write
+      currentSha = "sha-2";
+      return { ok: false, status: 409, text: async () => JSON.stringify({ message: "docs/a.md does not match sha-1" }) };
+    }
+    return {
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify({ content: { path: "docs/a.md", name: "a.md", sha: "sha-3" }, commit: { sha: "c", message: "m" } })
+    };
+  };
+
+  const result = await putFile(env, "a.md", "new", "Overwrite");
+  assert.strictEqual(result.content.sha, "sha-3");
+  assert.deepStrictEqual(putShas, ["sha-1", "sha-2"]);
+
+  // With an expected sha the race is reported instead
+  currentSha = "sha-1";
+  putShas.length = 0;
+  await assert.rejects(
+    putFile(env, "a.md", "new", "Overwrite", { expectedSha: "sha-1" }),
+    err => err.status === 409 && err.code === "conflict" && err.details.currentSha === "sha-2"
+  );
+  assert.strictEqual(putShas.length, 1);
+}
+
+async function testWorkerFrontMatter() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token",
+    DOCSTORE_KV: createMemoryKV()
+  };
+  const blobs = {
+    "sha-canon": "---\nstatus: canon\ntags: [ftl, ships]\nowner: ada\n---\n# Canon\n",
+    "sha-draft": "---\nstatus: draft\ntags:\n  - ftl\n---\n# Draft\n",
+    "sha-plain": "# No metadata\n"
+  };
+
+  const puts = [];
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+    if (u.pathname === "/repos/owner/repo/commits/main") {
+      return ok({ sha: "c1", commit: { tree: { sha: "root-c1" } } });
+    }
+    if (u.pathname === "/repos/owner/repo/git/trees/root-c1") {
+      return ok({ tree: [{ path: "docs", type: "tree", sha: "docs-c1" }] });
+    }
+    if (u.pathname === "/repos/owner/repo/git/trees/docs-c1") {
+      return ok({
+        tree: [
+          { path: "ftl", type: "tree", sha: "t-ftl" },
+          { path: "ftl/canon.md", type: "blob", sha: "sha-canon", size: 50, mode: "100644" },
+          { path: "ftl/draft.md", type: "blob", sha: "sha-draft", size: 40, mode: "100644" },
+          { path: "ftl/plain.md", type: "blob", sha: "sha-plain", size: 14, mode: "100644" }
+        ]
+      });
+    }
+    const blobMatch = u.pathname.match(/\/git\/blobs\/(.+)$/);
+    if (blobMatch) {
+      return ok({ sha: blobMatch[1], encoding: "base64", content: toBase64(blobs[blobMatch[1]]) });
+    }
+    if (init.method === "GET" && u.pathname.endsWith("/contents/docs%2Fftl%2Fcanon.md")) {
+      return ok({ type: "file", name: "canon.md", path: "docs/ftl/canon.md", sha: "sha-canon", size: 50, encoding: "base64", content: toBase64(blobs["sha-canon"]) });
+    }
+    if (init.method === "GET" && u.pathname.endsWith("/contents/docs%2Fftl")) {
+      return ok(["canon.md", "draft.md", "plain.md"].map(name => ({
+        type: "file", name, path: `docs/ftl/${name}`, sha: `sha-${name.replace(".md", "")}`, size: 10
+      })));
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      const body = JSON.parse(init.body);
+      puts.push(body);
+      return ok({ content: { path: "docs/ftl/canon.md", name: "canon.md", sha: "sha-new" }, commit: { sha: "c2", message: body.message } });
+    }
+    return { ok: false, status: 500, text: async () => JSON.stringify({ message: "Unexpected call in test" }) };
+  };
+
+  const call = async (method, path, body) => {
+    const res = await worker.fetch(new Request(`https://example.com${path}`, {
+      method,
+      headers: { "Authorization": "Bearer api-token", "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined
+    }), env);
+    return { status: res.status, body: await res.json() };
+  };
+
+  let res = await call("GET", "/d/ftl/canon.md?frontMatter=true");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.frontMatter, { status: "canon", tags: ["ftl", "ships"], owner: "ada" });
+  assert.strictEqual(res.body.body, "# Canon\n");
+  assert.strictEqual(res.body.content, blobs["sha-canon"]);
+
+  res = await call("GET", "/query?tag=ftl&status=draft");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.results, [
+    { path: "ftl/draft.md", sha: "sha-draft", metadata: { status: "draft", tags: ["ftl"] } }
+  ]);
+  res = await call("GET", "/query?tag=ftl,ships&fields=owner");
+  assert.deepStrictEqual(res.body.results, [{ path: "ftl/canon.md", sha: "sha-canon", metadata: { owner: "ada" } }]);
+  assert.strictEqual(res.body.total, 1);
+
+  res = await call("GET", "/d/ftl/?fields=status");
+  assert.deepStrictEqual(res.body.items.map(i => i.metadata), [{ status: "canon" }, { status: "draft" }, {}]);
+  res = await call("GET", "/d/ftl/?recursive=true&fields=tags");
+  assert.deepStrictEqual(res.body.items.find(i => i.path === "ftl/canon.md").metadata, { tags: ["ftl", "ships"] });
+
+  // Metadata-only PUT rewrites the status line and nothing else, against the sha it read
+  res = await call("PUT", "/d/ftl/canon.md", { frontMatter: { status: "retired", owner: null } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(puts[0].sha, "sha-canon");
+  assert.strictEqual(fromBase64(puts[0].content), "---\nstatus: retired\ntags: [ftl, ships]\n---\n# Canon\n");
+
+  res = await call("PUT", "/d/ftl/canon.md", { frontMatter: { status: "canon" } });
+  assert.strictEqual(res.body.changed, false);
+  assert.strictEqual(puts.length, 1);
+
+  res = await call("PUT", "/d/ftl/canon.md", { frontMatter: ["status"] });
+  assert.strictEqual(res.status, 400);
+}
+
+async function testWorkerValidationRules() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    GITHUB_TOKEN: "fake-token",
+    VALIDATION_RULES: JSON.stringify({ extensions: ["md"], requiredFrontMatter: { "ftl/": ["status"] } })
+  };
+  const call = (method, path, body) => worker.fetch(new Request(`https://example.com${path}`, {
+    method,
+    headers: { "Authorization": "Bearer api-token", "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  }), env);
+
+  const calls = [];
+  stubGitDataApi({ "ftl/canon.md": "sha-canon" }, calls);
+
+  let res = await call("PUT", "/d/ftl/notes.txt", { content: "# Notes\n" });
+  assert.strictEqual(res.status, 422);
+  let json = await res.json();
+  assert.strictEqual(json.code, "validation_failed");
+  assert.deepStrictEqual(json.violations.map(v => [v.path, v.rule]), [["ftl/notes.txt", "extension"]]);
+
+  res = await call("PUT", "/d/ftl/notes.md", { content: "# Notes\n" });
+  assert.strictEqual(res.status, 422);
+  json = await res.json();
+  assert.strictEqual(json.violations[0].rule, "required_front_matter");
+
+  // Every violation in a batch is reported, with the index of its operation
+  res = await call("POST", "/batch", {
+    operations: [
+      { op: "put", path: "ftl/ok.md", content: "---\nstatus: draft\n---\n" },
+      { op: "put", path: "ftl/new.md", content: "# New\n" },
+      { op: "move", from: "ftl/canon.md", to: "ftl/canon.txt" }
+    ]
+  });
+  assert.strictEqual(res.status, 422);
+  json = await res.json();
+  assert.deepStrictEqual(json.violations.map(v => [v.opIndex, v.rule]), [[1, "required_front_matter"], [2, "extension"]]);
+
+  // Dot segments are refused before validation even runs
+  res = await call("POST", "/copy", { from: "ftl/canon.md", to: "ftl/../canon.md" });
+  assert.strictEqual(res.status, 400);
+  assert.ok(!calls.some(c => c.method !== "GET"), "Expected no writes when validation fails");
+}
+
+async function testWorkerWebhooks() {
+  const env = {
+    GITHUB_OWNER: "webhook-owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_TOKENS: JSON.stringify([{ name: "gpt", token: "gpt-token", role: "write" }]),
+    GITHUB_TOKEN: "fake-token",
+    GITHUB_WEBHOOK_SECRET: "github-secret",
+    READ_CACHE: "memory",
+    WEBHOOK_RETRY_BASE_MS: "1",
+    WEBHOOKS: JSON.stringify([
+      { url: "https://hooks.example.com/site", secret: "site-secret", paths: ["ftl/"] },
+      { url: "https://hooks.example.com/chat", events: ["delete"] }
+    ])
+  };
+
+  const deliveries = [];
+  let siteFailures = 1;
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+    if (u.hostname === "hooks.example.com") {
+      deliveries.push({ url, headers: init.headers, body: init.body });
+      if (u.pathname === "/site" && siteFailures-- > 0) {
+        return { ok: false, status: 503, text: async () => "" };
+      }
+      return { ok: true, status: 204, text: async () => "" };
+    }
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return ok({ type: "file", name: "canon.md", path: "docs/ftl/canon.md", sha: "old-sha", size: 4, encoding: "base64", content: toBase64("old\n") });
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      return ok({ content: { path: "docs/ftl/canon.md", name: "canon.md", sha: "new-sha" }, commit: { sha: "commit-sha" } });
+    }
+    return { ok: false, status: 500, text: async () => JSON.stringify({ message: "Unexpected call in test" }) };
+  };
+
+  const pending = [];
+  const ctx = { waitUntil: (promise) => pending.push(promise) };
+  const res = await worker.fetch(new Request("https://example.com/d/ftl/canon.md", {
+    method: "PUT",
+    headers: { "Authorization": "Bearer gpt-token", "Content-Type": "application/json", "X-Request-Id": "req-1" },
+    body: JSON.stringify({ content: "new\n" })
+  }), env, ctx);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(pending.length, 1);
+  await Promise.all(pending);
+
+  // Only the site hook wants puts; its first attempt failed and was retried
+  assert.strictEqual(deliveries.length, 2);
+  assert.ok(deliveries.every(d => d.url === "https://hooks.example.com/site"));
+  const delivered = deliveries[1];
+  const expected = "sha256=" + createHmac("sha256", "site-secret").update(delivered.body).digest("hex");
+  assert.strictEqual(delivered.headers["X-Docstore-Signature-256"], expected);
+  const payload = JSON.parse(delivered.body);
+  assert.strictEqual(payload.event, "docs.changed");
+  assert.strictEqual(payload.branch, "main");
+  assert.strictEqual(payload.client, "gpt");
+  assert.strictEqual(payload.requestId, "req-1");
+  assert.deepStrictEqual(payload.changes, [
+    { operation: "put", path: "ftl/canon.md", oldSha: "old-sha", newSha: "new-sha", commitSha: "commit-sha" }
+  ]);
+
+  // Inbound GitHub push: signature checked, then cached reads are dropped
+  const read = () => worker.fetch(new Request("https://example.com/d/ftl/canon.md", {
+    headers: { "Authorization": "Bearer gpt-token" }
+  }), env);
+  await read();
+  assert.strictEqual((await read()).headers.get("X-Docstore-Cache"), "HIT");
+
+  const push = JSON.stringify({ ref: "refs/heads/main" });
+  const hook = (signature) => worker.fetch(new Request("https://example.com/webhooks/github", {
+    method: "POST",
+    headers: { "X-GitHub-Event": "push", "X-Hub-Signature-256": signature, "Content-Type": "application/json" },
+    body: push
+  }), env);
+  let hookRes = await hook("sha256=" + createHmac("sha256", "wrong").update(push).digest("hex"));
+  assert.strictEqual(hookRes.status, 401);
+  assert.strictEqual((await read()).headers.get("X-Docstore-Cache"), "HIT");
+
+  hookRes = await hook("sha256=" + createHmac("sha256", "github-secret").update(push).digest("hex"));
+  assert.strictEqual(hookRes.status, 200);
+  assert.deepStrictEqual(await hookRes.json(), { status: "ok", event: "push", ref: "refs/heads/main", invalidated: true });
+  assert.strictEqual((await read()).headers.get("X-Docstore-Cache"), "MISS");
+}
+
+async function testWorkerAuditLog() {
+  const env = {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_TOKENS: JSON.stringify([
+      { name: "gpt", token: "gpt-token", role: "write" },
+      { name: "ops", token: "ops-token", role: "admin" }
+    ]),
+    GITHUB_TOKEN: "fake-token",
+    AUDIT_SINK: kvAuditSink(createMemoryKV())
+  };
+
+  global.fetch = async (url, init) => {
+    const u = new URL(url);
+    const ok = (obj) => ({ ok: true, status: 200, text: async () => JSON.stringify(obj) });
+    if (init.method === "GET" && u.pathname.endsWith("/contents/docs%2Fftl%2Fcanon.md")) {
+      return ok({ type: "file", name: "canon.md", path: "docs/ftl/canon.md", sha: "old-sha", size: 4, encoding: "base64", content: toBase64("old\n") });
+    }
+    if (init.method === "GET" && u.pathname.includes("/contents/")) {
+      return { ok: false, status: 404, text: async () => JSON.stringify({ message: "Not Found" }) };
+    }
+    if (init.method === "PUT" && u.pathname.includes("/contents/")) {
+      return ok({ content: { path: "docs/ftl/canon.md", name: "canon.md", sha: "new-sha" }, commit: { sha: "commit-sha" } });
+    }
+    return { ok: false, status: 500, text: async () => JSON.stringify({ message: "Unexpected call in test" }) };
+  };
+
+  const pending = [];
+  const ctx = { waitUntil: (promise) => pending.push(promise) };
+  const call = async (token, method, path, body) => {
+    const res = await worker.fetch(new Request(`https://example.com${path}`, {
+      method,
+      headers: { "Authorization": `Bearer ${token}`, "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined
+    }), env, ctx);
+    await Promise.all(pending);
+    return res;
+  };
+
+  await call("gpt-token", "GET", "/d/ftl/canon.md");
+  await call("gpt-token", "GET", "/d/ftl/missing.md");
+  await call("gpt-token", "PUT", "/d/ftl/canon.md", { content: "new\n" });
+  await call("nobody", "GET", "/d/ftl/canon.md");
+
+  let res = await call("gpt-token", "GET", "/audit");
+  assert.strictEqual(res.status, 403);
+
+  res = await call("ops-token", "GET", "/audit?client=gpt");
+  assert.strictEqual(res.status, 200);
+  let json = await res.json();
+  // Newest first; the request with an unknown token is not logged
+  assert.deepStrictEqual(json.entries.map(e => [e.method, e.endpoint, e.path, e.status]), [
+    ["GET", "/audit", null, 403],
+    ["PUT", "/d/ftl/canon.md", "ftl/canon.md", 200],
+    ["GET", "/d/ftl/missing.md", "ftl/missing.md", 404],
+    ["GET", "/d/ftl/canon.md", "ftl/canon.md", 200]
+  ]);
+  const put = json.entries[1];
+  assert.strictEqual(put.commitSha, "commit-sha");
+  assert.deepStrictEqual(put.changedPaths, ["ftl/canon.md"]);
+  assert.strictEqual(put.endpoint, "/d/ftl/canon.md");
+  assert.ok(put.latencyMs >= 0 && !Number.isNaN(Date.parse(put.timestamp)));
+
+  res = await call("ops-token", "GET", "/audit?path=ftl/missing.md");
+  json = await res.json();
+  assert.deepStrictEqual(json.entries.map(e => e.path), ["ftl/missing.md"]);
+
+  res = await call("ops-token", "GET", `/audit?since=${encodeURIComponent(new Date(Date.now() + 60000).toISOString())}`);
+  assert.strictEqual((await res.json()).count, 0);
+  res = await call("ops-token", "GET", "/audit?since=yesterday");
+  assert.strictEqual(res.status, 400);
+}
+
+async function testD1AuditSinkQuery() {
+  const statements = [];
+  const db = {
+    prepare(sql) {
+      const statement = { sql, params: [] };
+      statements.push(statement);
+      return {
+        bind(...params) {
+          statement.params = params;
+          return this;
+        },
+        run: async () => ({}),
+        all: async () => ({ results: [{ entry: JSON.stringify({ id: "a", path: "ftl/canon.md" }) }] })
+      };
+    }
+  };
+  const sink = d1AuditSink(db);
+
+  const entries = await sink.query({ path: "ftl/", client: "gpt", until: "2026-10-19T00:00:00.000Z", limit: 50 });
+  assert.deepStrictEqual(entries, [{ id: "a", path: "ftl/canon.md" }]);
+  const select = statements.find(s => s.sql.startsWith("SELECT"));
+  // Filters, the page cursor and the limit all run in SQL
+  assert.match(select.sql, /client = \? AND timestamp < \? AND \(\(path = \? OR/);
+  assert.match(select.sql, /json_each\(entry, '\$\.changedPaths'\)/);
+  assert.match(select.sql, /ORDER BY timestamp DESC, id DESC LIMIT \?$/);
+  assert.deepStrictEqual(select.params, [
+    "gpt", "2026-10-19T00:00:00.000Z", "ftl", "ftl/", "ftl0", "ftl", "ftl/", "ftl0", 50
+  ]);
+
+  statements.length = 0;
+  await sink.query({ limit: 10 });
+  assert.deepStrictEqual(statements.map(s => [s.sql, s.params]), [
+    ["SELECT entry FROM audit_log ORDER BY timestamp DESC, id DESC LIMIT ?", [10]]
+  ]);
+}
+
 async function run() {
   try {
     await testBase64UnicodeRoundTrip();
@@ -302,6 +2365,103 @@ async function run() {
     await testEchoHandlesDelete();
     console.log("✓ echo DELETE method tests passed");
 
+    await testParseEtagHeader();
+    console.log("✓ parseEtagHeader tests passed");
+
+    await testWorkerPutStaleShaReturnsConflict();
+    console.log("✓ worker PUT conflict tests passed");
+
+    await testWorkerPutIfMatchSendsSha();
+    console.log("✓ worker PUT If-Match tests passed");
+
+    await testWorkerPatchAppliesEdits();
+    console.log("✓ worker PATCH edit tests passed");
+
+    await testGitBlobSha();
+    console.log("✓ gitBlobSha tests passed");
+
+    await testWorkerBatchCommitsOnce();
+    console.log("✓ worker POST /batch commit tests passed");
+
+    await testWorkerBatchFailsCleanly();
+    console.log("✓ worker POST /batch failure tests passed");
+
+    await testWorkerMoveDirectory();
+    console.log("✓ worker POST /move directory tests passed");
+
+    await testWorkerCopyRefusesOverwrite();
+    console.log("✓ worker POST /copy tests passed");
+
+    await testWorkerHistoryAndRefReads();
+    console.log("✓ worker history and ref read tests passed");
+
+    await testWorkerDiffDefaultsToPreviousCommit();
+    console.log("✓ worker diff tests passed");
+
+    await testWorkerRestoreDeletedDocument();
+    console.log("✓ worker POST /restore deleted document tests passed");
+
+    await testWorkerRestoreDirectory();
+    console.log("✓ worker POST /restore directory tests passed");
+
+    await testDraftBranchName();
+    console.log("✓ draftBranchName tests passed");
+
+    await testWorkerPutToDraftBranch();
+    console.log("✓ worker draft branch tests passed");
+
+    await testWorkerSearchUsesMaintainedIndex();
+    console.log("✓ worker search tests passed");
+
+    await testGlobToRegExp();
+    console.log("✓ globToRegExp tests passed");
+
+    await testWorkerRecursiveTreeListing();
+    console.log("✓ worker recursive tree listing tests passed");
+
+    await testCheckPermission();
+    console.log("✓ checkPermission tests passed");
+
+    await testWorkerScopedTokens();
+    console.log("✓ worker scoped token tests passed");
+
+    await testWorkerCommitAttribution();
+    console.log("✓ worker commit attribution tests passed");
+
+    await testWorkerBinaryAndLargeFiles();
+    console.log("✓ worker binary and large file tests passed");
+
+    await testWorkerRawContentNegotiation();
+    console.log("✓ worker raw content negotiation tests passed");
+
+    await testWorkerReadCache();
+    await testReadCacheApiGeneration();
+    console.log("✓ worker read cache tests passed");
+
+    await testGithubRetriesAndRateLimits();
+    console.log("✓ GitHub retry and rate limit tests passed");
+
+    await testPutFileRetriesAfterShaRace();
+    console.log("✓ putFile conflict retry tests passed");
+
+    await testWorkerFrontMatter();
+    console.log("✓ worker front matter tests passed");
+
+    await testWorkerValidationRules();
+    console.log("✓ worker validation rule tests passed");
+
+    await testWorkerWebhooks();
+    console.log("✓ worker webhook tests passed");
+
+    await testWorkerAuditLog();
+    console.log("✓ worker audit log tests passed");
+
+    await testD1AuditSinkQuery();
+    console.log("✓ D1 audit sink tests passed");
+
+    await testGiteaBackendRefusesDotSegments();
+    console.log("✓ Gitea backend path tests passed");
+
     console.log("All tests passed");
     process.exit(0);
   } catch (err) {
@@ -0,0 +1,575 @@
+import assert from "assert";
+import worker, { gitBlobSha } from "../src/worker.js";
+import { createMemoryStore } from "../src/memory-store.js";
+
+// These tests run the Worker end-to-end against the in-memory storage backend, so nothing
+// here stubs fetch or builds GitHub responses.
+
+function memoryEnv(files = {}) {
+  return {
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    GITHUB_BRANCH: "main",
+    DOCS_BASE_DIR: "docs",
+    DOCSTORE_API_TOKEN: "api-token",
+    DOCSTORE_BACKEND: "memory",
+    DOCSTORE_STORE: createMemoryStore({ files })
+  };
+}
+
+async function call(env, method, path, body, token = "api-token") {
+  const init = { method, headers: { "Authorization": `Bearer ${token}` } };
+  if (body !== undefined) {
+    init.headers["Content-Type"] = "application/json";
+    init.body = JSON.stringify(body);
+  }
+  const res = await worker.fetch(new Request(`https://example.com${path}`, init), env);
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    json = text;
+  }
+  return { status: res.status, json };
+}
+
+async function testMemoryStoreGitObjects() {
+  const store = createMemoryStore({ files: { "docs/a.md": "# A\n", "docs/sub/b.md": "B" } });
+  const file = await store.getContent("docs/a.md", "main");
+  assert.strictEqual(file.sha, await gitBlobSha("# A\n"));
+  assert.strictEqual(Buffer.from(file.content, "base64").toString("utf8"), "# A\n");
+
+  const listing = await store.getContent("docs", "main");
+  assert.deepStrictEqual(listing.map(e => [e.type, e.path]), [["file", "docs/a.md"], ["dir", "docs/sub"]]);
+  await assert.rejects(store.getContent("docs/missing.md", "main"), err => err.status === 404);
+
+  const head = await store.getCommit("main");
+  const tree = await store.getTree(head.treeSha, { recursive: true });
+  assert.deepStrictEqual(tree.tree.map(e => e.path), ["docs", "docs/a.md", "docs/sub", "docs/sub/b.md"]);
+
+  // Writes must name the current sha of an existing file, like the contents API
+  await assert.rejects(
+    store.putContent("docs/a.md", Buffer.from("x").toString("base64"), { message: "m", branch: "main" }),
+    err => err.status === 422 && /sha/.test(err.message)
+  );
+  await assert.rejects(
+    store.putContent("docs/a.md", Buffer.from("x").toString("base64"), { message: "m", branch: "main", sha: "stale" }),
+    err => err.status === 409
+  );
+
+  // Multi-file commits only fast-forward
+  await assert.rejects(
+    store.commitChanges({ branch: "main", parentSha: "not-head", changes: [], message: "m" }),
+    err => err.status === 409 && err.code === "conflict"
+  );
+}
+
+async function testWorkerEndToEnd() {
+  const env = memoryEnv({ "docs/ftl/canon.md": "# Canon\n\n## Stations\n- Alpha\n" });
+
+  let res = await call(env, "GET", "/d/ftl/canon.md");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.content, "# Canon\n\n## Stations\n- Alpha\n");
+  const originalSha = res.json.sha;
+
+  res = await call(env, "PATCH", "/d/ftl/canon.md", {
+    edits: [{ op: "append_to_section", heading: "## Stations", content: "- Beta" }],
+    message: "Add Beta"
+  });
+  assert.strictEqual(res.status, 200);
+  assert.notStrictEqual(res.json.sha, originalSha);
+
+  res = await call(env, "PUT", "/d/ftl/notes.md", { content: "Notes\n" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.sha, await gitBlobSha("Notes\n"));
+
+  // Stale writes are rejected with the current state
+  res = await call(env, "PUT", "/d/ftl/canon.md", { content: "x", sha: originalSha });
+  assert.strictEqual(res.status, 409);
+  assert.ok(res.json.currentContent.includes("- Beta"));
+
+  res = await call(env, "GET", "/d/ftl/");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.json.items.map(item => item.path).sort(), ["ftl/canon.md", "ftl/notes.md"]);
+
+  res = await call(env, "GET", "/history/ftl/canon.md");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.json.commits.map(c => c.message.split("\n")[0]), ["Add Beta", "Initial commit"]);
+
+  res = await call(env, "GET", "/diff/ftl/canon.md");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.additions, 1);
+  assert.ok(res.json.diff.includes("+- Beta"));
+
+  res = await call(env, "POST", "/batch", {
+    message: "Reorganize",
+    operations: [
+      { op: "create", path: "ftl/stations.md", content: "# Stations\n" },
+      { op: "move", from: "ftl/notes.md", to: "ftl/archive/notes.md" }
+    ]
+  });
+  assert.strictEqual(res.status, 200);
+
+  res = await call(env, "POST", "/move", { from: "ftl/archive/", to: "old/" });
+  assert.strictEqual(res.status, 200);
+  res = await call(env, "GET", "/d/old/notes.md");
+  assert.strictEqual(res.json.content, "Notes\n");
+  res = await call(env, "GET", "/d/ftl/notes.md");
+  assert.strictEqual(res.status, 404);
+
+  res = await call(env, "GET", "/search?q=beta");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.json.results.map(r => r.path), ["ftl/canon.md"]);
+
+  res = await call(env, "DELETE", "/d/ftl/stations.md", {});
+  assert.strictEqual(res.status, 200);
+  res = await call(env, "POST", "/restore", { path: "ftl/stations.md" });
+  assert.strictEqual(res.status, 200);
+  res = await call(env, "GET", "/d/ftl/stations.md");
+  assert.strictEqual(res.json.content, "# Stations\n");
+}
+
+async function testWorkerDraftsWithoutPullRequests() {
+  const env = memoryEnv({ "docs/a.md": "A\n" });
+
+  let res = await call(env, "PUT", "/d/a.md?branch=edit", { content: "A draft\n" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.branch, "drafts/edit");
+
+  res = await call(env, "GET", "/d/a.md");
+  assert.strictEqual(res.json.content, "A\n");
+  res = await call(env, "GET", "/d/a.md?ref=drafts/edit");
+  assert.strictEqual(res.json.content, "A draft\n");
+
+  res = await call(env, "GET", "/drafts");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.json.drafts.map(d => [d.name, d.pullRequest]), [["edit", null]]);
+
+  res = await call(env, "POST", "/drafts/edit/pull", { title: "Edit" });
+  assert.strictEqual(res.status, 501);
+  assert.strictEqual(res.json.code, "not_supported");
+
+  res = await call(env, "GET", "/health");
+  assert.deepStrictEqual(res.json, { status: "ok", backend: "memory" });
+
+  // A draft branch is only created once the token may write the paths involved
+  const scoped = {
+    ...env,
+    DOCSTORE_TOKENS: JSON.stringify([{ name: "gpt", token: "gpt-token", role: "write", paths: ["notes/"] }])
+  };
+  for (const [method, path, body] of [
+    ["PUT", "/d/a.md?branch=denied", { content: "A\n" }],
+    ["POST", "/delete?branch=denied", { path: "a.md" }],
+    ["POST", "/move?branch=denied", { from: "a.md", to: "notes/a.md" }],
+    ["POST", "/batch?branch=denied", { operations: [{ op: "delete", path: "a.md" }] }],
+    ["POST", "/restore?branch=denied", { path: "a.md" }]
+  ]) {
+    res = await call(scoped, method, path, body, "gpt-token");
+    assert.strictEqual(res.status, 403);
+  }
+  res = await call(env, "GET", "/drafts");
+  assert.deepStrictEqual(res.json.drafts.map(d => d.name), ["edit"]);
+  res = await call(scoped, "PUT", "/d/notes/b.md?branch=allowed", { content: "B\n" }, "gpt-token");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.branch, "drafts/allowed");
+}
+
+async function testWorkerNamedStores() {
+  const env = {
+    ...memoryEnv({ "docs/a.md": "Default store\n" }),
+    DOCSTORE_TOKENS: JSON.stringify([
+      { name: "gpt", token: "gpt-token", role: "write" },
+      { name: "reader", token: "reader-token", role: "read" }
+    ]),
+    STORES: JSON.stringify({
+      canon: { repo: "ftl-canon", baseDir: "canon", tokens: ["gpt"], description: "FTL canon" },
+      course: { repo: "course-outline", branch: "trunk" }
+    })
+  };
+
+  let res = await call(env, "PUT", "/s/canon/d/ships.md", { content: "# Ships\n" }, "gpt-token");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.path, "ships.md");
+  res = await call(env, "GET", "/s/canon/d/ships.md", undefined, "gpt-token");
+  assert.strictEqual(res.json.content, "# Ships\n");
+  res = await call(env, "GET", "/s/canon/history/ships.md", undefined, "gpt-token");
+  assert.strictEqual(res.json.commits.length, 1);
+
+  // Each store is its own repository; unprefixed routes keep serving the default store
+  res = await call(env, "GET", "/d/ships.md");
+  assert.strictEqual(res.status, 404);
+  res = await call(env, "GET", "/d/a.md", undefined, "reader-token");
+  assert.strictEqual(res.json.content, "Default store\n");
+  res = await call(env, "PUT", "/s/course/d/week1.md", { content: "Week 1\n" });
+  assert.strictEqual(res.status, 200);
+  res = await call(env, "GET", "/s/course/d/week1.md?ref=trunk", undefined, "reader-token");
+  assert.strictEqual(res.json.content, "Week 1\n");
+
+  res = await call(env, "GET", "/s/canon/d/ships.md", undefined, "reader-token");
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.json.code, "forbidden");
+  res = await call(env, "GET", "/s/missing/d/ships.md");
+  assert.strictEqual(res.status, 404);
+
+  res = await call(env, "GET", "/stores", undefined, "reader-token");
+  assert.deepStrictEqual(res.json.stores.map(s => s.name), ["default", "course"]);
+  res = await call(env, "GET", "/stores", undefined, "gpt-token");
+  assert.deepStrictEqual(res.json.stores[1], {
+    name: "canon",
+    repository: "owner/ftl-canon",
+    branch: "main",
+    baseDir: "canon",
+    backend: "memory",
+    default: false,
+    description: "FTL canon"
+  });
+}
+
+async function testWorkerMcp() {
+  const env = {
+    ...memoryEnv({ "docs/ftl/canon.md": "# Canon\n" }),
+    DOCSTORE_TOKENS: JSON.stringify([{ name: "reader", token: "reader-token", role: "read" }])
+  };
+  await call(env, "PUT", "/d/logo.png", { content: "iVBORw0KGgo=", encoding: "base64" });
+  let nextId = 1;
+  const rpc = (method, params, token) =>
+    call(env, "POST", "/mcp", { jsonrpc: "2.0", id: nextId++, method, params }, token).then(res => res.json);
+
+  let res = await rpc("initialize", { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "test", version: "1" } });
+  assert.strictEqual(res.result.protocolVersion, "2025-03-26");
+  assert.deepStrictEqual(res.result.capabilities, { tools: {}, resources: {} });
+
+  const notified = await call(env, "POST", "/mcp", { jsonrpc: "2.0", method: "notifications/initialized" });
+  assert.strictEqual(notified.status, 202);
+
+  res = await rpc("tools/list");
+  assert.deepStrictEqual(res.result.tools.map(t => t.name), ["listDocs", "getDoc", "upsertDoc", "deleteDoc"]);
+
+  res = await rpc("tools/call", { name: "upsertDoc", arguments: { path: "ftl/ships.md", content: "# Ships\n", message: "Add ships" } });
+  assert.ok(!res.result.isError);
+  const written = JSON.parse(res.result.content[0].text);
+  assert.strictEqual(written.path, "ftl/ships.md");
+
+  res = await rpc("tools/call", { name: "getDoc", arguments: { path: "ftl/ships.md" } });
+  const doc = JSON.parse(res.result.content[0].text);
+  assert.strictEqual(doc.content, "# Ships\n");
+  assert.strictEqual(doc.sha, written.sha);
+
+  // The HTTP API sees the same document and commit
+  const http = await call(env, "GET", "/history/ftl/ships.md");
+  assert.deepStrictEqual(http.json.commits.map(c => c.message.split("\n")[0]), ["Add ships"]);
+  assert.ok(http.json.commits[0].message.includes("Docstore-Tool: mcp"));
+
+  res = await rpc("tools/call", { name: "upsertDoc", arguments: { path: "ftl/ships.md", content: "x", sha: "stale" } });
+  assert.strictEqual(res.result.isError, true);
+  assert.strictEqual(JSON.parse(res.result.content[0].text).code, "conflict");
+
+  res = await rpc("tools/call", { name: "listDocs", arguments: { path: "ftl" } });
+  assert.deepStrictEqual(JSON.parse(res.result.content[0].text).items.map(i => i.path), ["ftl/canon.md", "ftl/ships.md"]);
+
+  // Tokens keep their permissions
+  res = await rpc("tools/call", { name: "deleteDoc", arguments: { path: "ftl/ships.md" } }, "reader-token");
+  assert.strictEqual(res.result.isError, true);
+  assert.strictEqual(JSON.parse(res.result.content[0].text).code, "forbidden");
+
+  res = await rpc("resources/list");
+  assert.deepStrictEqual(res.result.resources.map(r => r.uri), ["docstore:///ftl/canon.md", "docstore:///ftl/ships.md", "docstore:///logo.png"]);
+  res = await rpc("resources/read", { uri: "docstore:///ftl/canon.md" });
+  assert.deepStrictEqual(res.result.contents, [{ uri: "docstore:///ftl/canon.md", mimeType: "text/markdown", text: "# Canon\n" }]);
+  res = await rpc("resources/read", { uri: "docstore:///logo.png" });
+  assert.deepStrictEqual(res.result.contents, [{ uri: "docstore:///logo.png", mimeType: "image/png", blob: "iVBORw0KGgo=" }]);
+  res = await rpc("resources/read", { uri: "docstore:///missing.md" });
+  assert.strictEqual(res.error.code, -32002);
+
+  // Tool paths cannot climb to other endpoints, and "?" / "#" stay part of the document name
+  for (const path of ["drafts/../../stores", "ftl/./canon.md", "../health"]) {
+    res = await rpc("tools/call", { name: "getDoc", arguments: { path } });
+    assert.strictEqual(res.error.code, -32602, path);
+  }
+  res = await rpc("resources/read", { uri: "docstore:///ftl/../../stores" });
+  assert.strictEqual(res.error.code, -32602);
+  res = await rpc("tools/call", { name: "upsertDoc", arguments: { path: "ftl/why?.md", content: "x" } });
+  assert.deepStrictEqual(JSON.parse(res.result.content[0].text).violations.map(v => [v.path, v.rule]), [["ftl/why?.md", "forbidden_chars"]]);
+  res = await rpc("tools/call", { name: "upsertDoc", arguments: { path: "ftl/crew #1.md", content: "Odd name\n" } });
+  assert.strictEqual(JSON.parse(res.result.content[0].text).path, "ftl/crew #1.md");
+  res = await rpc("tools/call", { name: "getDoc", arguments: { path: "ftl/crew #1.md" } });
+  assert.strictEqual(JSON.parse(res.result.content[0].text).content, "Odd name\n");
+  assert.strictEqual((await call(env, "GET", "/d/ftl/crew%20%231.md")).json.content, "Odd name\n");
+  res = await rpc("tools/call", { name: "deleteDoc", arguments: { path: "ftl/crew #1.md" } });
+  assert.ok(!res.result.isError);
+
+  res = await rpc("tools/call", { name: "deleteDoc", arguments: { path: "ftl/ships.md", sha: written.sha } });
+  assert.ok(!res.result.isError);
+  res = await rpc("tools/call", { name: "getDoc", arguments: {} });
+  assert.strictEqual(res.error.code, -32602);
+  res = await rpc("resources/subscribe", { uri: "docstore:///ftl/canon.md" });
+  assert.strictEqual(res.error.code, -32601);
+
+  assert.strictEqual((await call(env, "GET", "/mcp")).status, 405);
+  assert.strictEqual((await call(env, "POST", "/mcp", { jsonrpc: "2.0", id: 1, method: "ping" }, "wrong-token")).status, 401);
+}
+
+async function testWorkerMcpAudit() {
+  const written = [];
+  const env = {
+    ...memoryEnv({ "docs/ftl/crew #1.md": "# Crew\n" }),
+    AUDIT_SINK: { write: async entry => { written.push(entry); } }
+  };
+  const res = await call(env, "POST", "/mcp", {
+    jsonrpc: "2.0",
+    id: 1,
+    method: "tools/call",
+    params: { name: "getDoc", arguments: { path: "ftl/crew #1.md" } }
+  });
+  assert.ok(!res.json.result.isError);
+  await new Promise(resolve => setImmediate(resolve));
+
+  // The tool call is logged with the document it read, under the request id of the POST /mcp entry
+  assert.deepStrictEqual(written.map(e => [e.method, e.endpoint, e.path, e.status, e.via]), [
+    ["GET", "/d/ftl/crew%20%231.md", "ftl/crew #1.md", 200, "mcp"],
+    ["POST", "/mcp", null, 200, undefined]
+  ]);
+  assert.strictEqual(written[0].requestId, written[1].requestId);
+  assert.strictEqual(written[0].client, written[1].client);
+}
+
+async function testWorkerPartialReads() {
+  const canon = "# Canon\n\n## Stations\n- Alpha\n- Beta\n\n## Ships\n- Ærø\n";
+  const env = memoryEnv({ "docs/canon.md": canon });
+
+  let res = await call(env, "GET", "/d/canon.md");
+  assert.strictEqual(res.json.truncated, false);
+  assert.strictEqual(res.json.totalLines, 8);
+
+  res = await call(env, "GET", "/d/canon.md?lines=3-4");
+  assert.strictEqual(res.json.content, "## Stations\n- Alpha\n");
+  assert.deepStrictEqual(res.json.lines, { start: 3, end: 4 });
+  assert.strictEqual(res.json.truncated, true);
+  assert.strictEqual(res.json.totalLines, 8);
+  res = await call(env, "GET", "/d/canon.md?lines=7-");
+  assert.strictEqual(res.json.content, "## Ships\n- Ærø\n");
+  res = await call(env, "GET", "/d/canon.md?lines=1-100");
+  assert.strictEqual(res.json.truncated, false);
+
+  res = await call(env, "GET", "/d/canon.md?section=" + encodeURIComponent("## Stations"));
+  assert.strictEqual(res.json.content, "## Stations\n- Alpha\n- Beta\n\n");
+  assert.deepStrictEqual(res.json.section, { level: 2, text: "Stations" });
+  assert.deepStrictEqual(res.json.lines, { start: 3, end: 6 });
+
+  // Byte ranges never split a UTF-8 character ("Æ" is two bytes at 48-49)
+  res = await call(env, "GET", "/d/canon.md?bytes=0-48");
+  assert.ok(res.json.content.endsWith("- "));
+  assert.deepStrictEqual(res.json.bytes, { start: 0, end: 47 });
+  res = await call(env, "GET", "/d/canon.md?bytes=49-");
+  assert.strictEqual(res.json.content, "rø\n");
+
+  res = await call(env, "GET", "/d/canon.md?section=Missing");
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.json.code, "no_match");
+  res = await call(env, "GET", "/d/canon.md?lines=20-");
+  assert.strictEqual(res.status, 416);
+  res = await call(env, "GET", "/d/canon.md?lines=5-2");
+  assert.strictEqual(res.status, 400);
+  res = await call(env, "GET", "/d/canon.md?lines=1-2&section=Ships");
+  assert.strictEqual(res.status, 400);
+
+  res = await call(env, "GET", "/outline/canon.md");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.json.totalLines, 8);
+  assert.deepStrictEqual(res.json.headings[0].children.map(h => [h.text, h.line, h.endLine]), [["Stations", 3, 6], ["Ships", 7, 8]]);
+  res = await call(env, "GET", "/outline/missing.md");
+  assert.strictEqual(res.status, 404);
+}
+
+async function testWorkerLinks() {
+  const env = memoryEnv({
+    "docs/ftl/canon.md": "# Canon\n\nCrew: see [ships](../lore/ships.md).\n",
+    "docs/lore/ships.md": "# Ships\n",
+    "docs/lore/index.md": "- [[canon]]\n- [Ships](ships.md#fleet)\n- [Gone](old.md)\n",
+    "docs/notes.md": "Read the [canon](ftl/canon.md).\n"
+  });
+
+  let res = await call(env, "GET", "/links/ftl/canon.md");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.json.links.map(l => [l.path, l.exists]), [["lore/ships.md", true]]);
+  assert.deepStrictEqual(res.json.backlinks.map(l => [l.from, l.type, l.line]), [["lore/index.md", "wiki", 1], ["notes.md", "link", 1]]);
+
+  res = await call(env, "GET", "/broken-links");
+  assert.strictEqual(res.json.total, 1);
+  assert.deepStrictEqual(res.json.results[0], { from: "lore/index.md", type: "link", target: "old.md", text: "Gone", line: 3, path: "lore/old.md" });
+
+  // Refused moves and deletes change nothing
+  res = await call(env, "POST", "/move", { from: "lore/ships.md", to: "fleet/ships.md", links: "refuse" });
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.json.code, "has_backlinks");
+  assert.deepStrictEqual(res.json.backlinks.map(l => l.from), ["ftl/canon.md", "lore/index.md"]);
+  res = await call(env, "DELETE", "/d/ftl/canon.md?links=refuse");
+  assert.strictEqual(res.status, 409);
+  res = await call(env, "POST", "/move", { from: "lore/ships.md", to: "fleet/ships.md", links: "sometimes" });
+  assert.strictEqual(res.status, 400);
+
+  // A rewriting move updates the links into the moved document in the same commit
+  res = await call(env, "POST", "/move", { from: "lore/ships.md", to: "fleet/ships.md", links: "rewrite" });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.json.linksRewritten, [{ path: "ftl/canon.md", links: 1 }, { path: "lore/index.md", links: 1 }]);
+  res = await call(env, "GET", "/d/lore/index.md");
+  assert.strictEqual(res.json.content, "- [[canon]]\n- [Ships](../fleet/ships.md#fleet)\n- [Gone](old.md)\n");
+  res = await call(env, "GET", "/history/lore/index.md");
+  assert.strictEqual(res.json.commits.length, 2);
+
+  // Moving a linking document re-bases its own relative links
+  res = await call(env, "POST", "/move", { from: "ftl/", to: "archive/ftl/", links: "rewrite" });
+  assert.deepStrictEqual(res.json.linksRewritten.map(r => r.path), ["archive/ftl/canon.md", "notes.md"]);
+  res = await call(env, "GET", "/d/archive/ftl/canon.md");
+  assert.strictEqual(res.json.content, "# Canon\n\nCrew: see [ships](../../fleet/ships.md).\n");
+  assert.strictEqual(res.json.sha, await gitBlobSha(res.json.content));
+  res = await call(env, "GET", "/links/archive/ftl/canon.md");
+  assert.deepStrictEqual(res.json.backlinks.map(l => l.from), ["lore/index.md", "notes.md"]);
+
+  // Deleting with rewrite leaves the link text behind
+  res = await call(env, "DELETE", "/d/archive/ftl/canon.md?links=rewrite");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.json.linksRewritten, [{ path: "lore/index.md", links: 1 }, { path: "notes.md", links: 1 }]);
+  res = await call(env, "GET", "/d/notes.md");
+  assert.strictEqual(res.json.content, "Read the canon.\n");
+  res = await call(env, "GET", "/links/archive/ftl/canon.md");
+  assert.strictEqual(res.status, 404);
+}
+
+// A link-aware delete checks the expected sha in the tree of the head it commits on
+async function testWorkerLinkAwareDeleteRace() {
+  const env = memoryEnv({ "docs/a.md": "A\n", "docs/b.md": "See [A](a.md).\n" });
+  const store = env.DOCSTORE_STORE;
+  let res = await call(env, "GET", "/d/a.md");
+  const expectedSha = res.json.sha;
+
+  // Another writer changes the document right before the head is read
+  let race = true;
+  env.DOCSTORE_STORE = {
+    ...store,
+    async getCommit(ref) {
+      if (race) {
+        race = false;
+        const written = await call(env, "PUT", "/d/a.md", { content: "A changed\n" });
+        assert.strictEqual(written.status, 200);
+      }
+      return store.getCommit(ref);
+    }
+  };
+  res = await call(env, "POST", "/delete", { path: "a.md", sha: expectedSha, links: "rewrite" });
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.json.code, "conflict");
+  res = await call(env, "GET", "/d/a.md");
+  assert.strictEqual(res.json.content, "A changed\n");
+}
+
+// Listings of visible directories are checked for dot segments too
+async function testWorkerDotSegmentListings() {
+  const env = {
+    ...memoryEnv({ "docs/a/x.md": "X\n", "docs/b/secret.md": "S\n" }),
+    DOCSTORE_TOKENS: JSON.stringify([{ name: "gpt", token: "gpt-token", role: "read", readPaths: ["a/"] }])
+  };
+  for (const path of ["/d/a%2F..%2Fb/", "/d/a%2F%2Fb/", "/tree?path=a/../b", "/tree?path=a/./b"]) {
+    const res = await call(env, "GET", path, undefined, "gpt-token");
+    assert.strictEqual(res.status, 400, path);
+    assert.match(res.json.error, /segments are not allowed/);
+  }
+  const res = await call(env, "GET", "/d/a/", undefined, "gpt-token");
+  assert.deepStrictEqual(res.json.items.map(i => i.path), ["a/x.md"]);
+}
+
+// Link rewrites change other documents, so they need write access to those too
+async function testWorkerScopedLinkRewrites() {
+  const env = {
+    ...memoryEnv({
+      "docs/drafts/x.md": "# X\n",
+      "docs/drafts/index.md": "- [X](x.md)\n",
+      "docs/canon/main.md": "See [X](../drafts/x.md).\n",
+      "docs/secret/plan.md": "See [X](../drafts/x.md).\n"
+    }),
+    DOCSTORE_TOKENS: JSON.stringify([
+      { name: "gpt", token: "gpt-token", role: "write", paths: ["drafts/"], readPaths: ["drafts/", "canon/"] },
+      { name: "local", token: "local-token", role: "write", paths: ["drafts/", "canon/", "secret/"] }
+    ])
+  };
+
+  let res = await call(env, "PUT", "/d/canon/main.md", { content: "x\n" }, "gpt-token");
+  assert.strictEqual(res.status, 403);
+  for (const [method, path, body] of [
+    ["POST", "/move", { from: "drafts/x.md", to: "drafts/y.md", links: "rewrite" }],
+    ["POST", "/delete", { path: "drafts/x.md", links: "rewrite" }],
+    ["DELETE", "/d/drafts/x.md?links=rewrite", undefined]
+  ]) {
+    res = await call(env, method, path, body, "gpt-token");
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(res.json.code, "forbidden");
+    // Only documents the token can read are named
+    assert.deepStrictEqual(res.json.paths, ["canon/main.md"]);
+    assert.strictEqual(res.json.hiddenPaths, 1);
+  }
+  res = await call(env, "GET", "/d/canon/main.md", undefined, "gpt-token");
+  assert.strictEqual(res.json.content, "See [X](../drafts/x.md).\n");
+  res = await call(env, "GET", "/d/drafts/x.md", undefined, "gpt-token");
+  assert.strictEqual(res.status, 200);
+
+  // Backlinks from unreadable documents are counted, not named
+  res = await call(env, "POST", "/move", { from: "drafts/x.md", to: "drafts/y.md", links: "refuse" }, "gpt-token");
+  assert.strictEqual(res.status, 409);
+  assert.deepStrictEqual(res.json.backlinks.map(l => l.from), ["canon/main.md", "drafts/index.md"]);
+  assert.strictEqual(res.json.hiddenBacklinks, 1);
+
+  // Rewritten documents must pass the validation rules
+  const validated = { ...env, VALIDATION_RULES: JSON.stringify({ requiredFrontMatter: { "canon/": ["status"] } }) };
+  res = await call(validated, "POST", "/move", { from: "drafts/x.md", to: "drafts/y.md", links: "rewrite" }, "local-token");
+  assert.strictEqual(res.status, 422);
+  assert.strictEqual(res.json.code, "validation_failed");
+  res = await call(env, "POST", "/move", { from: "drafts/x.md", to: "drafts/y.md", links: "rewrite" }, "local-token");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.json.linksRewritten.map(r => r.path), ["canon/main.md", "drafts/index.md", "secret/plan.md"]);
+}
+
+async function run() {
+  try {
+    await testMemoryStoreGitObjects();
+    console.log("✓ memory store git object tests passed");
+
+    await testWorkerEndToEnd();
+    console.log("✓ worker end-to-end tests on the memory backend passed");
+
+    await testWorkerDraftsWithoutPullRequests();
+    console.log("✓ worker draft tests on the memory backend passed");
+
+    await testWorkerNamedStores();
+    console.log("✓ worker named store tests passed");
+
+    await testWorkerMcp();
+    console.log("✓ worker MCP endpoint tests passed");
+
+    await testWorkerMcpAudit();
+    console.log("✓ worker MCP audit tests passed");
+
+    await testWorkerPartialReads();
+    console.log("✓ worker partial read tests passed");
+
+    await testWorkerLinks();
+    console.log("✓ worker link graph tests passed");
+
+    await testWorkerLinkAwareDeleteRace();
+    console.log("✓ worker link-aware delete race tests passed");
+
+    await testWorkerDotSegmentListings();
+    console.log("✓ worker dot segment listing tests passed");
+
+    await testWorkerScopedLinkRewrites();
+    console.log("✓ worker scoped link rewrite tests passed");
+
+    console.log("All tests passed");
+    process.exit(0);
+  } catch (err) {
+    console.error("Test failed:", err);
+    process.exit(1);
+  }
+}
+
+run();